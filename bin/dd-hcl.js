@@ -0,0 +1,644 @@
+#!/usr/bin/env node
+/**
+ * Datadog HCL Generator - Command Line
+ * Converts Datadog dashboard JSON to Terraform HCL outside the browser
+ *
+ * Uses the same conversion core (lib/converter.js) and widget-config.json
+ * as the web app, so pipelines get identical output. Monitor and SLO exports
+ * convert to datadog_monitor and datadog_service_level_objective resources
+ * the same way.
+ *
+ * Passing a directory or a .zip of exports converts every dashboard in it
+ * (lib/batch.js) into one .tf per dashboard plus a summary report.
+ *
+ * --format writes another output format than HCL (lib/formats.js), e.g. a
+ * CDK for Terraform construct. --dashboard-json writes a datadog_dashboard_json
+ * resource with the export as a jsonencode() object instead of mapped widgets.
+ *
+ * The to-json command goes the other way: a datadog_dashboard resource
+ * back to dashboard JSON (lib/reverse.js).
+ *
+ * --import-blocks and --import-script bring existing dashboards under
+ * Terraform: import blocks next to the resource (batch mode: imports.tf, or
+ * imports.tf.json with --format tf-json),
+ * or an import.sh running terraform import for each dashboard.
+ *
+ * convert --parameterize lifts environment-specific values into Terraform
+ * variables (lib/parameterize.js) and writes a matching variables.tf;
+ * convert --module packages the result as a Terraform module (lib/module.js).
+ *
+ * The import-schema command updates widget-config.json from the provider
+ * schema (lib/schema-import.js).
+ *
+ * Exit codes:
+ *   0 - Conversion succeeded
+ *   1 - Conversion failed (unreadable file, invalid JSON, HCL or dashboard;
+ *       in batch mode: any dashboard failed)
+ *   2 - Invalid command line usage
+ *   3 - Generated HCL has validation errors (or warnings with --strict)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const DatadogHCLConverter = require('../lib/converter');
+const DatadogBatchConverter = require('../lib/batch');
+const DatadogReverseConverter = require('../lib/reverse');
+const DatadogFidelityAnalyzer = require('../lib/fidelity');
+const DatadogSchemaImporter = require('../lib/schema-import');
+const DatadogParameterizer = require('../lib/parameterize');
+const DatadogModuleBuilder = require('../lib/module');
+const DatadogOutputFormats = require('../lib/formats');
+
+const EXIT_OK = 0;
+const EXIT_CONVERSION_FAILED = 1;
+const EXIT_USAGE = 2;
+const EXIT_VALIDATION_FAILED = 3;
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'widget-config.json');
+
+const USAGE = `Usage: dd-hcl convert <dashboard.json | directory | exports.zip> [options]
+       dd-hcl to-json <dashboard.tf> [options]
+       dd-hcl import-schema <schema.json> [options]
+
+convert: Convert a Datadog dashboard JSON export to Terraform HCL (a monitor
+or SLO export becomes a datadog_monitor or datadog_service_level_objective
+resource).
+Reads from stdin when <dashboard.json> is "-".
+
+A directory (searched recursively) or a .zip converts every dashboard in it,
+writing one .tf per dashboard and ${DatadogBatchConverter.REPORT_FILE_NAME}
+into the --output directory.
+
+to-json: Convert a datadog_dashboard resource back to dashboard JSON.
+Reads from stdin when <dashboard.tf> is "-".
+
+import-schema: Update the widget configuration from the output of
+"terraform providers schema -json" and list what changed.
+Reads from stdin when <schema.json> is "-".
+
+Options:
+  -o, --output <path>   Write output to <path> instead of stdout
+                        (required in batch mode: the output directory)
+  -c, --config <file>   Widget configuration (default: widget-config.json;
+                        import-schema: the configuration to update)
+  -r, --resource <name> to-json: resource to convert when the file has several
+  -f, --format <name>   convert: output format, one of
+                        ${DatadogOutputFormats.names().join(', ')} (default: ${DatadogOutputFormats.DEFAULT_FORMAT})
+  -p, --provider-version <version>
+                        convert: only use widgets and attributes that Datadog
+                        provider <version> supports (default: latest)
+      --parameterize    convert: replace environment-specific values (tag
+                        filters such as env:prod, template variable defaults,
+                        notify_list) with Terraform variables
+      --variables <file>
+                        With --parameterize: where to write the variable
+                        definitions (default: variables.tf next to --output,
+                        or appended to stdout)
+      --dashboard-json  convert: write a datadog_dashboard_json resource with
+                        the dashboard as a jsonencode() object (for widgets
+                        the datadog_dashboard mappings cannot express)
+      --template-variable-locals
+                        With --dashboard-json: move the template variables
+                        into a locals block
+      --import-blocks   convert: add a Terraform 1.5+ import block for the
+                        dashboard (batch mode: one imports.tf, or
+                        imports.tf.json, for all)
+      --import-script   convert: write import.sh running terraform import for
+                        the dashboard (batch mode: for all), next to --output
+      --module          convert: write a Terraform module (main.tf, variables.tf,
+                        outputs.tf, versions.tf, README.md) to the --output
+                        directory, or a zip when it ends in .zip; implies
+                        --parameterize
+      --provider-alias <name>
+                        With --module: use the datadog.<name> provider
+                        configuration passed in by the caller
+      --no-validate     Skip validation of the generated HCL
+      --strict          Treat validation warnings as failures
+      --fidelity        Report every field the conversion dropped, altered or
+                        defaulted (batch mode: fidelity per dashboard)
+  -h, --help            Show this help
+  -v, --version         Show the converter version
+`;
+
+class UsageError extends Error {}
+
+function parseArguments(argv) {
+    const options = {
+        command: null,
+        input: null,
+        output: null,
+        config: DEFAULT_CONFIG_PATH,
+        resource: null,
+        providerVersion: null,
+        format: DatadogOutputFormats.DEFAULT_FORMAT,
+        parameterize: false,
+        variables: null,
+        dashboardJson: false,
+        templateVariableLocals: false,
+        importBlocks: false,
+        importScript: false,
+        module: false,
+        providerAlias: null,
+        validate: true,
+        strict: false,
+        fidelity: false,
+        help: false,
+        version: false
+    };
+
+    const takeValue = (flag, index) => {
+        const value = argv[index + 1];
+        if (value === undefined || (value.startsWith('-') && value !== '-')) {
+            throw new UsageError(`Option ${flag} requires a value`);
+        }
+        return value;
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '-o':
+            case '--output':
+                options.output = takeValue(arg, i++);
+                break;
+            case '-c':
+            case '--config':
+                options.config = takeValue(arg, i++);
+                break;
+            case '-r':
+            case '--resource':
+                options.resource = takeValue(arg, i++);
+                break;
+            case '-f':
+            case '--format':
+                options.format = takeValue(arg, i++);
+                break;
+            case '-p':
+            case '--provider-version':
+                options.providerVersion = takeValue(arg, i++);
+                break;
+            case '--parameterize':
+                options.parameterize = true;
+                break;
+            case '--variables':
+                options.variables = takeValue(arg, i++);
+                break;
+            case '--dashboard-json':
+                options.dashboardJson = true;
+                break;
+            case '--template-variable-locals':
+                options.templateVariableLocals = true;
+                break;
+            case '--import-blocks':
+                options.importBlocks = true;
+                break;
+            case '--import-script':
+                options.importScript = true;
+                break;
+            case '--module':
+                options.module = true;
+                break;
+            case '--provider-alias':
+                options.providerAlias = takeValue(arg, i++);
+                break;
+            case '--no-validate':
+                options.validate = false;
+                break;
+            case '--strict':
+                options.strict = true;
+                break;
+            case '--fidelity':
+                options.fidelity = true;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            case '-v':
+            case '--version':
+                options.version = true;
+                break;
+            default:
+                if (arg.startsWith('-') && arg !== '-') {
+                    throw new UsageError(`Unknown option: ${arg}`);
+                }
+                if (!options.command) {
+                    options.command = arg;
+                } else if (!options.input) {
+                    options.input = arg;
+                } else {
+                    throw new UsageError(`Unexpected argument: ${arg}`);
+                }
+        }
+    }
+
+    return options;
+}
+
+function readInput(input) {
+    return input === '-' ? fs.readFileSync(0, 'utf8') : fs.readFileSync(input, 'utf8');
+}
+
+function createConverter(configPath) {
+    const converter = new DatadogHCLConverter();
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    converter.loadConfiguration(config);
+    return converter;
+}
+
+function reportIssues(issues) {
+    issues.forEach(issue => {
+        const location = issue.location ? ` (${issue.location})` : '';
+        process.stderr.write(`${issue.severity}: ${issue.title}${location}\n`);
+    });
+}
+
+function isBatchInput(input) {
+    if (input === '-') return false;
+    return input.toLowerCase().endsWith('.zip') ||
+           (fs.existsSync(input) && fs.statSync(input).isDirectory());
+}
+
+function listJsonFiles(directory) {
+    return fs.readdirSync(directory, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .flatMap(entry => {
+            const entryPath = path.join(directory, entry.name);
+            if (entry.isDirectory()) return listJsonFiles(entryPath);
+            return entry.name.toLowerCase().endsWith('.json') ? [entryPath] : [];
+        });
+}
+
+async function readBatchInput(input) {
+    if (input.toLowerCase().endsWith('.zip')) {
+        return DatadogBatchConverter.collectFiles([
+            { name: path.basename(input), content: new Uint8Array(fs.readFileSync(input)) }
+        ]);
+    }
+
+    return DatadogBatchConverter.collectFiles(listJsonFiles(input).map(file => ({
+        name: path.relative(input, file).split(path.sep).join('/'),
+        content: fs.readFileSync(file, 'utf8')
+    })));
+}
+
+async function convertBatch(options, converter) {
+    if (!options.output) {
+        throw new UsageError('Batch conversion requires --output <directory>');
+    }
+
+    let files;
+    try {
+        files = await readBatchInput(options.input);
+    } catch (error) {
+        process.stderr.write(`error: ${options.input}: ${error.message}\n`);
+        return EXIT_CONVERSION_FAILED;
+    }
+
+    if (files.length === 0) {
+        process.stderr.write(`error: ${options.input}: No dashboard JSON files found\n`);
+        return EXIT_CONVERSION_FAILED;
+    }
+
+    const batchConverter = new DatadogBatchConverter(converter);
+    const batch = batchConverter.convertAll(files, {
+        validate: options.validate,
+        fidelity: options.fidelity,
+        format: options.format,
+        dashboardJson: options.dashboardJson,
+        templateVariableLocals: options.templateVariableLocals
+    });
+    const report = batchConverter.formatReport(batch);
+
+    fs.mkdirSync(options.output, { recursive: true });
+    batch.results
+        .filter(result => result.hcl)
+        .forEach(result => fs.writeFileSync(path.join(options.output, result.outputName), result.output));
+    fs.writeFileSync(path.join(options.output, DatadogBatchConverter.REPORT_FILE_NAME), report);
+    batchConverter.importFiles(batch, options).forEach(file => writeImportFile(path.join(options.output, file.name), file.content));
+
+    process.stderr.write(report);
+
+    if (batch.summary.failed > 0) {
+        return EXIT_CONVERSION_FAILED;
+    }
+    if (batch.summary.invalid > 0 || (options.strict && batch.summary.warnings > 0)) {
+        return EXIT_VALIDATION_FAILED;
+    }
+
+    return EXIT_OK;
+}
+
+async function convert(options) {
+    if (!options.input) {
+        throw new UsageError('Missing input file');
+    }
+
+    let converter;
+    try {
+        converter = createConverter(options.config);
+    } catch (error) {
+        process.stderr.write(`error: Failed to load widget configuration ${options.config}: ${error.message}\n`);
+        return EXIT_CONVERSION_FAILED;
+    }
+
+    try {
+        converter.setProviderVersion(options.providerVersion);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    let format;
+    try {
+        format = DatadogOutputFormats.get(options.format);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    if (options.module && format.name !== DatadogOutputFormats.DEFAULT_FORMAT) {
+        throw new UsageError('--module writes a Terraform module in HCL; it cannot be combined with --format');
+    }
+
+    if (options.templateVariableLocals && !options.dashboardJson) {
+        throw new UsageError('--template-variable-locals requires --dashboard-json');
+    }
+    if (options.dashboardJson) {
+        const conflict = [
+            [!format.terraform, `--format ${format.name}`],
+            [options.parameterize, '--parameterize'],
+            [options.module, '--module'],
+            [options.fidelity, '--fidelity']
+        ].find(([used]) => used);
+        if (conflict) {
+            throw new UsageError(`--dashboard-json writes the dashboard JSON as-is; it cannot be combined with ${conflict[1]}`);
+        }
+    }
+    if (options.variables && format.configVariables) {
+        throw new UsageError(`--format ${format.name} reads variables from Pulumi config; --variables does not apply`);
+    }
+    if (options.parameterize && format.name !== DatadogOutputFormats.DEFAULT_FORMAT && !format.configVariables && !options.output && !options.variables) {
+        throw new UsageError('--parameterize with --format needs --output or --variables for variables.tf');
+    }
+    if (options.variables && !options.parameterize) {
+        throw new UsageError('--variables requires --parameterize');
+    }
+    if (options.module && (options.variables || !options.output)) {
+        throw new UsageError('--module requires --output <directory | file.zip> and writes its own variables.tf');
+    }
+    if (options.providerAlias && !options.module) {
+        throw new UsageError('--provider-alias requires --module');
+    }
+    if (options.module && (options.importBlocks || options.importScript)) {
+        throw new UsageError('Import blocks and scripts belong to the root configuration, not to a --module');
+    }
+
+    let moduleBuilder = null;
+    if (options.module) {
+        try {
+            moduleBuilder = new DatadogModuleBuilder({
+                providerVersion: converter.providerVersion || converter.getProviderVersions().pop(),
+                providerAlias: options.providerAlias
+            });
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+    }
+
+    if (isBatchInput(options.input)) {
+        if (options.parameterize || options.module) {
+            throw new UsageError(`${options.module ? '--module' : '--parameterize'} converts a single dashboard`);
+        }
+        // A single CDKTF or Pulumi program imports its resource itself; a batch has no imports file in those formats
+        if (options.importBlocks && !format.terraform) {
+            throw new UsageError(`--import-blocks in batch mode writes imports.tf, which --format ${format.name} has no equivalent of; use --import-script`);
+        }
+        return convertBatch(options, converter);
+    }
+
+    if (options.importScript && !options.output) {
+        throw new UsageError('--import-script requires --output (import.sh is written next to it)');
+    }
+
+    let result;
+    let dashboardData;
+    try {
+        dashboardData = JSON.parse(readInput(options.input));
+        result = converter.convert(dashboardData, {
+            importBlock: options.importBlocks,
+            dashboardJson: options.dashboardJson,
+            templateVariableLocals: options.templateVariableLocals
+        });
+    } catch (error) {
+        process.stderr.write(`error: ${options.input}: ${error.message}\n`);
+        return EXIT_CONVERSION_FAILED;
+    }
+
+    // The fidelity report, parameterization and module export work on dashboards
+    const dashboardOnly = ['module', 'parameterize', 'fidelity'].find(option => options[option]);
+    if (dashboardOnly && result.resourceType !== DatadogHCLConverter.DASHBOARD_RESOURCE) {
+        throw new UsageError(`--${dashboardOnly} converts dashboards; ${options.input} is a ${converter.getResourceKind(result.resourceType)} export`);
+    }
+
+    result.diagnostics.forEach(diagnostic => {
+        process.stderr.write(`${diagnostic.severity}: ${converter.formatDiagnostic(diagnostic)}\n`);
+    });
+
+    if (options.fidelity) {
+        const analyzer = new DatadogFidelityAnalyzer(converter);
+        process.stderr.write(analyzer.formatReport(analyzer.analyze(dashboardData, result.hcl)));
+    }
+
+    let hcl = result.hcl;
+    let defined = [];
+    let variables = null;
+    if (options.parameterize || options.module) {
+        const parameterizer = new DatadogParameterizer(hcl);
+        defined = parameterizer.apply();
+        defined.forEach(variable => process.stderr.write(`variable: ${variable.name} = ${JSON.stringify(variable.default)}\n`));
+        hcl = parameterizer.toHCL();
+        variables = DatadogParameterizer.formatVariables(defined);
+    }
+
+    if (moduleBuilder) {
+        writeModule(moduleBuilder.build(hcl, defined), moduleBuilder, options.output);
+    } else {
+        let output;
+        try {
+            output = format.render(hcl, converter, { variables: defined });
+            // Terraform formats get the variable definitions in their own syntax
+            if (variables !== null && format.terraform) {
+                variables = format.render(variables, converter);
+            }
+        } catch (error) {
+            process.stderr.write(`error: ${options.input}: ${error.message}\n`);
+            return EXIT_CONVERSION_FAILED;
+        }
+        writeOutput(options, output, format.configVariables ? null : variables, format);
+    }
+
+    if (options.importScript && dashboardData.id) {
+        const imports = [{
+            resourceName: converter.getResourceName(dashboardData),
+            dashboardId: dashboardData.id,
+            resourceType: result.resourceType
+        }];
+        writeImportFile(path.join(path.dirname(options.output), DatadogBatchConverter.IMPORT_SCRIPT_NAME), converter.formatImportScript(imports));
+    }
+
+    if (!options.validate) {
+        return EXIT_OK;
+    }
+
+    const validation = converter.performHCLValidation(hcl);
+    reportIssues(validation.issues.filter(issue => issue.severity !== 'info'));
+
+    if (!validation.isValid || (options.strict && validation.summary.warnings > 0)) {
+        return EXIT_VALIDATION_FAILED;
+    }
+
+    return EXIT_OK;
+}
+
+function writeOutput(options, output, variables, format) {
+    const variablesName = `variables${format.terraform ? format.extension : '.tf'}`;
+    const variablesPath = options.variables ||
+        (variables !== null && options.output ? path.join(path.dirname(options.output), variablesName) : null);
+
+    if (options.output) {
+        fs.writeFileSync(options.output, output);
+    } else {
+        process.stdout.write(output);
+    }
+
+    if (variables !== null) {
+        if (variablesPath) {
+            fs.writeFileSync(variablesPath, variables);
+        } else {
+            process.stdout.write(`\n${variables}`);
+        }
+    }
+}
+
+function writeImportFile(filePath, content) {
+    fs.writeFileSync(filePath, content);
+    if (filePath.endsWith('.sh')) {
+        fs.chmodSync(filePath, 0o755);
+    }
+}
+
+function writeModule(module, moduleBuilder, output) {
+    if (output.toLowerCase().endsWith('.zip')) {
+        fs.writeFileSync(output, moduleBuilder.createArchive(module));
+        return;
+    }
+
+    fs.mkdirSync(output, { recursive: true });
+    module.files.forEach(file => fs.writeFileSync(path.join(output, file.name), file.content));
+}
+
+function convertToJson(options) {
+    if (!options.input) {
+        throw new UsageError('Missing input file');
+    }
+
+    let converter;
+    try {
+        converter = createConverter(options.config);
+    } catch (error) {
+        process.stderr.write(`error: Failed to load widget configuration ${options.config}: ${error.message}\n`);
+        return EXIT_CONVERSION_FAILED;
+    }
+
+    let result;
+    try {
+        result = new DatadogReverseConverter(converter).convert(readInput(options.input), {
+            resourceName: options.resource
+        });
+    } catch (error) {
+        process.stderr.write(`error: ${options.input}: ${error.message}\n`);
+        return EXIT_CONVERSION_FAILED;
+    }
+
+    result.warnings.forEach(warning => process.stderr.write(`warning: ${warning}\n`));
+
+    const json = JSON.stringify(result.dashboard, null, 2) + '\n';
+    if (options.output) {
+        fs.writeFileSync(options.output, json);
+    } else {
+        process.stdout.write(json);
+    }
+
+    return EXIT_OK;
+}
+
+function importSchema(options) {
+    if (!options.input) {
+        throw new UsageError('Missing schema file');
+    }
+
+    let result;
+    try {
+        const config = JSON.parse(fs.readFileSync(options.config, 'utf8'));
+        result = new DatadogSchemaImporter(config).import(JSON.parse(readInput(options.input)));
+    } catch (error) {
+        process.stderr.write(`error: ${options.input}: ${error.message}\n`);
+        return EXIT_CONVERSION_FAILED;
+    }
+
+    result.changes.forEach(change => process.stderr.write(`${change}\n`));
+    process.stderr.write(`${result.changes.length} change(s)\n`);
+
+    const json = DatadogSchemaImporter.formatConfig(result.config);
+    if (options.output) {
+        fs.writeFileSync(options.output, json);
+    } else {
+        process.stdout.write(json);
+    }
+
+    return EXIT_OK;
+}
+
+async function main(argv) {
+    let options;
+    try {
+        options = parseArguments(argv);
+    } catch (error) {
+        process.stderr.write(`error: ${error.message}\n\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+
+    if (options.version) {
+        process.stdout.write(`${new DatadogHCLConverter().version}\n`);
+        return EXIT_OK;
+    }
+
+    if (options.help || !options.command) {
+        process.stdout.write(USAGE);
+        return options.help ? EXIT_OK : EXIT_USAGE;
+    }
+
+    try {
+        switch (options.command) {
+            case 'convert':
+                return await convert(options);
+            case 'to-json':
+                return convertToJson(options);
+            case 'import-schema':
+                return importSchema(options);
+            default:
+                throw new UsageError(`Unknown command: ${options.command}`);
+        }
+    } catch (error) {
+        if (error instanceof UsageError) {
+            process.stderr.write(`error: ${error.message}\n\n${USAGE}`);
+            return EXIT_USAGE;
+        }
+        throw error;
+    }
+}
+
+main(process.argv.slice(2)).then(exitCode => {
+    process.exitCode = exitCode;
+});
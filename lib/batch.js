@@ -0,0 +1,278 @@
+/**
+ * Datadog HCL Generator - Batch Conversion
+ * Converts a whole set of dashboard (and monitor or SLO) exports (multi-file
+ * drop, zip upload or a CLI directory) with one converter instance.
+ *
+ * - Resource names are unique across the set (duplicates get _2, _3, ...)
+ * - Each dashboard produces its own .tf file (or a file in another output
+ *   format, lib/formats.js)
+ * - A summary report lists successes, failures and warnings per file
+ *   (and, on request, the fidelity of each conversion)
+ * - On request, one imports.tf (Terraform 1.5+ import blocks; imports.tf.json
+ *   for Terraform JSON output) and/or an import.sh script covers every
+ *   converted dashboard
+ */
+
+(function (root) {
+    'use strict';
+
+    const DatadogZip = typeof require === 'function' ? require('./zip') : root.DatadogZip;
+    const DatadogFidelityAnalyzer = typeof require === 'function' ? require('./fidelity') : root.DatadogFidelityAnalyzer;
+    const DatadogOutputFormats = typeof require === 'function' ? require('./formats') : root.DatadogOutputFormats;
+
+    const REPORT_FILE_NAME = 'conversion-report.txt';
+    const IMPORTS_BASE_NAME = 'imports';
+    const IMPORT_SCRIPT_NAME = 'import.sh';
+
+    class DatadogBatchConverter {
+        constructor(converter) {
+            this.converter = converter;
+        }
+
+        // Expand uploaded files into { name, content } entries, unpacking zip archives
+        static async collectFiles(files) {
+            const collected = [];
+
+            for (const file of files) {
+                if (file.name.toLowerCase().endsWith('.zip') || DatadogZip.isZip(file.content)) {
+                    const entries = await DatadogZip.readZip(file.content);
+                    entries
+                        .filter(entry => DatadogBatchConverter.isDashboardFileName(entry.name))
+                        .forEach(entry => collected.push({
+                            name: `${file.name}/${entry.name}`,
+                            content: new TextDecoder().decode(entry.data)
+                        }));
+                } else if (DatadogBatchConverter.isDashboardFileName(file.name)) {
+                    collected.push({
+                        name: file.name,
+                        content: typeof file.content === 'string' ? file.content : new TextDecoder().decode(file.content)
+                    });
+                }
+            }
+
+            return collected;
+        }
+
+        static isDashboardFileName(name) {
+            const baseName = name.split('/').pop();
+            return name.toLowerCase().endsWith('.json') &&
+                   !baseName.startsWith('.') &&
+                   !name.startsWith('__MACOSX/');
+        }
+
+        convertAll(files, options = {}) {
+            const format = DatadogOutputFormats.get(options.format);
+            const usedNames = new Set();
+            const results = files.map(file => this.convertFile(file, usedNames, { ...options, format: format.name }));
+            this.markDuplicates(results);
+
+            return {
+                format: format.name,
+                results: results,
+                summary: this.summarize(results)
+            };
+        }
+
+        convertFile(file, usedNames, options = {}) {
+            const result = {
+                file: file.name,
+                status: 'failed',
+                resourceName: null,
+                resourceType: null,
+                dashboardId: null,
+                outputName: null,
+                hcl: null,
+                output: null,
+                warnings: [],
+                error: null,
+                validation: null,
+                fidelity: null,
+                duplicateOf: null
+            };
+
+            try {
+                const dashboardData = JSON.parse(file.content);
+                result.resourceName = this.uniqueResourceName(dashboardData, usedNames);
+                result.dashboardId = dashboardData.id ? String(dashboardData.id) : null;
+
+                const { hcl, warnings, resourceType } = this.converter.convert(dashboardData, {
+                    resourceName: result.resourceName,
+                    dashboardJson: options.dashboardJson,
+                    templateVariableLocals: options.templateVariableLocals
+                });
+                result.resourceType = resourceType;
+
+                const format = DatadogOutputFormats.get(options.format);
+                result.output = format.render(hcl, this.converter);
+                result.outputName = `${result.resourceName}${format.extension}`;
+                result.hcl = hcl;
+                result.warnings = warnings;
+
+                if (options.validate !== false) {
+                    const validation = this.converter.performHCLValidation(hcl);
+                    result.validation = validation.summary;
+                    validation.issues
+                        .filter(issue => issue.severity !== 'info')
+                        .forEach(issue => {
+                            const message = `${issue.title}${issue.location ? ` (${issue.location})` : ''}`;
+                            if (issue.severity === 'error') {
+                                result.error = result.error ? `${result.error}; ${message}` : message;
+                            } else {
+                                result.warnings.push(message);
+                            }
+                        });
+                }
+
+                // The fidelity report compares dashboard widgets
+                if (options.fidelity && resourceType === 'datadog_dashboard') {
+                    result.fidelity = new DatadogFidelityAnalyzer(this.converter).analyze(dashboardData, hcl).score;
+                }
+
+                if (result.error) {
+                    result.status = 'invalid';
+                } else {
+                    result.status = result.warnings.length > 0 ? 'warning' : 'success';
+                }
+            } catch (error) {
+                // Failed dashboards give their name back to the set
+                if (result.resourceName && !result.hcl) {
+                    usedNames.delete(result.resourceName);
+                    result.resourceName = null;
+                }
+                result.error = error.message;
+            }
+
+            return result;
+        }
+
+        // Exports of the same dashboard (monitor, SLO) convert to separate
+        // resources; only the first may import the existing one, or two
+        // resources would manage it
+        markDuplicates(results) {
+            const first = new Map();
+            results
+                .filter(result => result.hcl && result.dashboardId)
+                .forEach(result => {
+                    const key = `${result.resourceType}:${result.dashboardId}`;
+                    const original = first.get(key);
+                    if (!original) {
+                        first.set(key, result);
+                        return;
+                    }
+                    result.duplicateOf = original.resourceName;
+                    result.warnings.push(`Same id ${result.dashboardId} as ${original.file} (${result.resourceType}.${original.resourceName}) - not imported`);
+                    if (result.status === 'success') result.status = 'warning';
+                });
+        }
+
+        uniqueResourceName(dashboardData, usedNames) {
+            const baseName = this.converter.getResourceName(dashboardData);
+            let name = baseName;
+            let suffix = 2;
+            while (usedNames.has(name)) {
+                name = `${baseName}_${suffix++}`;
+            }
+
+            usedNames.add(name);
+            return name;
+        }
+
+        summarize(results) {
+            const count = status => results.filter(result => result.status === status).length;
+
+            return {
+                total: results.length,
+                succeeded: count('success') + count('warning'),
+                withWarnings: count('warning'),
+                invalid: count('invalid'),
+                failed: count('failed'),
+                warnings: results.reduce((total, result) => total + result.warnings.length, 0)
+            };
+        }
+
+        formatReport(batch) {
+            const { summary } = batch;
+            const icons = { success: '✅', warning: '⚠️', invalid: '❌', failed: '❌' };
+
+            const lines = [
+                'Datadog HCL Generator - Batch Conversion Report',
+                '',
+                `Files: ${summary.total} | Converted: ${summary.succeeded} | ` +
+                `Invalid HCL: ${summary.invalid} | Failed: ${summary.failed} | Warnings: ${summary.warnings}`,
+                ''
+            ];
+
+            batch.results.forEach(result => {
+                const target = result.outputName ? ` -> ${result.outputName} (${result.resourceType}.${result.resourceName})` : '';
+                const fidelity = result.fidelity !== null ? ` [fidelity ${result.fidelity}%]` : '';
+                lines.push(`${icons[result.status]} ${result.file}${target}${fidelity}`);
+                if (result.error) {
+                    lines.push(`    error: ${result.error}`);
+                }
+                result.warnings.forEach(warning => lines.push(`    warning: ${warning}`));
+            });
+
+            return lines.join('\n') + '\n';
+        }
+
+        // All generated resources in one document (names are unique, so this is valid HCL)
+        combineHCL(batch) {
+            const comment = DatadogOutputFormats.get(batch.format).comment;
+            const header = this.formatReport(batch).trimEnd().split('\n').map(line => `${comment} ${line}`.trimEnd());
+            const sections = batch.results
+                .filter(result => result.hcl)
+                .map(result => `${comment} ---- ${result.outputName} (from ${result.file}) ----\n${result.output}`);
+
+            return [header.join('\n'), ...sections].join('\n\n');
+        }
+
+        createArchive(batch, options = {}) {
+            const files = batch.results
+                .filter(result => result.hcl)
+                .map(result => ({ name: result.outputName, content: result.output }));
+
+            files.push({ name: REPORT_FILE_NAME, content: this.formatReport(batch) });
+            files.push(...this.importFiles(batch, options));
+            return DatadogZip.createZip(files);
+        }
+
+        // Converted dashboards that can be imported (exports without an id cannot)
+        getImports(batch) {
+            return batch.results
+                .filter(result => result.hcl && result.dashboardId && !result.duplicateOf)
+                .map(result => ({ resourceName: result.resourceName, dashboardId: result.dashboardId, resourceType: result.resourceType }));
+        }
+
+        // options.importBlocks: imports.tf(.json), options.importScript: import.sh
+        importFiles(batch, options = {}) {
+            const imports = this.getImports(batch);
+            const files = [];
+
+            if (imports.length === 0) {
+                return files;
+            }
+            // Import blocks sit next to Terraform configuration only, in its syntax
+            const format = DatadogOutputFormats.get(batch.format);
+            if (options.importBlocks && format.terraform) {
+                files.push({
+                    name: `${IMPORTS_BASE_NAME}${format.extension}`,
+                    content: format.render(this.converter.formatImportBlocks(imports), this.converter)
+                });
+            }
+            if (options.importScript) {
+                files.push({ name: IMPORT_SCRIPT_NAME, content: this.converter.formatImportScript(imports) });
+            }
+            return files;
+        }
+    }
+
+    DatadogBatchConverter.REPORT_FILE_NAME = REPORT_FILE_NAME;
+    DatadogBatchConverter.IMPORTS_BASE_NAME = IMPORTS_BASE_NAME;
+    DatadogBatchConverter.IMPORT_SCRIPT_NAME = IMPORT_SCRIPT_NAME;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DatadogBatchConverter;
+    } else {
+        root.DatadogBatchConverter = DatadogBatchConverter;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,307 @@
+/**
+ * Datadog HCL Generator - CDK for Terraform Output
+ * Turns generated HCL into a TypeScript construct for @cdktf/provider-datadog
+ *
+ * The construct mirrors the HCL one to one, so it has the same widget,
+ * request and layout structure:
+ * - Resources become provider classes (datadog_dashboard -> Dashboard),
+ *   data sources local constants (data datadog_role -> DataDatadogRole)
+ * - Attributes and blocks are camelCased; blocks Terraform allows several
+ *   times are arrays, single blocks plain objects
+ * - References to data sources use the constant; other expressions (var.*,
+ *   interpolations) are passed to Terraform as "${...}" strings
+ * - An import block becomes importFrom() on the resource
+ */
+
+(function (root) {
+    'use strict';
+
+    const HCL = typeof require === 'function' ? require('./hcl') : root.HCL;
+    const { HCLAttribute, HCLBlock, HCLComment, HCLLiteral, HCLList, HCLObject, HCLRaw, parseHCL } = HCL;
+
+    const PROVIDER_PACKAGE = '@cdktf/provider-datadog';
+    const PROVIDER_PREFIX = 'datadog_';
+
+    // Blocks the provider schema declares as lists; widget-config.json adds the
+    // ones marked "multiple"
+    const REPEATED_BLOCKS = [
+        'widget', 'template_variable', 'template_variable_preset', 'request', 'query', 'formula',
+        'conditional_formats', 'custom_link', 'event', 'marker', 'group_by', 'fill', 'size',
+        'x', 'y', 'scatterplot_table', 'thresholds', 'text_formats', 'text_format'
+    ];
+
+    // Widgets whose request block holds a single request
+    const SINGLE_REQUEST_DEFINITIONS = ['hostmap_definition', 'scatterplot_definition'];
+
+    // Blocks that are lists under one parent only (event_query.compute, but a
+    // single sort.compute)
+    const REPEATED_CHILD_BLOCKS = { event_query: ['compute'] };
+
+    // Blocks that are single under one parent only (the query of a
+    // datadog_service_level_objective, but a list of queries in a request)
+    const SINGLE_CHILD_BLOCKS = { resource: ['query'] };
+
+    // List attributes that may be replaced by a variable (var.notify_list)
+    const LIST_ATTRIBUTES = ['notify_list', 'tags', 'restricted_roles', 'defaults', 'values', 'available_values', 'indexes'];
+    const NUMBER_LIST_ATTRIBUTES = ['dashboard_lists'];
+
+    const INDENT = '  ';
+
+    class DatadogCDKTFGenerator {
+        constructor(converter = null) {
+            this.repeatedBlocks = new Set(REPEATED_BLOCKS);
+            if (converter?.configuration) {
+                this.collectRepeatedBlocks(converter.configuration);
+            }
+        }
+
+        // Every "multiple" block described in widget-config.json
+        collectRepeatedBlocks(value, key = null) {
+            if (Array.isArray(value)) {
+                value.forEach(item => this.collectRepeatedBlocks(item));
+            } else if (value !== null && typeof value === 'object') {
+                if (value.multiple === true && key) {
+                    this.repeatedBlocks.add(value.blockName || key);
+                }
+                Object.entries(value).forEach(([childKey, child]) => this.collectRepeatedBlocks(child, childKey));
+            }
+        }
+
+        generate(hcl) {
+            const document = parseHCL(hcl);
+            const resources = document.getBlocks('resource');
+            const dataSources = document.getBlocks('data');
+
+            if (resources.length === 0) {
+                throw new Error('No resource to convert to CDKTF');
+            }
+
+            this.imports = new Map();
+            this.references = new Map();
+            this.tokens = false;
+
+            const body = [];
+
+            dataSources.forEach(block => {
+                const [type, name] = block.labels;
+                const className = this.importClass(`Data${this.toPascalCase(type, true)}`, `data-${this.toKebabCase(type, true)}`);
+                const variable = this.uniqueVariable(this.toCamelCase(name));
+                this.references.set(`data.${type}.${name}`, variable);
+                body.push(`const ${variable} = new ${className}(this, ${JSON.stringify(name)}, ${this.printBody(block, 2, block.type)});`, '');
+            });
+
+            const members = [];
+            resources.forEach(block => {
+                const [type, name] = block.labels;
+                const className = this.importClass(this.toPascalCase(type), this.toKebabCase(type));
+                const member = this.toCamelCase(name);
+                this.references.set(`${type}.${name}`, `this.${member}`);
+                members.push(`${INDENT}public readonly ${member}: ${className};`);
+                body.push(`this.${member} = new ${className}(this, ${JSON.stringify(name)}, ${this.printBody(block, 2, block.type)});`);
+
+                const importBlock = document.getBlocks('import')
+                    .find(candidate => this.expressionText(candidate.getAttribute('to')?.value) === `${type}.${name}`);
+                if (importBlock) {
+                    body.push(`this.${member}.importFrom(${this.printExpression(importBlock.getAttribute('id').value, 2, 'id')});`);
+                }
+                body.push('');
+            });
+
+            const constructName = this.constructName(resources[0].labels[1]);
+            const lines = [
+                'import { Construct } from "constructs";',
+                ...(this.tokens ? ['import { Token } from "cdktf";'] : []),
+                ...[...this.imports].map(([className, module]) => `import { ${className} } from "${PROVIDER_PACKAGE}/lib/${module}";`),
+                '',
+                `export class ${constructName} extends Construct {`,
+                ...members,
+                '',
+                `${INDENT}constructor(scope: Construct, id: string) {`,
+                `${INDENT}${INDENT}super(scope, id);`,
+                '',
+                ...body.map(line => line ? `${INDENT}${INDENT}${line}` : line)
+            ];
+
+            while (lines[lines.length - 1] === '') lines.pop();
+            lines.push(`${INDENT}}`, '}', '');
+            return lines.join('\n');
+        }
+
+        importClass(className, module) {
+            this.imports.set(className, module);
+            return className;
+        }
+
+        // The class must not shadow one of the imported provider classes
+        constructName(resourceName) {
+            const name = this.toPascalCase(resourceName);
+            return this.imports.has(name) || name === 'Construct' ? `${name}Construct` : name;
+        }
+
+        uniqueVariable(name) {
+            const used = new Set(this.references.values());
+            let unique = name;
+            for (let suffix = 2; used.has(unique); suffix++) {
+                unique = `${name}${suffix}`;
+            }
+            return unique;
+        }
+
+        // Object literal for a block body at the given depth
+        printBody(body, depth, blockType) {
+            const entries = [];
+            const groups = new Map();
+
+            body.children.forEach(child => {
+                if (child instanceof HCLBlock) {
+                    if (!groups.has(child.type)) {
+                        groups.set(child.type, []);
+                        entries.push({ block: child.type });
+                    }
+                    groups.get(child.type).push(child);
+                } else if (child instanceof HCLAttribute) {
+                    entries.push({ attribute: child });
+                } else if (child instanceof HCLComment) {
+                    entries.push({ comment: child });
+                }
+            });
+
+            if (entries.length === 0) return '{}';
+
+            const indent = INDENT.repeat(depth + 1);
+            const lines = entries.map(entry => {
+                if (entry.comment) {
+                    return entry.comment.text.split('\n').map(line => `${indent}// ${line}`.trimEnd()).join('\n');
+                }
+                if (entry.attribute) {
+                    const { name, value } = entry.attribute;
+                    return `${indent}${this.propertyName(name)}: ${this.printExpression(value, depth + 1, name)},`;
+                }
+
+                const blocks = groups.get(entry.block);
+                const key = this.propertyName(entry.block);
+                if (blocks.length > 1 || this.isRepeated(entry.block, blockType)) {
+                    const items = blocks.map(block => `${indent}${INDENT}${this.printBody(block, depth + 2, block.type)},`);
+                    return `${indent}${key}: [\n${items.join('\n')}\n${indent}],`;
+                }
+                return `${indent}${key}: ${this.printBody(blocks[0], depth + 1, blocks[0].type)},`;
+            });
+
+            return `{\n${lines.join('\n')}\n${INDENT.repeat(depth)}}`;
+        }
+
+        isRepeated(type, parentType) {
+            if (type === 'request' && SINGLE_REQUEST_DEFINITIONS.includes(parentType)) {
+                return false;
+            }
+            if (REPEATED_CHILD_BLOCKS[parentType]?.includes(type)) {
+                return true;
+            }
+            if (SINGLE_CHILD_BLOCKS[parentType]?.includes(type)) {
+                return false;
+            }
+            return this.repeatedBlocks.has(type);
+        }
+
+        printExpression(expression, depth, attributeName) {
+            if (expression instanceof HCLLiteral) {
+                const { value } = expression;
+                return JSON.stringify(typeof value === 'string' ? this.escapeTemplate(value) : value);
+            }
+
+            if (expression instanceof HCLList) {
+                const items = expression.items.map(item => this.printExpression(item, depth + 1, null));
+                const inline = `[${items.join(', ')}]`;
+                if (inline.length <= 80 && !inline.includes('\n')) return inline;
+                const indent = INDENT.repeat(depth + 1);
+                return `[\n${items.map(item => `${indent}${item},`).join('\n')}\n${INDENT.repeat(depth)}]`;
+            }
+
+            if (expression instanceof HCLObject) {
+                if (expression.entries.length === 0) return '{}';
+                const indent = INDENT.repeat(depth + 1);
+                const entries = expression.entries.map(([key, value]) =>
+                    `${indent}${/^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key)}: ${this.printExpression(value, depth + 1, null)},`
+                );
+                return `{\n${entries.join('\n')}\n${INDENT.repeat(depth)}}`;
+            }
+
+            if (expression instanceof HCLRaw) {
+                // Interpolated strings keep their ${...} parts for Terraform
+                if (expression.template !== null) {
+                    return JSON.stringify(expression.template);
+                }
+
+                const reference = this.resolveReference(expression.text);
+                if (reference) return reference;
+
+                const token = JSON.stringify(`\${${expression.text}}`);
+                if (LIST_ATTRIBUTES.includes(attributeName)) {
+                    this.tokens = true;
+                    return `Token.asList(${token})`;
+                }
+                if (NUMBER_LIST_ATTRIBUTES.includes(attributeName)) {
+                    this.tokens = true;
+                    return `Token.asNumberList(${token})`;
+                }
+                return token;
+            }
+
+            return 'undefined';
+        }
+
+        // Literal text in a Terraform string, where ${ and %{ would start a template
+        escapeTemplate(text) {
+            return text.replace(/([$%])\{/g, '$1$1{');
+        }
+
+        // data.datadog_role.admin.id -> admin.id
+        resolveReference(text) {
+            const match = text.match(/^((?:data\.)?[\w-]+\.[\w-]+)\.([\w-]+)$/);
+            if (match && this.references.has(match[1])) {
+                return `${this.references.get(match[1])}.${this.toCamelCase(match[2])}`;
+            }
+            return null;
+        }
+
+        expressionText(expression) {
+            if (expression instanceof HCLRaw) return expression.text;
+            if (expression instanceof HCLLiteral) return String(expression.value);
+            return null;
+        }
+
+        propertyName(name) {
+            return this.toCamelCase(name);
+        }
+
+        toCamelCase(name) {
+            return name.replace(/[-_]+([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+        }
+
+        // Resource classes drop the provider prefix (datadog_dashboard -> Dashboard),
+        // data source classes keep it (datadog_role -> DataDatadogRole)
+        toPascalCase(name, keepPrefix = false) {
+            const camel = this.toCamelCase(this.withoutPrefix(name, keepPrefix));
+            return camel.charAt(0).toUpperCase() + camel.slice(1);
+        }
+
+        // datadog_service_level_objective -> service-level-objective
+        toKebabCase(name, keepPrefix = false) {
+            return this.withoutPrefix(name, keepPrefix).replace(/_/g, '-');
+        }
+
+        withoutPrefix(name, keepPrefix) {
+            return !keepPrefix && name.startsWith(PROVIDER_PREFIX) ? name.slice(PROVIDER_PREFIX.length) : name;
+        }
+    }
+
+    DatadogCDKTFGenerator.PROVIDER_PACKAGE = PROVIDER_PACKAGE;
+    DatadogCDKTFGenerator.LIST_ATTRIBUTES = LIST_ATTRIBUTES;
+    DatadogCDKTFGenerator.NUMBER_LIST_ATTRIBUTES = NUMBER_LIST_ATTRIBUTES;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DatadogCDKTFGenerator;
+    } else {
+        root.DatadogCDKTFGenerator = DatadogCDKTFGenerator;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,3206 @@
+/**
+ * Datadog HCL Generator - Conversion Core
+ * Converts Datadog dashboard JSON to Terraform HCL without touching the DOM
+ * (monitor and SLO exports to datadog_monitor and
+ * datadog_service_level_objective resources)
+ *
+ * Shared by the web app (script.js) and the command line (bin/dd-hcl.js):
+ * - Loads as a plain <script> (exposes window.DatadogHCLConverter)
+ * - Loads through require() in Node (module.exports)
+ *
+ * Configuration is handed in through loadConfiguration() so each host can
+ * read widget-config.json its own way (fetch in the browser, fs in Node).
+ *
+ * Output is built as an HCL document tree (lib/hcl.js) and printed once,
+ * so formatting and escaping are consistent across every widget.
+ *
+ * Problems found while converting (missing fields, unsupported widgets,
+ * skipped requests) are collected as diagnostics with a severity and the
+ * JSON path they refer to, and returned from convert().
+ */
+
+(function (root) {
+    'use strict';
+
+    const HCL = typeof require === 'function' ? require('./hcl') : root.HCL;
+    const { HCLBlock, HCLCall, HCLDocument, HCLLiteral, HCLRaw, expressionValue, printHCL, parseHCL } = HCL;
+
+    const DASHBOARD_RESOURCE = 'datadog_dashboard';
+    const DASHBOARD_JSON_RESOURCE = 'datadog_dashboard_json';
+    const MONITOR_RESOURCE = 'datadog_monitor';
+    const SLO_RESOURCE = 'datadog_service_level_objective';
+
+    // What each resource type is called in messages
+    const RESOURCE_KINDS = {
+        [DASHBOARD_RESOURCE]: 'dashboard',
+        [DASHBOARD_JSON_RESOURCE]: 'dashboard',
+        [MONITOR_RESOURCE]: 'monitor',
+        [SLO_RESOURCE]: 'service level objective'
+    };
+
+    // Fields the Datadog API sets; in datadog_dashboard_json they would show up
+    // as drift on every plan
+    const SERVER_MANAGED_FIELDS = ['id', 'url', 'author_handle', 'author_name', 'created_at', 'modified_at'];
+
+    // Dedicated renderers for widget types, used when widget-config.json has
+    // no entry for the type (e.g. with the fallback configuration) or when
+    // registered explicitly through registerWidgetRenderer()
+    const BUILT_IN_RENDERERS = {
+        group: 'generateGroupWidgetHCL',
+        timeseries: 'generateTimeseriesWidgetHCL',
+        query_value: 'generateQueryValueWidgetHCL',
+        note: 'generateNoteWidgetHCL',
+        toplist: 'generateToplistWidgetHCL',
+        scatterplot: 'generateScatterplotWidgetHCL',
+        heatmap: 'generateHeatmapWidgetHCL',
+        distribution: 'generateDistributionWidgetHCL',
+        check_status: 'generateCheckStatusWidgetHCL',
+        hostmap: 'generateHostmapWidgetHCL',
+        service_map: 'generateServiceMapWidgetHCL',
+        log_stream: 'generateLogStreamWidgetHCL',
+        trace_service: 'generateTraceServiceWidgetHCL',
+        iframe: 'generateIframeWidgetHCL',
+        image: 'generateImageWidgetHCL',
+        free_text: 'generateFreeTextWidgetHCL',
+        alert_graph: 'generateAlertGraphWidgetHCL',
+        alert_value: 'generateAlertValueWidgetHCL',
+        change: 'generateChangeWidgetHCL',
+        event_stream: 'generateEventStreamWidgetHCL',
+        event_timeline: 'generateEventTimelineWidgetHCL',
+        slo: 'generateSLOWidgetHCL',
+        monitor_summary: 'generateMonitorSummaryWidgetHCL',
+        manage_status: 'generateManageStatusWidgetHCL',
+        geomap: 'generateGeomapWidgetHCL'
+    };
+
+    class DatadogHCLConverter {
+        constructor() {
+            this.version = '1.0.0';
+            this.widgetMappings = null;
+            this.validationRules = null;
+            this.configuration = null;
+            this.providerVersion = null;
+            this.providerLimits = null;
+            this.diagnostics = null;
+            this.widgetContext = null;
+            this.layoutContext = null;
+            this.dataSources = null;
+            this.widgetRenderers = new Map();
+            this.initializeValidationPatterns();
+        }
+
+        loadConfiguration(config) {
+            if (!config || typeof config !== 'object' || !config.widgets) {
+                throw new Error('Invalid widget configuration: Expected an object with a "widgets" section');
+            }
+
+            // Set configuration properties (narrowed to the targeted provider version)
+            this.configuration = config;
+            this.applyProviderVersion();
+
+            // Set validation rules
+            this.validationRules = config.validationRules || this.getDefaultValidationRules();
+
+            return Object.keys(this.widgetMappings.widgets).length;
+        }
+
+        // Provider version
+
+        // Targets a Datadog provider version; null or "latest" keeps every mapping
+        setProviderVersion(version) {
+            if (version && version !== 'latest' && !/^\d+(\.\d+){0,2}$/.test(version)) {
+                throw new Error(`Invalid provider version "${version}" - expected a version such as 3.30.0`);
+            }
+
+            this.providerVersion = version && version !== 'latest' ? version : null;
+            if (this.configuration) {
+                this.applyProviderVersion();
+            }
+        }
+
+        // Versions offered for selection, oldest first
+        getProviderVersions() {
+            const versions = this.configuration?.providerVersions?.versions || [];
+            return [...versions].sort((a, b) => this.compareVersions(a, b));
+        }
+
+        // Builds widgetMappings from the loaded configuration. Widgets and query
+        // types that providerVersions.introduced dates after the targeted
+        // version are left out; they and any newer properties are kept in
+        // providerLimits so conversion and validation can name the version
+        // they need.
+        applyProviderVersion() {
+            const config = this.configuration;
+            const introduced = config.providerVersions?.introduced || {};
+            const newer = since => Boolean(this.providerVersion && since && this.compareVersions(since, this.providerVersion) > 0);
+            const limits = { widgets: {}, properties: {}, queryTypes: {} };
+
+            const widgets = {};
+            Object.entries(config.widgets).forEach(([type, widgetConfig]) => {
+                if (newer(introduced.widgets?.[type])) {
+                    limits.widgets[type] = introduced.widgets[type];
+                } else {
+                    widgets[type] = widgetConfig;
+                }
+            });
+
+            // "<widget type>.<JSON field>"
+            Object.entries(introduced.properties || {}).forEach(([key, since]) => {
+                const [type, property] = key.split('.');
+                if (widgets[type] && newer(since)) {
+                    limits.properties[type] = { ...limits.properties[type], [property]: since };
+                }
+            });
+
+            const modern = config.requestStructures?.modern;
+            const queryTypes = {};
+            Object.entries(modern?.queryTypes || {}).forEach(([name, queryConfig]) => {
+                if (newer(introduced.queryTypes?.[name])) {
+                    limits.queryTypes[name] = introduced.queryTypes[name];
+                } else {
+                    queryTypes[name] = queryConfig;
+                }
+            });
+
+            this.widgetMappings = {
+                layout: config.layout,
+                widgets: widgets,
+                requestStructures: modern
+                    ? { ...config.requestStructures, modern: { ...modern, queryTypes: queryTypes } }
+                    : config.requestStructures,
+                styles: config.styleBlocks,
+                monitor: config.monitor,
+                slo: config.slo
+            };
+            this.providerLimits = limits;
+        }
+
+        compareVersions(a, b) {
+            const left = String(a).split('.').map(Number);
+            const right = String(b).split('.').map(Number);
+            for (let i = 0; i < Math.max(left.length, right.length); i++) {
+                const difference = (left[i] || 0) - (right[i] || 0);
+                if (difference !== 0) return difference;
+            }
+            return 0;
+        }
+
+        describeProviderRequirement(since) {
+            return `needs Datadog provider ${since} or later (targeting ${this.providerVersion})`;
+        }
+
+        unsupportedWidgetMessage(widgetType) {
+            const since = this.providerLimits?.widgets[widgetType];
+            return since
+                ? `${widgetType} widget ${this.describeProviderRequirement(since)} - written as comments only`
+                : `Unsupported widget type "${widgetType}" - written as comments only`;
+        }
+
+        // The definition without the fields the targeted provider version lacks
+        withoutNewerProperties(definition, widgetType) {
+            const limited = this.providerLimits?.properties[widgetType];
+            if (!limited) return definition;
+
+            const supported = { ...definition };
+            Object.entries(limited).forEach(([property, since]) => {
+                if (supported[property] !== undefined) {
+                    this.addDiagnostic('warning', `definition.${property}`, `${property} ${this.describeProviderRequirement(since)} - skipped`);
+                    delete supported[property];
+                }
+            });
+            return supported;
+        }
+
+        // HCL blocks and attributes the targeted provider version does not have
+        getProviderLimitedNames() {
+            const limits = this.providerLimits;
+            const config = this.configuration;
+            if (!limits || !config) return [];
+
+            const names = [];
+            Object.entries(limits.widgets).forEach(([type, since]) => {
+                names.push({ name: config.widgets[type].blockName, since });
+            });
+            Object.entries(limits.properties).forEach(([type, properties]) => {
+                const widgetConfig = config.widgets[type];
+                Object.entries(properties).forEach(([property, since]) => {
+                    const hclProp = widgetConfig.specificProperties?.[property] ||
+                        widgetConfig.blocks?.[property]?.blockName || property;
+                    names.push({ name: config.styleBlocks?.[hclProp]?.blockName || hclProp, since });
+                });
+            });
+            Object.entries(limits.queryTypes).forEach(([name, since]) => names.push({ name, since }));
+            return names;
+        }
+
+        // Widget renderers
+
+        // renderer(definition, context) returns an HCLBlock, a list of blocks
+        // or HCL text for the *_definition block. context holds widgetType,
+        // widgetConfig and converter; with { compose: true } it also holds
+        // block, the configuration-driven block, which the renderer may change
+        // in place (returning nothing keeps it) or wrap.
+        registerWidgetRenderer(widgetType, renderer, options = {}) {
+            if (!widgetType || typeof widgetType !== 'string') {
+                throw new Error('registerWidgetRenderer: widgetType must be a widget type such as "timeseries"');
+            }
+            if (typeof renderer !== 'function') {
+                throw new Error(`registerWidgetRenderer: the renderer for ${widgetType} must be a function`);
+            }
+
+            this.widgetRenderers.set(widgetType, { render: renderer, compose: Boolean(options.compose) });
+        }
+
+        unregisterWidgetRenderer(widgetType) {
+            return this.widgetRenderers.delete(widgetType);
+        }
+
+        getWidgetRenderers() {
+            return {
+                registered: [...this.widgetRenderers.entries()].map(([type, entry]) => ({ type, compose: entry.compose })),
+                builtIn: Object.keys(BUILT_IN_RENDERERS)
+            };
+        }
+
+        // Picks the renderer for a widget definition: a registered one first,
+        // then widget-config.json, then a built-in renderer. Returns null when
+        // none applies.
+        renderWidgetDefinition(definition, widgetType) {
+            const widgetConfig = this.widgetMappings?.widgets?.[widgetType] || null;
+            const registered = this.widgetRenderers.get(widgetType);
+            const renderDefault = () => widgetConfig
+                ? this.generateConfiguredWidget(widgetConfig, definition, widgetType)
+                : this.renderBuiltInWidget(definition, widgetType);
+
+            if (!registered) {
+                return renderDefault();
+            }
+
+            const context = { widgetType: widgetType, widgetConfig: widgetConfig, converter: this };
+            if (registered.compose) {
+                context.block = renderDefault();
+            }
+
+            try {
+                const result = registered.render(definition, context);
+                const blocks = typeof result === 'string' ? parseHCL(result).children : result;
+                return blocks ?? context.block ?? null;
+            } catch (error) {
+                this.addDiagnostic('warning', 'definition', `Custom ${widgetType} renderer failed (${error.message}) - using the default output`);
+                return registered.compose ? context.block : renderDefault();
+            }
+        }
+
+        canRenderWidget(widgetType) {
+            return this.widgetRenderers.has(widgetType) ||
+                Boolean(this.widgetMappings?.widgets?.[widgetType]) ||
+                Boolean(BUILT_IN_RENDERERS[widgetType] && !this.providerLimits?.widgets[widgetType]);
+        }
+
+        renderBuiltInWidget(definition, widgetType) {
+            const method = BUILT_IN_RENDERERS[widgetType];
+
+            // Widgets the targeted provider version lacks stay unsupported
+            if (!method || this.providerLimits?.widgets[widgetType]) {
+                return null;
+            }
+
+            this.addDiagnostic('info', 'definition.type', `No configuration for ${widgetType} - using the built-in renderer`);
+            return this[method](definition);
+        }
+
+        // Converts a dashboard export, or a monitor or SLO export to a
+        // datadog_monitor or datadog_service_level_objective
+        convert(dashboardData, options = {}) {
+            const resourceType = this.getResourceType(dashboardData, options);
+
+            // Validate the data structure (throws on fatal problems)
+            if (resourceType === MONITOR_RESOURCE) {
+                this.diagnostics = this.validateMonitorData(dashboardData);
+            } else if (resourceType === SLO_RESOURCE) {
+                this.diagnostics = this.validateSLOData(dashboardData);
+            } else {
+                this.diagnostics = this.validateDashboardData(dashboardData);
+            }
+            this.widgetContext = null;
+
+            try {
+                const hcl = this.generateHCL(dashboardData, options);
+                const diagnostics = this.diagnostics;
+
+                return {
+                    hcl: hcl,
+                    resourceType: resourceType,
+                    warnings: diagnostics
+                        .filter(diagnostic => diagnostic.severity !== 'info')
+                        .map(diagnostic => this.formatDiagnostic(diagnostic)),
+                    diagnostics: diagnostics
+                };
+            } finally {
+                this.diagnostics = null;
+                this.widgetContext = null;
+                this.layoutContext = null;
+            }
+        }
+
+        // Diagnostics
+
+        createDiagnostic(severity, path, message) {
+            const context = this.widgetContext;
+            return {
+                severity: severity,
+                path: context && path ? `${context.path}.${path}` : (path || context?.path || ''),
+                widgetIndex: context ? context.index : null,
+                widgetId: context ? context.id : null,
+                message: message
+            };
+        }
+
+        // Only collected while convert() runs
+        addDiagnostic(severity, path, message) {
+            if (this.diagnostics) {
+                this.diagnostics.push(this.createDiagnostic(severity, path, message));
+            }
+        }
+
+        formatDiagnostic(diagnostic) {
+            return diagnostic.widgetIndex !== null ? `${diagnostic.path}: ${diagnostic.message}` : diagnostic.message;
+        }
+
+        initializeValidationPatterns() {
+            this.validationPatterns = {
+                // Basic HCL syntax patterns
+                validResourceName: /^[a-zA-Z][a-zA-Z0-9_-]*$/,
+                validIdentifier: /^[a-zA-Z_][a-zA-Z0-9_]*$/,
+                validStringLiteral: /^"([^"\\]|\\.)*"$/,
+                validNumber: /^-?\d+(\.\d+)?$/,
+                validBoolean: /^(true|false)$/,
+
+                // Terraform-specific patterns
+                validResourceType: /^[a-z]+_[a-z_]+$/,
+                validDataSource: /^data\.[a-z]+_[a-z_]+\.[a-zA-Z_][a-zA-Z0-9_]*$/,
+                validVariable: /^var\.[a-zA-Z_][a-zA-Z0-9_]*$/,
+                validLocal: /^local\.[a-zA-Z_][a-zA-Z0-9_]*$/,
+
+                // Datadog-specific patterns
+                validDashboardId: /^[a-z0-9-]{36}$|^[a-z0-9-]+$/,
+                validMetricQuery: /^[a-zA-Z0-9_\.\-\{\}\[\]\(\)\*\+\?\|\^$\\:,\s]+$/,
+                validColor: /^#[0-9a-fA-F]{6}$|^[a-zA-Z_]+$/,
+            };
+        }
+
+        getDefaultValidationRules() {
+            return {
+                required_dashboard_fields: ['title', 'layout_type'],
+                valid_layout_types: ['ordered', 'free'],
+                valid_widget_types: [
+                    'group', 'timeseries', 'query_value', 'note', 'toplist',
+                    'scatterplot', 'heatmap', 'distribution', 'check_status',
+                    'hostmap', 'service_map', 'log_stream', 'trace_service',
+                    'iframe', 'image', 'free_text', 'alert_graph', 'alert_value',
+                    'change', 'event_stream', 'event_timeline', 'slo',
+                    'monitor_summary', 'manage_status', 'geomap',
+                    'sunburst', 'treemap', 'funnel', 'list_stream', 'topology_map',
+                    'split_group', 'run_workflow', 'powerpack', 'slo_list'
+                ],
+                valid_display_types: ['line', 'area', 'bars'],
+                valid_aggregators: ['avg', 'max', 'min', 'sum', 'last'],
+                valid_comparators: ['>', '<', '>=', '<=', '==', '!='],
+                valid_palettes: ['dog_classic', 'cool', 'warm', 'purple', 'orange', 'gray'],
+                valid_text_aligns: ['left', 'center', 'right'],
+                valid_font_sizes: ['14', '16', '18', '24', '36', '48', '60'],
+                required_monitor_fields: ['name', 'type', 'query', 'message'],
+                valid_monitor_types: [
+                    'composite', 'event alert', 'event-v2 alert', 'log alert', 'metric alert',
+                    'process alert', 'query alert', 'rum alert', 'service check', 'synthetics alert',
+                    'trace-analytics alert', 'slo alert', 'audit alert', 'ci-pipelines alert',
+                    'ci-tests alert', 'error-tracking alert', 'database-monitoring alert',
+                    'network-performance alert', 'cost alert'
+                ],
+                valid_monitor_priorities: [1, 2, 3, 4, 5],
+                valid_on_missing_data: ['default', 'show_no_data', 'show_and_notify_no_data', 'resolve'],
+                required_slo_fields: ['name', 'type'],
+                valid_slo_types: ['metric', 'monitor'],
+                valid_slo_timeframes: ['7d', '30d', '90d', 'custom']
+            };
+        }
+
+        validateDashboardData(data) {
+            if (!data || typeof data !== 'object') {
+                throw new Error('Invalid JSON: Expected an object');
+            }
+
+            if (!data.title && !data.id) {
+                throw new Error('Dashboard must have either a title or id field');
+            }
+
+            // Warn about missing common fields
+            const diagnostics = [];
+            if (!data.id) diagnostics.push(this.createDiagnostic('warning', 'id', 'Missing dashboard ID - the dashboard cannot be imported'));
+            if (!data.title) diagnostics.push(this.createDiagnostic('warning', 'title', 'Missing title - using default'));
+            if (!data.layout_type) diagnostics.push(this.createDiagnostic('warning', 'layout_type', 'Missing layout_type - using "ordered"'));
+
+            return diagnostics;
+        }
+
+        generateHCL(dashboardData, options = {}) {
+            return printHCL(this.buildHCLDocument(dashboardData, options));
+        }
+
+        buildHCLDocument(dashboardData, options = {}) {
+            const document = new HCLDocument();
+
+            // Data sources the resource refers to are written before it
+            this.dataSources = [];
+            try {
+                const resourceType = this.getResourceType(dashboardData, options);
+                if (options.dashboardJson && resourceType !== DASHBOARD_JSON_RESOURCE) {
+                    this.addDiagnostic('info', '', `${DASHBOARD_JSON_RESOURCE} only applies to dashboards - writing a ${resourceType} resource`);
+                }
+
+                let blocks;
+                if (resourceType === MONITOR_RESOURCE) {
+                    blocks = [this.generateMonitorResource(dashboardData, options)];
+                } else if (resourceType === SLO_RESOURCE) {
+                    blocks = [this.generateSLOResource(dashboardData, options)];
+                } else if (resourceType === DASHBOARD_JSON_RESOURCE) {
+                    blocks = this.generateDashboardJSONBlocks(dashboardData, options);
+                } else {
+                    blocks = [this.generateDashboardResource(dashboardData, options)];
+                }
+                const resource = blocks[blocks.length - 1];
+                document.append(this.dataSources, blocks);
+
+                // Terraform 1.5+ adopts the existing dashboard (monitor, SLO) on the next apply
+                if (options.importBlock) {
+                    if (dashboardData.id) {
+                        document.append(this.generateImportBlock(resource.labels[1], dashboardData.id, resource.labels[0]));
+                    } else {
+                        this.addDiagnostic('warning', 'id', `Missing ${this.getResourceKind(resourceType)} ID - no import block written`);
+                    }
+                }
+            } finally {
+                this.dataSources = null;
+            }
+
+            return document;
+        }
+
+        generateImportBlock(resourceName, dashboardId, resourceType = DASHBOARD_RESOURCE) {
+            const block = new HCLBlock('import', []);
+            block.attribute('to', new HCLRaw(`${resourceType}.${resourceName}`));
+            block.attribute('id', String(dashboardId));
+            return block;
+        }
+
+        // imports: [{ resourceName, dashboardId, resourceType }] - one import
+        // block each, for an imports.tf next to the generated resources
+        formatImportBlocks(imports) {
+            const document = new HCLDocument();
+            imports.forEach(({ resourceName, dashboardId, resourceType }) => {
+                document.append(this.generateImportBlock(resourceName, dashboardId, resourceType));
+            });
+            return printHCL(document);
+        }
+
+        // Same imports as a script for Terraform versions without import blocks
+        formatImportScript(imports) {
+            const quote = text => `'${String(text).replace(/'/g, `'\\''`)}'`;
+            return [
+                '#!/bin/sh',
+                '# Imports the converted dashboards, monitors and SLOs into the Terraform state.',
+                '# Run from the directory holding the generated .tf files.',
+                'set -e',
+                '',
+                ...imports.map(({ resourceName, dashboardId, resourceType = DASHBOARD_RESOURCE }) =>
+                    `terraform import ${quote(`${resourceType}.${resourceName}`)} ${quote(dashboardId)}`
+                ),
+                ''
+            ].join('\n');
+        }
+
+        // Generate resource name from title (monitors and SLOs: name) - use lowercase convention to match original
+        // (batch conversion passes a name that is unique across the whole set)
+        getResourceName(dashboardData, options = {}) {
+            if (options.resourceName) return options.resourceName;
+
+            let title = dashboardData.title || 'imported_dashboard';
+            if (this.isMonitorData(dashboardData)) {
+                title = dashboardData.name || 'imported_monitor';
+            } else if (this.isSLOData(dashboardData)) {
+                title = dashboardData.name || 'imported_slo';
+            }
+            return this.generateResourceName(title, false);
+        }
+
+        // Terraform resource type an export converts to
+        getResourceType(data, options = {}) {
+            if (this.isMonitorData(data)) return MONITOR_RESOURCE;
+            if (this.isSLOData(data)) return SLO_RESOURCE;
+            return options.dashboardJson ? DASHBOARD_JSON_RESOURCE : DASHBOARD_RESOURCE;
+        }
+
+        getResourceKind(resourceType) {
+            return RESOURCE_KINDS[resourceType] || resourceType;
+        }
+
+        // datadog_dashboard_json for dashboards the widget mappings cannot
+        // express: the export itself as a jsonencode() object, so it stays
+        // reviewable HCL. With options.templateVariableLocals the template
+        // variables move to a locals block written before the resource
+        generateDashboardJSONBlocks(dashboardData, options = {}) {
+            const resourceName = this.getResourceName(dashboardData, options);
+            const dashboard = this.withoutServerManagedFields(dashboardData);
+            const blocks = [];
+
+            const templateVariables = dashboard.template_variables;
+            if (options.templateVariableLocals && Array.isArray(templateVariables) && templateVariables.length > 0) {
+                const local = `${resourceName}_template_variables`;
+                blocks.push(new HCLBlock('locals', []).attribute(local, templateVariables));
+                dashboard.template_variables = new HCLRaw(`local.${local}`);
+            }
+
+            const resource = new HCLBlock('resource', [DASHBOARD_JSON_RESOURCE, resourceName]);
+            resource.attribute('dashboard', new HCLCall('jsonencode', [dashboard]));
+            blocks.push(resource);
+
+            return blocks;
+        }
+
+        withoutServerManagedFields(dashboardData) {
+            const stripped = SERVER_MANAGED_FIELDS.filter(field => dashboardData.hasOwnProperty(field));
+            if (stripped.length > 0) {
+                this.addDiagnostic('info', '', `Server-managed fields not written: ${stripped.join(', ')}`);
+            }
+
+            const dashboard = Object.fromEntries(
+                Object.entries(dashboardData).filter(([key]) => !SERVER_MANAGED_FIELDS.includes(key))
+            );
+            if (Array.isArray(dashboard.widgets)) {
+                dashboard.widgets = this.withoutWidgetIds(dashboard.widgets);
+            }
+            return dashboard;
+        }
+
+        // The API assigns widget ids too, including those inside group widgets
+        withoutWidgetIds(widgets) {
+            return widgets.map(widget => {
+                if (!widget || typeof widget !== 'object') return widget;
+
+                const { id, ...rest } = widget;
+                if (Array.isArray(rest.definition?.widgets)) {
+                    rest.definition = { ...rest.definition, widgets: this.withoutWidgetIds(rest.definition.widgets) };
+                }
+                return rest;
+            });
+        }
+
+        // Monitors
+
+        // Monitor exports carry a monitor type with a query, options or message
+        // instead of widgets; a missing query is reported by validateMonitorData()
+        isMonitorData(data) {
+            return Boolean(data) && typeof data === 'object' && !Array.isArray(data.widgets) &&
+                !Array.isArray(data.thresholds) && typeof data.type === 'string' && (
+                typeof data.query === 'string' ||
+                (Boolean(data.options) && typeof data.options === 'object') ||
+                typeof data.message === 'string'
+            );
+        }
+
+        validateMonitorData(data) {
+            if (!data.name && !data.id) {
+                throw new Error('Monitor must have either a name or id field');
+            }
+
+            const diagnostics = [];
+            if (typeof data.query !== 'string' || !data.query) {
+                diagnostics.push(this.createDiagnostic('error', 'query', 'Missing query - the monitor cannot be created'));
+            }
+            if (!data.id) diagnostics.push(this.createDiagnostic('warning', 'id', 'Missing monitor ID - the monitor cannot be imported'));
+            if (!data.name) diagnostics.push(this.createDiagnostic('warning', 'name', 'Missing name - using default'));
+            if (!data.message) diagnostics.push(this.createDiagnostic('warning', 'message', 'Missing message - the monitor notifies nobody'));
+
+            return diagnostics;
+        }
+
+        // datadog_monitor as described in the "monitor" section of the
+        // configuration: top-level properties, then the attributes and blocks
+        // (thresholds -> monitor_thresholds) found under options
+        generateMonitorResource(monitorData, options = {}) {
+            const mapping = this.widgetMappings?.monitor;
+            if (!mapping) {
+                throw new Error('Invalid widget configuration: No "monitor" section to convert monitors with');
+            }
+
+            const resource = new HCLBlock('resource', [MONITOR_RESOURCE, this.getResourceName(monitorData, options)]);
+            const monitor = { ...monitorData, name: monitorData.name || 'Imported Monitor', message: monitorData.message || '' };
+            this.appendMappedAttributes(resource, mapping, monitor);
+
+            const optionsMapping = mapping.options || {};
+            const monitorOptions = { ...monitorData.options };
+
+            // on_missing_data replaces the older no-data options, which the provider rejects alongside it
+            if (monitorOptions.on_missing_data !== undefined && monitorOptions.on_missing_data !== null) {
+                ['notify_no_data', 'no_data_timeframe'].forEach(key => {
+                    const value = monitorOptions[key];
+                    delete monitorOptions[key];
+                    if (value !== undefined && value !== null && value !== false) {
+                        this.addDiagnostic('warning', `options.${key}`, `${key} is replaced by on_missing_data - not written`);
+                    }
+                });
+            }
+
+            this.appendMappedAttributes(resource, optionsMapping, monitorOptions);
+            Object.entries(optionsMapping.blocks || {}).forEach(([key, blockConfig]) => {
+                resource.append(this.generateSchemaBlocks(key, blockConfig, monitorOptions[key]).filter(block => !block.isEmpty()));
+            });
+
+            // Options the provider does not take; unset ones (silenced: {}, locked: false) are left out quietly
+            const mapped = [...(optionsMapping.properties || []), ...Object.keys(optionsMapping.blocks || {})];
+            const isUnset = value => value === null || value === false ||
+                (typeof value === 'object' && Object.keys(value).length === 0);
+            Object.entries(monitorOptions)
+                .filter(([key, value]) => !mapped.includes(key) && !isUnset(value))
+                .forEach(([key]) => {
+                    const replacement = mapping.deprecatedOptions?.[key];
+                    this.addDiagnostic('warning', `options.${key}`, replacement
+                        ? `${key} is deprecated in the Datadog provider - ${replacement}`
+                        : `No ${MONITOR_RESOURCE} mapping for option ${key} - skipped`);
+                });
+
+            return resource;
+        }
+
+        // Attributes listed in a monitor or SLO mapping. Empty lists (tags: [],
+        // restricted_roles: []) are the provider defaults
+        appendMappedAttributes(resource, mapping, values) {
+            (mapping.properties || []).forEach(property => {
+                const value = values[property];
+                if (value === undefined || value === null || (Array.isArray(value) && value.length === 0)) return;
+                resource.attribute(property, this.formatTypedValue(value, mapping.types?.[property]));
+            });
+        }
+
+        // Service level objectives
+
+        // SLO exports carry a list of thresholds and an SLO type (metric,
+        // monitor, time_slice); their query is a numerator/denominator object
+        isSLOData(data) {
+            return Boolean(data) && typeof data === 'object' && !Array.isArray(data.widgets) &&
+                Array.isArray(data.thresholds) && typeof data.type === 'string';
+        }
+
+        validateSLOData(data) {
+            if (!data.name && !data.id) {
+                throw new Error('SLO must have either a name or id field');
+            }
+
+            const types = this.widgetMappings?.slo?.supportedTypes || [];
+            if (!types.includes(data.type)) {
+                throw new Error(`Unsupported SLO type "${data.type}" - ${types.join(' and ')} SLOs can be converted`);
+            }
+
+            const diagnostics = [];
+            if (!data.id) diagnostics.push(this.createDiagnostic('warning', 'id', 'Missing SLO ID - the SLO cannot be imported'));
+            if (!data.name) diagnostics.push(this.createDiagnostic('warning', 'name', 'Missing name - using default'));
+            if (data.thresholds.length === 0) diagnostics.push(this.createDiagnostic('warning', 'thresholds', 'SLO has no thresholds'));
+
+            return diagnostics;
+        }
+
+        // datadog_service_level_objective as described in the "slo" section of
+        // the configuration: properties, then the query and thresholds blocks.
+        // The top-level timeframe/target_threshold repeat the first threshold
+        // and are not written
+        generateSLOResource(sloData, options = {}) {
+            const mapping = this.widgetMappings?.slo;
+            if (!mapping) {
+                throw new Error('Invalid widget configuration: No "slo" section to convert SLOs with');
+            }
+
+            const resource = new HCLBlock('resource', [SLO_RESOURCE, this.getResourceName(sloData, options)]);
+            this.appendMappedAttributes(resource, mapping, { ...sloData, name: sloData.name || 'Imported SLO' });
+
+            Object.entries(mapping.blocks || {}).forEach(([key, blockConfig]) => {
+                resource.append(this.generateSchemaBlocks(key, blockConfig, sloData[key]).filter(block => !block.isEmpty()));
+            });
+
+            return resource;
+        }
+
+        generateDashboardResource(dashboardData, options = {}) {
+            // Extract basic dashboard properties
+            const layoutType = dashboardData.layout_type || 'ordered';
+            const resourceName = this.getResourceName(dashboardData, options);
+
+            const resource = new HCLBlock('resource', [DASHBOARD_RESOURCE, resourceName]);
+            resource.attribute('title', dashboardData.title || 'Imported Dashboard');
+
+            // Always include description (even if empty) to match original
+            if (dashboardData.description) {
+                resource.attribute('description', dashboardData.description);
+            } else if (dashboardData.hasOwnProperty('description')) {
+                resource.attribute('description', '');
+            }
+
+            // Add reflow_type if present (comes before layout_type in original)
+            const reflowType = this.getReflowType(dashboardData, layoutType);
+            if (reflowType) {
+                resource.attribute('reflow_type', reflowType);
+            }
+            this.layoutContext = { layoutType: layoutType, reflowType: reflowType, bottom: 0, columnBreak: false, nested: false };
+
+            resource.attribute('layout_type', layoutType);
+
+            // Always include notify_list to match original structure
+            if (dashboardData.notify_list && dashboardData.notify_list.length > 0) {
+                resource.attribute('notify_list', dashboardData.notify_list);
+            } else if (dashboardData.hasOwnProperty('notify_list')) {
+                resource.attribute('notify_list', []);
+            }
+
+            // Roles allowed to edit (replaces the deprecated is_read_only)
+            const restrictedRoles = this.getRestrictedRoles(dashboardData, resourceName);
+            if (restrictedRoles) {
+                resource.attribute('restricted_roles', restrictedRoles);
+            }
+
+            // Add URL if available
+            if (dashboardData.url) {
+                resource.attribute('url', dashboardData.url);
+            }
+
+            // Add tags if available
+            if (dashboardData.tags && dashboardData.tags.length > 0) {
+                resource.attribute('tags', dashboardData.tags);
+            }
+
+            // Dashboard lists the dashboard belongs to (numeric IDs)
+            const dashboardLists = this.getDashboardLists(dashboardData.dashboard_lists);
+            if (dashboardLists.length > 0) {
+                resource.attribute('dashboard_lists', dashboardLists);
+            }
+
+            // Add template variables if available
+            if (dashboardData.template_variables && dashboardData.template_variables.length > 0) {
+                dashboardData.template_variables.forEach(variable => {
+                    const block = resource.block('template_variable');
+
+                    // available_values restricts the values users can pick; newer
+                    // exports send null for "any value", so only a list is written
+                    if (Array.isArray(variable.available_values)) {
+                        block.attribute('available_values', variable.available_values);
+                    }
+
+                    // Newer exports carry a defaults list (and default: null);
+                    // older ones a single default
+                    if (Array.isArray(variable.defaults)) {
+                        block.attribute('defaults', variable.defaults);
+                    } else if (variable.default !== undefined && variable.default !== null) {
+                        // Handle both single values and arrays
+                        block.attribute('defaults', Array.isArray(variable.default) ? variable.default : [variable.default]);
+                    } else {
+                        // Default to empty array to match original structure
+                        block.attribute('defaults', []);
+                    }
+
+                    block.attribute('name', variable.name);
+                    if (variable.prefix) block.attribute('prefix', variable.prefix);
+                });
+            }
+
+            // Add saved template variable views
+            if (Array.isArray(dashboardData.template_variable_presets)) {
+                dashboardData.template_variable_presets.forEach((preset, index) => {
+                    resource.append(this.generateTemplateVariablePreset(preset, `template_variable_presets[${index}]`));
+                });
+            }
+
+            // Add widgets (enhanced with better support)
+            if (dashboardData.widgets && dashboardData.widgets.length > 0) {
+                dashboardData.widgets.forEach((widget, index) => {
+                    resource.append(this.generateWidgetHCL(widget, index));
+                });
+                this.widgetContext = null;
+            } else {
+                resource.comment('No widgets found - add your widget configurations here');
+                this.addDiagnostic('info', 'widgets', 'Dashboard has no widgets');
+            }
+
+            return resource;
+        }
+
+        // restricted_roles as exported; a dashboard that only has the deprecated
+        // is_read_only = true is migrated to the Datadog Admin Role, which
+        // matches what is_read_only allowed (author and admins edit)
+        getRestrictedRoles(dashboardData, resourceName) {
+            const roles = dashboardData.restricted_roles;
+            const readOnly = dashboardData.is_read_only;
+
+            if (Array.isArray(roles) && roles.length > 0) {
+                if (readOnly !== undefined) {
+                    this.addDiagnostic('info', 'is_read_only', 'is_read_only is deprecated and restricted_roles is set - not written');
+                }
+                return roles.map(role => String(role));
+            }
+
+            if (readOnly === true) {
+                const name = `${resourceName}_admin`;
+                this.dataSources?.push(new HCLBlock('data', ['datadog_role', name]).attribute('filter', 'Datadog Admin Role'));
+                this.addDiagnostic('warning', 'is_read_only',
+                    `is_read_only is deprecated - migrated to restricted_roles with the Datadog Admin Role (data.datadog_role.${name}); add any other roles that may edit`);
+                return [new HCLRaw(`data.datadog_role.${name}.id`)];
+            }
+
+            if (readOnly !== undefined) {
+                this.addDiagnostic('info', 'is_read_only', 'is_read_only is deprecated - not written (anyone can edit, which is the default)');
+            }
+            return null;
+        }
+
+        getDashboardLists(lists) {
+            if (!Array.isArray(lists)) return [];
+
+            return lists.filter((id, index) => {
+                if (Number.isInteger(Number(id)) && String(id).trim() !== '') return true;
+                this.addDiagnostic('warning', `dashboard_lists[${index}]`, `Dashboard list ID ${JSON.stringify(id)} is not a number - skipped`);
+                return false;
+            }).map(Number);
+        }
+
+        // template_variable_preset with one template_variable block per
+        // variable; the deprecated single `value` becomes `values`
+        generateTemplateVariablePreset(preset, path) {
+            const block = new HCLBlock('template_variable_preset');
+            if (preset.name !== undefined) {
+                block.attribute('name', preset.name);
+            } else {
+                this.addDiagnostic('warning', `${path}.name`, 'Template variable preset has no name');
+            }
+
+            (preset.template_variables || []).forEach(variable => {
+                const variableBlock = block.block('template_variable').attribute('name', variable.name);
+                if (Array.isArray(variable.values)) {
+                    variableBlock.attribute('values', variable.values);
+                } else if (variable.value !== undefined && variable.value !== null) {
+                    variableBlock.attribute('values', [variable.value]);
+                }
+            });
+
+            return block;
+        }
+
+        generateWidgetHCL(widget, index) {
+            const widgetType = widget.definition?.type || 'unknown';
+            const definition = widget.definition || {};
+
+            this.widgetContext = { index: index, id: widget.id ?? null, path: `widgets[${index}]` };
+
+            // Use configuration-driven approach for modern syntax
+            return this.generateModernWidgetHCL(widget, widgetType, definition);
+        }
+
+        generateModernWidgetHCL(widget, widgetType, definition) {
+            const block = new HCLBlock('widget');
+
+            // Add widget ID if available
+            if (widget.id) {
+                block.attribute('id', String(widget.id));
+            }
+
+            // Generate widget_layout block (modern syntax)
+            block.append(this.generateWidgetLayout(widget.layout));
+
+            // Registered renderer, configuration or built-in renderer
+            const rendered = this.renderWidgetDefinition(definition, widgetType);
+
+            if (rendered) {
+                block.append(rendered);
+            } else {
+                // Fallback for unknown widget types or when configuration isn't loaded
+                this.addDiagnostic('warning', 'definition.type', this.unsupportedWidgetMessage(widgetType));
+                block.comment(`${widgetType} widget - configuration not yet supported`);
+                block.comment(`Please add configuration for ${widgetType} to widget mappings`);
+                if (definition.title) {
+                    block.comment(`Title: ${definition.title}`);
+                }
+                if (definition.requests && definition.requests.length > 0) {
+                    block.comment(`Has ${definition.requests.length} request(s)`);
+                }
+                block.comment(`Widget definition: ${JSON.stringify(definition, null, 4)}`);
+            }
+
+            return block;
+        }
+
+        generateConfiguredWidget(widgetConfig, widgetDefinition, widgetType) {
+            const block = new HCLBlock(widgetConfig.blockName);
+            const definition = this.withoutNewerProperties(widgetDefinition, widgetType);
+
+            // Add live_span first if it exists (preserving original behavior)
+            if (definition.live_span) {
+                block.attribute('live_span', definition.live_span);
+            }
+
+            // Add common properties
+            widgetConfig.commonProperties.forEach(prop => {
+                if (definition[prop] !== undefined && prop !== 'live_span') { // Skip live_span since we already added it
+                    block.attribute(prop, this.formatTypedValue(definition[prop], widgetConfig.types?.[prop]));
+                }
+            });
+
+            // Add specific properties (objects and object lists become blocks)
+            Object.entries(widgetConfig.specificProperties).forEach(([jsonProp, hclProp]) => {
+                const value = definition[jsonProp];
+                if (value === undefined) return;
+
+                if (this.isNestedValue(value)) {
+                    block.append(this.generateStyleBlocks(hclProp, value));
+                } else {
+                    block.attribute(hclProp, this.formatTypedValue(value, widgetConfig.types?.[hclProp]));
+                }
+            });
+
+            // Handle requests based on structure type
+            if (widgetConfig.requestStructure === 'schema' && definition.requests) {
+                block.append(this.generateSchemaRequests(definition.requests, widgetConfig));
+            } else if (widgetConfig.requestStructure === 'modern' && definition.requests && widgetConfig.features?.supportsTableRequests) {
+                block.append(this.generateTableRequests(definition.requests, widgetConfig));
+            } else if (widgetConfig.requestStructure === 'modern' && definition.requests) {
+                block.append(this.generateModernRequests(definition.requests));
+            } else if (widgetConfig.requestStructure === 'legacy' && definition.requests) {
+                block.append(this.generateLegacyRequests(definition.requests));
+            } else if (definition.requests && definition.requests.length > 0) {
+                this.addDiagnostic('info', 'definition.requests', `${widgetType} widgets take no requests - ignored`);
+            }
+
+            // Access features object properly
+            const features = widgetConfig.features || {};
+
+            // Handle yaxis configuration for widgets that support it
+            if (features.supportsYAxis && definition.yaxis) {
+                block.append(this.generateStyleBlocks('yaxis', definition.yaxis));
+            }
+
+            // Handle events for widgets that support them
+            if (features.supportsEvents && definition.events) {
+                block.append(this.generateStyleBlocks('events', definition.events));
+            }
+
+            // Handle style configuration for widgets that support it
+            if (features.supportsStyle && definition.style) {
+                block.append(this.generateStyleBlocks('style', definition.style));
+            }
+
+            // Handle view configuration for widgets that support it
+            if (features.supportsView && definition.view) {
+                block.append(this.generateStyleBlocks('view', definition.view));
+            }
+
+            // Handle sort configuration for widgets that support it
+            if (features.supportsSort && definition.sort) {
+                block.append(this.generateStyleBlocks('sort', definition.sort));
+            }
+
+            // Handle sunburst legends (legend_inline or legend_table by type)
+            if (features.supportsLegendBlocks && definition.legend) {
+                block.append(this.generateLegendConfiguration(definition.legend));
+            }
+
+            // Handle the widget a split graph repeats
+            if (features.hasSourceWidget && definition.source_widget_definition) {
+                block.append(this.generateSourceWidget(definition.source_widget_definition));
+            }
+
+            // Handle blocks described in the widget's configuration
+            Object.entries(widgetConfig.blocks || {}).forEach(([key, blockConfig]) => {
+                if (definition[key] !== undefined) {
+                    block.append(this.generateSchemaBlocks(key, blockConfig, definition[key]));
+                }
+            });
+
+            // Note: live_span is handled at widget level, time blocks are not needed
+
+            // Handle nested widgets for group widgets
+            if (features.hasNestedWidgets && definition.widgets) {
+                // A group lays out its widgets on its own grid, where columns do not break
+                const parent = this.layoutContext && { bottom: this.layoutContext.bottom, nested: this.layoutContext.nested };
+                if (this.layoutContext) Object.assign(this.layoutContext, { bottom: 0, nested: true });
+
+                definition.widgets.forEach((nestedWidget, index) => {
+                    block.append(this.generateNestedWidget(nestedWidget, index));
+                });
+
+                if (this.layoutContext) Object.assign(this.layoutContext, parent);
+            }
+
+            return block;
+        }
+
+        generateLegendConfiguration(legend) {
+            const inline = ['inline', 'automatic'].includes(legend.type);
+            const block = new HCLBlock(inline ? 'legend_inline' : 'legend_table');
+
+            block.attribute('type', legend.type);
+            if (inline && legend.hide_percent !== undefined) {
+                block.attribute('hide_percent', legend.hide_percent);
+            }
+            if (inline && legend.hide_value !== undefined) {
+                block.attribute('hide_value', legend.hide_value);
+            }
+
+            return block;
+        }
+
+        generateSourceWidget(sourceDefinition) {
+            const block = new HCLBlock('source_widget_definition');
+            const sourceType = sourceDefinition.type || 'unknown';
+            const widgetConfig = this.widgetMappings?.widgets?.[sourceType];
+
+            if (widgetConfig) {
+                block.append(this.generateConfiguredWidget(widgetConfig, sourceDefinition, sourceType));
+            } else {
+                this.addDiagnostic('warning', 'definition.source_widget_definition.type',
+                    `Unsupported source widget type "${sourceType}" - written as an empty block`);
+            }
+
+            return block;
+        }
+
+        generateModernRequests(requests) {
+            const blocks = [];
+
+            requests.forEach((request, index) => {
+                if (this.hasValidRequestContent(request)) {
+                    const block = new HCLBlock('request');
+
+                    // Add request-level properties first (preserving original order)
+                    if (request.display_type) {
+                        block.attribute('display_type', request.display_type);
+                    }
+                    if (request.on_right_yaxis !== undefined) {
+                        block.attribute('on_right_yaxis', request.on_right_yaxis);
+                    }
+
+                    // Add conditional formats (preserving original order - before queries)
+                    if (request.conditional_formats && Array.isArray(request.conditional_formats)) {
+                        block.append(this.generateStyleBlocks('conditional_formats', request.conditional_formats));
+                    }
+
+                    // Add formulas if present (preserving original order)
+                    const droppedQueries = this.getDroppedQueryNames(request.queries);
+                    if (request.formulas && Array.isArray(request.formulas)) {
+                        request.formulas.forEach((formula, formulaIndex) => {
+                            block.append(this.generateFormula(formula, `definition.requests[${index}].formulas[${formulaIndex}]`, droppedQueries));
+                        });
+                    }
+
+                    // Generate query blocks (modern format)
+                    if (request.queries && Array.isArray(request.queries)) {
+                        request.queries.forEach((query, queryIndex) => {
+                            const queryPath = `definition.requests[${index}].queries[${queryIndex}]`;
+                            block.append(this.generateQueryBlock(query, queryPath));
+                        });
+                    } else if (request.q) {
+                        // Convert legacy q to modern format
+                        block.block('query').block('metric_query')
+                            .attribute('aggregator', request.aggregator || 'avg')
+                            .attribute('data_source', 'metrics')
+                            .attribute('name', 'query1')
+                            .attribute('query', request.q);
+                    }
+
+                    // Add style
+                    if (request.style) {
+                        block.append(this.generateStyleBlocks('style', request.style));
+                    }
+
+                    blocks.push(block);
+                } else {
+                    this.addDiagnostic('warning', `definition.requests[${index}]`, 'Request has no q, queries or formulas - skipped');
+                }
+            });
+
+            return blocks;
+        }
+
+        // Table requests keep q as-is (alias, limit and order apply to it) and
+        // add the per-column display settings the generic renderer ignores
+        generateTableRequests(requests, widgetConfig) {
+            const blocks = [];
+
+            requests.forEach((request, index) => {
+                if (!this.hasValidRequestContent(request, widgetConfig)) {
+                    this.addDiagnostic('warning', `definition.requests[${index}]`, 'Request has no q, queries, formulas or apm_stats_query - skipped');
+                    return;
+                }
+
+                const block = new HCLBlock('request');
+
+                if (request.aggregator) {
+                    block.attribute('aggregator', request.aggregator);
+                }
+                if (request.alias) {
+                    block.attribute('alias', request.alias);
+                }
+                if (Array.isArray(request.cell_display_mode)) {
+                    block.attribute('cell_display_mode', request.cell_display_mode);
+                }
+                if (request.limit !== undefined) {
+                    block.attribute('limit', request.limit);
+                }
+                if (request.order) {
+                    block.attribute('order', request.order);
+                }
+                if (request.q) {
+                    block.attribute('q', request.q);
+                }
+
+                if (request.conditional_formats && Array.isArray(request.conditional_formats)) {
+                    block.append(this.generateStyleBlocks('conditional_formats', request.conditional_formats));
+                }
+
+                const droppedQueries = this.getDroppedQueryNames(request.queries);
+                if (request.formulas && Array.isArray(request.formulas)) {
+                    request.formulas.forEach((formula, formulaIndex) => {
+                        block.append(this.generateFormula(formula, `definition.requests[${index}].formulas[${formulaIndex}]`, droppedQueries));
+                    });
+                }
+
+                if (request.queries && Array.isArray(request.queries)) {
+                    request.queries.forEach((query, queryIndex) => {
+                        const queryPath = `definition.requests[${index}].queries[${queryIndex}]`;
+                        block.append(this.generateQueryBlock(query, queryPath));
+                    });
+                }
+
+                if (request.apm_stats_query) {
+                    block.append(this.generateApmStatsQuery(request.apm_stats_query));
+                }
+
+                if (request.text_formats && Array.isArray(request.text_formats)) {
+                    block.append(this.generateTextFormats(request.text_formats));
+                }
+
+                blocks.push(block);
+            });
+
+            return blocks;
+        }
+
+        generateSchemaRequests(requests, widgetConfig) {
+            const blocks = [];
+
+            requests.forEach((request, index) => {
+                if (this.hasValidRequestContent(request, widgetConfig)) {
+                    blocks.push(this.generateSchemaBlock('request', widgetConfig.requestSchema || {}, request));
+                } else {
+                    const required = (widgetConfig.requestSchema?.required || []).join(', ');
+                    this.addDiagnostic('warning', `definition.requests[${index}]`, `Request has no ${required} - skipped`);
+                }
+            });
+
+            return blocks;
+        }
+
+        generateApmStatsQuery(apmStatsQuery) {
+            const block = new HCLBlock('apm_stats_query');
+
+            ['env', 'name', 'primary_tag', 'resource', 'row_type', 'service'].forEach(property => {
+                if (apmStatsQuery[property] !== undefined) {
+                    block.attribute(property, apmStatsQuery[property]);
+                }
+            });
+
+            (apmStatsQuery.columns || []).forEach(column => {
+                const columnBlock = block.block('columns');
+                if (column.alias) columnBlock.attribute('alias', column.alias);
+                if (column.cell_display_mode) columnBlock.attribute('cell_display_mode', column.cell_display_mode);
+                columnBlock.attribute('name', column.name);
+                if (column.order) columnBlock.attribute('order', column.order);
+            });
+
+            return block;
+        }
+
+        // One text_formats block per column, holding that column's rules
+        generateTextFormats(textFormats) {
+            return textFormats.map(rules => {
+                const block = new HCLBlock('text_formats');
+
+                [].concat(rules || []).forEach(rule => {
+                    const textFormat = block.block('text_format');
+                    if (rule.custom_bg_color) textFormat.attribute('custom_bg_color', rule.custom_bg_color);
+                    if (rule.custom_fg_color) textFormat.attribute('custom_fg_color', rule.custom_fg_color);
+                    if (rule.palette) textFormat.attribute('palette', rule.palette);
+
+                    if (rule.match) {
+                        const match = textFormat.block('match');
+                        if (rule.match.type) match.attribute('type', rule.match.type);
+                        if (rule.match.value !== undefined) match.attribute('value', rule.match.value);
+                    }
+
+                    if (rule.replace) {
+                        const replace = textFormat.block('replace');
+                        if (rule.replace.type) replace.attribute('type', rule.replace.type);
+                        if (rule.replace.substring !== undefined) replace.attribute('substring', rule.replace.substring);
+                        if (rule.replace.with !== undefined) replace.attribute('with', rule.replace.with);
+                    }
+                });
+
+                return block;
+            });
+        }
+
+        // droppedQueries: names of the request's queries generateQueryBlock() leaves out
+        generateFormula(formula, path, droppedQueries = []) {
+            const expression = formula.formula || formula.formula_expression;
+            const identifiers = String(expression || '').match(/[A-Za-z_]\w*/g) || [];
+            const missing = droppedQueries.filter(name => identifiers.includes(name));
+            if (missing.length > 0) {
+                this.addDiagnostic('warning', path, `Formula "${expression}" uses dropped query ${missing.join(', ')} - skipped`);
+                return null;
+            }
+
+            const block = new HCLBlock('formula');
+
+            if (formula.alias) {
+                block.attribute('alias', formula.alias);
+            }
+            if (formula.cell_display_mode) {
+                block.attribute('cell_display_mode', formula.cell_display_mode);
+            }
+            block.attribute('formula_expression', expression);
+
+            ['cell_display_mode_options', 'conditional_formats', 'limit'].forEach(name => {
+                if (formula[name]) {
+                    block.append(this.generateStyleBlocks(name, formula[name]));
+                }
+            });
+
+            if (formula.number_format) {
+                block.append(this.generateNumberFormat(formula.number_format, `${path}.number_format`));
+            }
+
+            if (formula.style) {
+                block.append(this.generateStyleBlocks('style', formula.style));
+            }
+
+            return block;
+        }
+
+        // JSON units carry a type (canonical_unit, custom_unit_label); the
+        // provider wants a canonical or custom block instead
+        generateNumberFormat(numberFormat, path) {
+            const block = new HCLBlock('number_format');
+            const config = this.widgetMappings?.styles?.number_format || {};
+
+            if (numberFormat.unit) {
+                const unitConfig = config.units?.[numberFormat.unit.type];
+                if (unitConfig) {
+                    const unit = block.block('unit').block(unitConfig.block);
+                    unitConfig.properties.forEach(property => {
+                        if (numberFormat.unit[property] !== undefined && numberFormat.unit[property] !== null) {
+                            unit.attribute(property, numberFormat.unit[property]);
+                        }
+                    });
+                } else {
+                    this.addDiagnostic('warning', `${path}.unit.type`, `Unsupported unit type "${numberFormat.unit.type}" - unit skipped`);
+                }
+            }
+
+            if (numberFormat.unit_scale) {
+                const unitScale = block.block('unit_scale');
+                (config.unitScale?.properties || ['unit_name']).forEach(property => {
+                    if (numberFormat.unit_scale[property] !== undefined) {
+                        unitScale.attribute(property, numberFormat.unit_scale[property]);
+                    }
+                });
+            }
+
+            return block;
+        }
+
+        // A query no mapped query type takes is dropped (an empty query block is
+        // invalid), and so are the formulas using it
+        generateQueryBlock(query, path = 'query') {
+            const block = new HCLBlock('query');
+            const queryTypes = this.widgetMappings?.requestStructures?.modern?.queryTypes || {};
+            const queryType = this.getQueryType(query, queryTypes);
+
+            if (!queryType) {
+                const allQueryTypes = this.configuration?.requestStructures?.modern?.queryTypes || {};
+                const newerType = this.getQueryType(query, Object.fromEntries(
+                    Object.keys(this.providerLimits?.queryTypes || {}).map(name => [name, allQueryTypes[name]])
+                ));
+                this.addDiagnostic('warning', path, newerType
+                    ? `${newerType} ${this.describeProviderRequirement(this.providerLimits.queryTypes[newerType])} - query dropped`
+                    : `Unsupported query (data_source "${query.data_source}") - query dropped`);
+                return null;
+            }
+
+            const queryConfig = queryTypes[queryType];
+            const missing = (queryConfig.required || []).filter(property => query[property] === undefined);
+            if (missing.length > 0) {
+                this.addDiagnostic('warning', path, `${queryType} is missing required ${missing.join(', ')}`);
+            }
+
+            block.append(this.generateSchemaBlock(queryType, queryConfig, query));
+            return block;
+        }
+
+        getDroppedQueryNames(queries) {
+            const queryTypes = this.widgetMappings?.requestStructures?.modern?.queryTypes || {};
+            return (Array.isArray(queries) ? queries : [])
+                .filter(query => query.name && !this.getQueryType(query, queryTypes))
+                .map(query => query.name);
+        }
+
+        // The query type whose dataSources list the query's data_source; without
+        // one, the first type whose required fields (besides data_source and
+        // name) are all present
+        getQueryType(query, queryTypes) {
+            const types = Object.keys(queryTypes);
+
+            if (query.data_source) {
+                return types.find(type => (queryTypes[type].dataSources || []).includes(query.data_source)) || null;
+            }
+
+            return types.find(type => {
+                const required = (queryTypes[type].required || []).filter(property => !['data_source', 'name'].includes(property));
+                return required.length > 0 && required.every(property => query[property] !== undefined);
+            }) || null;
+        }
+
+        // Renders a JSON object from a schema in widget-config.json: attributes
+        // from `properties` (converted per `types`), nested blocks from `blocks`
+        // (keyed by JSON name, `blockName` when the HCL name differs). An array
+        // value becomes one block per item; `wrap` names the child that holds an
+        // item that is itself an array (static_splits: [[...]] -> split_vector
+        // blocks). Without `properties` every field is rendered as it comes.
+        generateSchemaBlock(name, config, values) {
+            const block = new HCLBlock(config.blockName || name);
+            const blocks = this.getSchemaBlocks(config);
+            const properties = config.properties ||
+                Object.keys(values).filter(key => !blocks[key] && !this.isNestedValue(values[key]));
+
+            properties.forEach(property => {
+                const value = values[property];
+                if (value !== undefined && value !== null) {
+                    block.attribute(property, this.formatTypedValue(value, config.types?.[property]));
+                }
+            });
+
+            if (!config.properties) {
+                Object.keys(values)
+                    .filter(key => !blocks[key] && this.isNestedValue(values[key]))
+                    .forEach(key => { blocks[key] = this.widgetMappings?.styles?.[key] || {}; });
+            }
+
+            Object.entries(blocks).forEach(([key, blockConfig]) => {
+                block.append(this.generateSchemaBlocks(key, blockConfig, values[key]));
+            });
+
+            return block;
+        }
+
+        // `blocks` is either a map of schemas or a list of styleBlocks names
+        getSchemaBlocks(config) {
+            if (Array.isArray(config.blocks)) {
+                const styles = this.widgetMappings?.styles || {};
+                return Object.fromEntries(config.blocks.map(name => [name, styles[name] || {}]));
+            }
+            return { ...(config.blocks || {}) };
+        }
+
+        // Nested blocks (yaxis, custom_links, ...) as described in styleBlocks
+        generateStyleBlocks(name, value) {
+            return this.generateSchemaBlocks(name, this.widgetMappings?.styles?.[name] || {}, value);
+        }
+
+        // Converts a JSON value to the provider's attribute type (string,
+        // number or bool) where the export uses another one
+        formatTypedValue(value, type) {
+            if (type === 'string' && (typeof value === 'number' || typeof value === 'boolean')) {
+                return String(value);
+            }
+            if (type === 'number' && typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+                return Number(value);
+            }
+            if (type === 'bool' && (value === 'true' || value === 'false')) {
+                return value === 'true';
+            }
+            return value;
+        }
+
+        isNestedValue(value) {
+            const isObject = item => item !== null && typeof item === 'object' && !Array.isArray(item);
+            return isObject(value) || (Array.isArray(value) && value.length > 0 && value.every(isObject));
+        }
+
+        generateSchemaBlocks(key, config, value) {
+            const items = config.wrap
+                ? [].concat(Array.isArray(value) ? value : []).map(item => Array.isArray(item) ? { [config.wrap]: item } : item)
+                : [].concat(value ?? []);
+
+            return items
+                .filter(item => item !== null && typeof item === 'object')
+                .map(item => this.generateSchemaBlock(key, config, item));
+        }
+
+        // Layout
+
+        // reflow_type only exists for ordered dashboards: "auto" or "fixed"
+        getReflowType(dashboardData, layoutType) {
+            const reflowType = dashboardData.reflow_type;
+            if (reflowType === undefined || reflowType === null) {
+                return null;
+            }
+
+            if (layoutType !== 'ordered') {
+                this.addDiagnostic('warning', 'reflow_type', `reflow_type only applies to ordered dashboards - not written for a ${layoutType} layout`);
+                return null;
+            }
+            if (!['auto', 'fixed'].includes(reflowType)) {
+                this.addDiagnostic('warning', 'reflow_type', `Unknown reflow_type "${reflowType}" - not written (expected auto or fixed)`);
+                return null;
+            }
+            return reflowType;
+        }
+
+        // free: every widget is placed freely; ordered + reflow_type fixed:
+        // every widget is placed on the 12-column grid; ordered + auto: Datadog
+        // places widgets itself and rejects layouts; plain ordered: layouts on
+        // the grid are kept when the export has them
+        getLayoutRules() {
+            const context = this.layoutContext || { layoutType: 'ordered', reflowType: null };
+            const free = context.layoutType === 'free';
+
+            return {
+                free: free,
+                required: free || context.reflowType === 'fixed',
+                omitted: !free && context.reflowType === 'auto',
+                columns: free ? null : (this.widgetMappings?.layout?.columns || 12)
+            };
+        }
+
+        generateWidgetLayout(layout) {
+            const rules = this.getLayoutRules();
+            const context = this.layoutContext || { bottom: 0, columnBreak: false };
+            const layoutConfig = this.widgetMappings?.layout || {};
+            const defaults = { width: rules.columns || 12, height: 8, ...layoutConfig.defaults };
+
+            if (rules.omitted) {
+                if (layout) {
+                    this.addDiagnostic('info', 'layout', 'reflow_type "auto" places widgets automatically - layout not written');
+                }
+                return null;
+            }
+
+            if (!layout || typeof layout !== 'object') {
+                if (!rules.required) {
+                    return null;
+                }
+                layout = { x: 0, y: context.bottom, width: Math.min(defaults.width, rules.columns || Infinity), height: defaults.height };
+                this.addDiagnostic('warning', 'layout',
+                    `${rules.free ? 'Free' : 'Fixed'} layouts place every widget but this one has no layout - placed at x=0, y=${layout.y}`);
+            }
+
+            const geometry = {
+                x: this.getLayoutValue(layout, 'x', 0, 0),
+                y: this.getLayoutValue(layout, 'y', 0, 0),
+                width: this.getLayoutValue(layout, 'width', defaults.width, 1),
+                height: this.getLayoutValue(layout, 'height', defaults.height, 1)
+            };
+
+            if (rules.columns) {
+                if (geometry.width > rules.columns) {
+                    this.addDiagnostic('warning', 'layout.width', `width ${geometry.width} is wider than the ${rules.columns}-column grid - using ${rules.columns}`);
+                    geometry.width = rules.columns;
+                }
+                if (geometry.x + geometry.width > rules.columns) {
+                    const x = rules.columns - geometry.width;
+                    this.addDiagnostic('warning', 'layout.x', `x ${geometry.x} puts the widget past the ${rules.columns}-column grid - using ${x}`);
+                    geometry.x = x;
+                }
+            }
+
+            context.bottom = Math.max(context.bottom, geometry.y + geometry.height);
+
+            const block = new HCLBlock(layoutConfig.blockName || 'widget_layout');
+            block.attribute('height', geometry.height);
+
+            // is_column_break belongs to the ordered dashboard grid, and only one
+            // top-level widget may set it
+            let columnBreak = layout.is_column_break;
+            if (columnBreak !== undefined && context.nested) {
+                this.addDiagnostic('warning', 'layout.is_column_break', 'is_column_break only applies to top-level widgets, not to widgets in a group - not written');
+                columnBreak = undefined;
+            } else if (columnBreak && rules.free) {
+                this.addDiagnostic('warning', 'layout.is_column_break', 'is_column_break only applies to ordered dashboards - not written');
+                columnBreak = undefined;
+            } else if (columnBreak && context.columnBreak) {
+                this.addDiagnostic('warning', 'layout.is_column_break', 'Only one widget can start the second column - is_column_break set to false');
+                columnBreak = false;
+            } else if (columnBreak) {
+                context.columnBreak = true;
+            }
+            if (columnBreak !== undefined && !rules.free) {
+                block.attribute('is_column_break', Boolean(columnBreak));
+            }
+
+            block.attribute('width', geometry.width)
+                .attribute('x', geometry.x)
+                .attribute('y', geometry.y);
+
+            return block;
+        }
+
+        // A whole number no smaller than minimum; anything else is repaired
+        // with a diagnostic
+        getLayoutValue(layout, field, fallback, minimum) {
+            const value = layout[field];
+            if (value === undefined || value === null || value === '') {
+                this.addDiagnostic('warning', `layout.${field}`, `Missing ${field} - using ${fallback}`);
+                return fallback;
+            }
+
+            const number = Number(value);
+            if (!Number.isFinite(number)) {
+                this.addDiagnostic('warning', `layout.${field}`, `Invalid ${field} ${JSON.stringify(value)} - using ${fallback}`);
+                return fallback;
+            }
+            if (number < minimum) {
+                const repaired = minimum === 0 ? 0 : fallback;
+                this.addDiagnostic('warning', `layout.${field}`, `${field} ${number} is below ${minimum} - using ${repaired}`);
+                return repaired;
+            }
+            if (!Number.isInteger(number)) {
+                this.addDiagnostic('warning', `layout.${field}`, `${field} ${number} is not a whole number - using ${Math.round(number)}`);
+                return Math.round(number);
+            }
+            return number;
+        }
+
+        generateNestedWidget(nestedWidget, index) {
+            const parentContext = this.widgetContext;
+            this.widgetContext = {
+                index: parentContext ? parentContext.index : index,
+                id: nestedWidget.id ?? null,
+                path: parentContext ? `${parentContext.path}.definition.widgets[${index}]` : `widgets[${index}]`
+            };
+
+            const block = new HCLBlock('widget');
+
+            if (nestedWidget.id) {
+                block.attribute('id', String(nestedWidget.id));
+            }
+
+            block.append(this.generateWidgetLayout(nestedWidget.layout));
+
+            const nestedDefinition = nestedWidget.definition || {};
+            const nestedType = nestedDefinition.type || 'unknown';
+            const rendered = this.renderWidgetDefinition(nestedDefinition, nestedType);
+
+            if (rendered) {
+                block.append(rendered);
+            } else {
+                this.addDiagnostic('warning', 'definition.type', this.unsupportedWidgetMessage(nestedType));
+                block.comment(`${nestedType} widget - configuration not yet supported`);
+                block.comment(`Please add configuration for ${nestedType} to widget mappings`);
+                if (nestedDefinition.title) {
+                    block.comment(`Title: ${nestedDefinition.title}`);
+                }
+            }
+
+            this.widgetContext = parentContext;
+            return block;
+        }
+
+        hasValidRequestContent(request, widgetConfig = null) {
+            if (widgetConfig?.requestStructure === 'schema') {
+                return (widgetConfig.requestSchema?.required || []).every(property => request[property] !== undefined);
+            }
+
+            return request.q ||
+                   (request.queries && request.queries.length > 0) ||
+                   (request.formulas && request.formulas.length > 0) ||
+                   Boolean(widgetConfig?.features?.supportsTableRequests && request.apm_stats_query);
+        }
+
+        generateGroupWidgetHCL(definition) {
+            const block = new HCLBlock('group_definition');
+
+            if (definition.title) {
+                block.attribute('title', definition.title);
+            }
+
+            if (definition.layout_type) {
+                block.attribute('layout_type', definition.layout_type);
+            }
+
+            if (definition.background_color) {
+                block.attribute('background_color', definition.background_color);
+            }
+
+            if (definition.banner_img) {
+                block.attribute('banner_img', definition.banner_img);
+            }
+
+            if (definition.show_title !== undefined) {
+                block.attribute('show_title', definition.show_title);
+            }
+
+            // Add nested widgets if available
+            if (definition.widgets && definition.widgets.length > 0) {
+                block.comment('Nested widgets in group');
+                definition.widgets.forEach((nestedWidget, index) => {
+                    block.append(this.generateNestedWidget(nestedWidget, index));
+                });
+            }
+
+            return block;
+        }
+
+        // Legacy widget generation methods - kept for backward compatibility
+        // These are now superseded by the configuration-driven approach but maintained for fallback scenarios
+        generateTimeseriesWidgetHCL(definition) {
+            const block = new HCLBlock('timeseries_definition');
+
+            if (definition.title) {
+                block.attribute('title', definition.title);
+            }
+
+            if (definition.title_size) {
+                block.attribute('title_size', String(definition.title_size));
+            }
+
+            if (definition.title_align) {
+                block.attribute('title_align', definition.title_align);
+            }
+
+            if (definition.show_legend !== undefined) {
+                block.attribute('show_legend', definition.show_legend);
+            }
+
+            if (definition.legend_layout) {
+                block.attribute('legend_layout', definition.legend_layout);
+            }
+
+            if (definition.legend_columns && Array.isArray(definition.legend_columns)) {
+                block.attribute('legend_columns', definition.legend_columns);
+            }
+
+            if (definition.live_span) {
+                block.attribute('live_span', definition.live_span);
+            }
+
+            // Add requests only if they exist and have content
+            if (definition.requests && Array.isArray(definition.requests) && definition.requests.length > 0) {
+                definition.requests.forEach((request, index) => {
+                    // Only create request block if it has meaningful content
+                    if (request.q || request.queries || (request.formulas && request.formulas.length > 0)) {
+                        const requestBlock = block.block('request');
+
+                        if (request.q) {
+                            requestBlock.attribute('q', request.q);
+                        }
+
+                        if (request.display_type) {
+                            requestBlock.attribute('display_type', request.display_type);
+                        }
+
+                        if (request.style) {
+                            requestBlock.append(this.generateStyleBlocks('style', request.style));
+                        }
+
+                        if (request.metadata && Array.isArray(request.metadata)) {
+                            request.metadata.forEach((meta, metaIndex) => {
+                                const metadata = requestBlock.block('metadata');
+                                if (meta.expression) metadata.attribute('expression', meta.expression);
+                                if (meta.alias_name) metadata.attribute('alias_name', meta.alias_name);
+                            });
+                        }
+                    }
+                });
+            }
+
+            // Add yaxis if available
+            if (definition.yaxis) {
+                block.append(this.generateStyleBlocks('yaxis', definition.yaxis));
+            }
+
+            // Add events if available
+            if (definition.events && Array.isArray(definition.events)) {
+                block.append(this.generateStyleBlocks('events', definition.events));
+            }
+
+            return block;
+        }
+
+        generateQueryValueWidgetHCL(definition) {
+            const block = new HCLBlock('query_value_definition');
+
+            if (definition.title) {
+                block.attribute('title', definition.title);
+            }
+
+            if (definition.title_size) {
+                block.attribute('title_size', String(definition.title_size));
+            }
+
+            if (definition.title_align) {
+                block.attribute('title_align', definition.title_align);
+            }
+
+            if (definition.live_span) {
+                block.attribute('live_span', definition.live_span);
+            }
+
+            if (definition.autoscale !== undefined) {
+                block.attribute('autoscale', definition.autoscale);
+            }
+
+            if (definition.custom_unit) {
+                block.attribute('custom_unit', definition.custom_unit);
+            }
+
+            if (definition.precision !== undefined) {
+                block.attribute('precision', definition.precision);
+            }
+
+            // Add requests only if they exist and have content
+            if (definition.requests && Array.isArray(definition.requests) && definition.requests.length > 0) {
+                definition.requests.forEach((request, index) => {
+                    // Only create request block if it has meaningful content
+                    if (request.q || request.queries || (request.formulas && request.formulas.length > 0)) {
+                        const requestBlock = block.block('request');
+
+                        if (request.q) {
+                            requestBlock.attribute('q', request.q);
+                        }
+
+                        if (request.aggregator) {
+                            requestBlock.attribute('aggregator', request.aggregator);
+                        }
+
+                        if (request.conditional_formats && Array.isArray(request.conditional_formats)) {
+                            requestBlock.append(this.generateStyleBlocks('conditional_formats', request.conditional_formats));
+                        }
+                    }
+                });
+            }
+
+            return block;
+        }
+
+        generateNoteWidgetHCL(definition) {
+            const block = new HCLBlock('note_definition');
+
+            if (definition.content) {
+                block.attribute('content', definition.content);
+            }
+
+            if (definition.background_color) {
+                block.attribute('background_color', definition.background_color);
+            }
+
+            if (definition.font_size) {
+                block.attribute('font_size', String(definition.font_size));
+            }
+
+            if (definition.text_align) {
+                block.attribute('text_align', definition.text_align);
+            }
+
+            if (definition.vertical_align) {
+                block.attribute('vertical_align', definition.vertical_align);
+            }
+
+            if (definition.show_tick !== undefined) {
+                block.attribute('show_tick', definition.show_tick);
+            }
+
+            if (definition.tick_pos) {
+                block.attribute('tick_pos', definition.tick_pos);
+            }
+
+            if (definition.tick_edge) {
+                block.attribute('tick_edge', definition.tick_edge);
+            }
+
+            if (definition.has_padding !== undefined) {
+                block.attribute('has_padding', definition.has_padding);
+            }
+
+            return block;
+        }
+
+        generateToplistWidgetHCL(definition) {
+            const block = new HCLBlock('toplist_definition');
+
+            if (definition.title) {
+                block.attribute('title', definition.title);
+            }
+
+            if (definition.title_size) {
+                block.attribute('title_size', String(definition.title_size));
+            }
+
+            if (definition.title_align) {
+                block.attribute('title_align', definition.title_align);
+            }
+
+            if (definition.live_span) {
+                block.attribute('live_span', definition.live_span);
+            }
+
+            // Add requests only if they exist and have content
+            if (definition.requests && Array.isArray(definition.requests) && definition.requests.length > 0) {
+                definition.requests.forEach((request, index) => {
+                    // Only create request block if it has meaningful content
+                    if (request.q || request.queries || (request.formulas && request.formulas.length > 0)) {
+                        const requestBlock = block.block('request');
+
+                        if (request.q) {
+                            requestBlock.attribute('q', request.q);
+                        }
+
+                        if (request.conditional_formats && Array.isArray(request.conditional_formats)) {
+                            requestBlock.append(this.generateStyleBlocks('conditional_formats', request.conditional_formats));
+                        }
+
+                        if (request.style) {
+                            const style = requestBlock.block('style');
+                            if (request.style.palette) style.attribute('palette', request.style.palette);
+                        }
+                    }
+                });
+            }
+
+            return block;
+        }
+
+        generateScatterplotWidgetHCL(definition) {
+            const block = new HCLBlock('scatterplot_definition');
+            if (definition.title) block.attribute('title', definition.title);
+            if (definition.color_by_groups && Array.isArray(definition.color_by_groups)) {
+                block.attribute('color_by_groups', definition.color_by_groups);
+            }
+            // Add requests only if they exist and have content
+            if (definition.requests && Array.isArray(definition.requests) && definition.requests.length > 0) {
+                definition.requests.forEach((request, index) => {
+                    // Only create request block if it has meaningful content
+                    if (request.x || request.y || request.q || request.queries) {
+                        const requestBlock = block.block('request');
+                        if (request.x) requestBlock.attribute('x', request.x);
+                        if (request.y) requestBlock.attribute('y', request.y);
+                        if (request.q) requestBlock.attribute('q', request.q);
+                    }
+                });
+            }
+            return block;
+        }
+
+        generateHeatmapWidgetHCL(definition) {
+            const block = new HCLBlock('heatmap_definition');
+            if (definition.title) block.attribute('title', definition.title);
+            if (definition.requests && Array.isArray(definition.requests) && definition.requests.length > 0) {
+                definition.requests.forEach((request, index) => {
+                    // Only create request block if it has meaningful content
+                    if (request.q || request.queries || (request.formulas && request.formulas.length > 0)) {
+                        const requestBlock = block.block('request');
+                        if (request.q) requestBlock.attribute('q', request.q);
+                        if (request.style) {
+                            const style = requestBlock.block('style');
+                            if (request.style.palette) style.attribute('palette', request.style.palette);
+                        }
+                    }
+                });
+            }
+            return block;
+        }
+
+        generateDistributionWidgetHCL(definition) {
+            const block = new HCLBlock('distribution_definition');
+            if (definition.title) block.attribute('title', definition.title);
+            if (definition.requests && Array.isArray(definition.requests) && definition.requests.length > 0) {
+                definition.requests.forEach((request, index) => {
+                    // Only create request block if it has meaningful content
+                    if (request.q || request.queries || (request.formulas && request.formulas.length > 0)) {
+                        const requestBlock = block.block('request');
+                        if (request.q) requestBlock.attribute('q', request.q);
+                    }
+                });
+            }
+            return block;
+        }
+
+        generateCheckStatusWidgetHCL(definition) {
+            const block = new HCLBlock('check_status_definition');
+            if (definition.title) block.attribute('title', definition.title);
+            if (definition.check) block.attribute('check', definition.check);
+            if (definition.grouping) block.attribute('grouping', definition.grouping);
+            if (definition.group_by && Array.isArray(definition.group_by)) {
+                block.attribute('group_by', definition.group_by);
+            }
+            if (definition.tags && Array.isArray(definition.tags)) {
+                block.attribute('tags', definition.tags);
+            }
+            return block;
+        }
+
+        generateHostmapWidgetHCL(definition) {
+            const block = new HCLBlock('hostmap_definition');
+            if (definition.title) block.attribute('title', definition.title);
+            if (definition.requests && Array.isArray(definition.requests) && definition.requests.length > 0) {
+                definition.requests.forEach((request, index) => {
+                    // Only create request block if it has meaningful content
+                    if (request.q || request.queries || (request.formulas && request.formulas.length > 0)) {
+                        const requestBlock = block.block('request');
+                        if (request.q) requestBlock.attribute('q', request.q);
+                    }
+                });
+            }
+            if (definition.node_type) block.attribute('node_type', definition.node_type);
+            if (definition.no_metric_hosts !== undefined) block.attribute('no_metric_hosts', definition.no_metric_hosts);
+            if (definition.no_group_hosts !== undefined) block.attribute('no_group_hosts', definition.no_group_hosts);
+            if (definition.scope && Array.isArray(definition.scope)) {
+                block.attribute('scope', definition.scope);
+            }
+            return block;
+        }
+
+        generateServiceMapWidgetHCL(definition) {
+            const block = new HCLBlock('service_map_definition');
+            if (definition.title) block.attribute('title', definition.title);
+            if (definition.service) block.attribute('service', definition.service);
+            if (definition.env) block.attribute('env', definition.env);
+            if (definition.filters && Array.isArray(definition.filters)) {
+                block.attribute('filters', definition.filters);
+            }
+            return block;
+        }
+
+        generateLogStreamWidgetHCL(definition) {
+            const block = new HCLBlock('log_stream_definition');
+            if (definition.title) block.attribute('title', definition.title);
+            if (definition.query) block.attribute('query', definition.query);
+            if (definition.logset) block.attribute('logset', definition.logset);
+            if (definition.columns && Array.isArray(definition.columns)) {
+                block.attribute('columns', definition.columns);
+            }
+            if (definition.indexes && Array.isArray(definition.indexes)) {
+                block.attribute('indexes', definition.indexes);
+            }
+            if (definition.message_display) block.attribute('message_display', definition.message_display);
+            if (definition.show_date_column !== undefined) block.attribute('show_date_column', definition.show_date_column);
+            if (definition.show_message_column !== undefined) block.attribute('show_message_column', definition.show_message_column);
+            if (definition.sort) {
+                block.append(this.generateStyleBlocks('sort', definition.sort));
+            }
+            return block;
+        }
+
+        generateTraceServiceWidgetHCL(definition) {
+            const block = new HCLBlock('trace_service_definition');
+            if (definition.title) block.attribute('title', definition.title);
+            if (definition.service) block.attribute('service', definition.service);
+            if (definition.env) block.attribute('env', definition.env);
+            if (definition.span_name) block.attribute('span_name', definition.span_name);
+            if (definition.show_hits !== undefined) block.attribute('show_hits', definition.show_hits);
+            if (definition.show_errors !== undefined) block.attribute('show_errors', definition.show_errors);
+            if (definition.show_latency !== undefined) block.attribute('show_latency', definition.show_latency);
+            if (definition.show_breakdown !== undefined) block.attribute('show_breakdown', definition.show_breakdown);
+            if (definition.show_distribution !== undefined) block.attribute('show_distribution', definition.show_distribution);
+            if (definition.show_resource_list !== undefined) block.attribute('show_resource_list', definition.show_resource_list);
+            if (definition.size_format) block.attribute('size_format', definition.size_format);
+            if (definition.display_format) block.attribute('display_format', definition.display_format);
+            return block;
+        }
+
+        generateIframeWidgetHCL(definition) {
+            const block = new HCLBlock('iframe_definition');
+            if (definition.url) block.attribute('url', definition.url);
+            return block;
+        }
+
+        generateImageWidgetHCL(definition) {
+            const block = new HCLBlock('image_definition');
+            if (definition.url) block.attribute('url', definition.url);
+            if (definition.url_dark_theme) block.attribute('url_dark_theme', definition.url_dark_theme);
+            if (definition.sizing) block.attribute('sizing', definition.sizing);
+            if (definition.margin) block.attribute('margin', definition.margin);
+            if (definition.has_background !== undefined) block.attribute('has_background', definition.has_background);
+            if (definition.has_border !== undefined) block.attribute('has_border', definition.has_border);
+            if (definition.horizontal_align) block.attribute('horizontal_align', definition.horizontal_align);
+            if (definition.vertical_align) block.attribute('vertical_align', definition.vertical_align);
+            return block;
+        }
+
+        generateFreeTextWidgetHCL(definition) {
+            const block = new HCLBlock('free_text_definition');
+            if (definition.text) block.attribute('text', definition.text);
+            if (definition.color) block.attribute('color', definition.color);
+            if (definition.font_size) block.attribute('font_size', String(definition.font_size));
+            if (definition.text_align) block.attribute('text_align', definition.text_align);
+            return block;
+        }
+
+        generateAlertGraphWidgetHCL(definition) {
+            const block = new HCLBlock('alert_graph_definition');
+            if (definition.title) block.attribute('title', definition.title);
+            if (definition.alert_id) block.attribute('alert_id', String(definition.alert_id));
+            if (definition.viz_type) block.attribute('viz_type', definition.viz_type);
+            return block;
+        }
+
+        generateAlertValueWidgetHCL(definition) {
+            const block = new HCLBlock('alert_value_definition');
+            if (definition.title) block.attribute('title', definition.title);
+            if (definition.alert_id) block.attribute('alert_id', String(definition.alert_id));
+            if (definition.precision !== undefined) block.attribute('precision', definition.precision);
+            if (definition.unit) block.attribute('unit', definition.unit);
+            if (definition.text_align) block.attribute('text_align', definition.text_align);
+            return block;
+        }
+
+        generateChangeWidgetHCL(definition) {
+            const block = new HCLBlock('change_definition');
+            if (definition.title) block.attribute('title', definition.title);
+            if (definition.requests && Array.isArray(definition.requests) && definition.requests.length > 0) {
+                definition.requests.forEach((request, index) => {
+                    // Only create request block if it has meaningful content
+                    if (request.q || request.queries || (request.formulas && request.formulas.length > 0)) {
+                        const requestBlock = block.block('request');
+                        if (request.q) requestBlock.attribute('q', request.q);
+                        if (request.change_type) requestBlock.attribute('change_type', request.change_type);
+                        if (request.compare_to) requestBlock.attribute('compare_to', request.compare_to);
+                        if (request.increase_good !== undefined) requestBlock.attribute('increase_good', request.increase_good);
+                        if (request.order_by) requestBlock.attribute('order_by', request.order_by);
+                        if (request.order_dir) requestBlock.attribute('order_dir', request.order_dir);
+                        if (request.show_present !== undefined) requestBlock.attribute('show_present', request.show_present);
+                    }
+                });
+            }
+            return block;
+        }
+
+        generateEventStreamWidgetHCL(definition) {
+            const block = new HCLBlock('event_stream_definition');
+            if (definition.title) block.attribute('title', definition.title);
+            if (definition.query) block.attribute('query', definition.query);
+            if (definition.event_size) block.attribute('event_size', definition.event_size);
+            if (definition.tags_execution) block.attribute('tags_execution', definition.tags_execution);
+            return block;
+        }
+
+        generateEventTimelineWidgetHCL(definition) {
+            const block = new HCLBlock('event_timeline_definition');
+            if (definition.title) block.attribute('title', definition.title);
+            if (definition.query) block.attribute('query', definition.query);
+            if (definition.tags_execution) block.attribute('tags_execution', definition.tags_execution);
+            return block;
+        }
+
+        generateSLOWidgetHCL(definition) {
+            const block = new HCLBlock('service_level_objective_definition');
+            if (definition.title) block.attribute('title', definition.title);
+            if (definition.view_type) block.attribute('view_type', definition.view_type);
+            if (definition.slo_id) block.attribute('slo_id', String(definition.slo_id));
+            if (definition.show_error_budget !== undefined) block.attribute('show_error_budget', definition.show_error_budget);
+            if (definition.view_mode) block.attribute('view_mode', definition.view_mode);
+            if (definition.time_windows && Array.isArray(definition.time_windows)) {
+                block.attribute('time_windows', definition.time_windows);
+            }
+            if (definition.global_time_target) block.attribute('global_time_target', String(definition.global_time_target));
+            return block;
+        }
+
+        generateMonitorSummaryWidgetHCL(definition) {
+            const block = new HCLBlock('monitor_summary_definition');
+            if (definition.title) block.attribute('title', definition.title);
+            if (definition.query) block.attribute('query', definition.query);
+            if (definition.summary_type) block.attribute('summary_type', definition.summary_type);
+            if (definition.sort) block.attribute('sort', definition.sort);
+            if (definition.display_format) block.attribute('display_format', definition.display_format);
+            if (definition.color_preference) block.attribute('color_preference', definition.color_preference);
+            if (definition.hide_zero_counts !== undefined) block.attribute('hide_zero_counts', definition.hide_zero_counts);
+            if (definition.show_last_triggered !== undefined) block.attribute('show_last_triggered', definition.show_last_triggered);
+            return block;
+        }
+
+        generateManageStatusWidgetHCL(definition) {
+            const block = new HCLBlock('manage_status_definition');
+            if (definition.title) block.attribute('title', definition.title);
+            if (definition.summary_type) block.attribute('summary_type', definition.summary_type);
+            if (definition.display_format) block.attribute('display_format', definition.display_format);
+            if (definition.color_preference) block.attribute('color_preference', definition.color_preference);
+            if (definition.hide_zero_counts !== undefined) block.attribute('hide_zero_counts', definition.hide_zero_counts);
+            if (definition.query) block.attribute('query', definition.query);
+            if (definition.sort) block.attribute('sort', definition.sort);
+            return block;
+        }
+
+        generateGeomapWidgetHCL(definition) {
+            const block = new HCLBlock('geomap_definition');
+
+            if (definition.title) {
+                block.attribute('title', definition.title);
+            }
+
+            if (definition.title_size) {
+                block.attribute('title_size', String(definition.title_size));
+            }
+
+            if (definition.title_align) {
+                block.attribute('title_align', definition.title_align);
+            }
+
+            if (definition.live_span) {
+                block.attribute('live_span', definition.live_span);
+            }
+
+            // Add requests only if they exist and have content
+            if (definition.requests && Array.isArray(definition.requests) && definition.requests.length > 0) {
+                definition.requests.forEach((request, index) => {
+                    // Only create request block if it has meaningful content
+                    if (request.queries || request.q || request.formulas) {
+                        const requestBlock = block.block('request');
+
+                        // Handle log-based queries
+                        if (request.queries && Array.isArray(request.queries)) {
+                            request.queries.forEach((query, queryIndex) => {
+                                const logQuery = requestBlock.block('log_query');
+                                if (query.name) logQuery.attribute('name', query.name);
+                                if (query.data_source) logQuery.attribute('data_source', query.data_source);
+
+                                if (query.search && query.search.query) {
+                                    logQuery.block('search').attribute('query', query.search.query);
+                                }
+
+                                if (query.indexes && Array.isArray(query.indexes)) {
+                                    logQuery.attribute('indexes', query.indexes);
+                                }
+
+                                if (query.group_by && Array.isArray(query.group_by)) {
+                                    query.group_by.forEach((group, groupIndex) => {
+                                        const groupBy = logQuery.block('group_by');
+                                        if (group.facet) groupBy.attribute('facet', group.facet);
+                                        if (group.limit) groupBy.attribute('limit', group.limit);
+                                        if (group.sort) {
+                                            const sort = groupBy.block('sort');
+                                            if (group.sort.aggregation) sort.attribute('aggregation', group.sort.aggregation);
+                                            if (group.sort.order) sort.attribute('order', group.sort.order);
+                                        }
+                                    });
+                                }
+
+                                if (query.compute && query.compute.aggregation) {
+                                    logQuery.block('compute').attribute('aggregation', query.compute.aggregation);
+                                }
+                            });
+                        }
+
+                        // Handle formulas
+                        if (request.formulas && Array.isArray(request.formulas)) {
+                            request.formulas.forEach((formula, formulaIndex) => {
+                                const formulaBlock = requestBlock.block('formula');
+                                if (formula.formula) formulaBlock.attribute('formula_expression', formula.formula);
+                            });
+                        }
+
+                        // Handle response format
+                        if (request.response_format) {
+                            requestBlock.attribute('response_format', request.response_format);
+                        }
+                    }
+                });
+            }
+
+            // Add style configuration
+            if (definition.style) {
+                block.append(this.generateStyleBlocks('style', definition.style));
+            }
+
+            // Add view configuration
+            if (definition.view) {
+                block.append(this.generateStyleBlocks('view', definition.view));
+            }
+
+            return block;
+        }
+
+        generateResourceName(title, preserveOriginalNamingConvention = false) {
+            if (preserveOriginalNamingConvention) {
+                // Preserve original naming convention (uppercase with underscores)
+                return title
+                    .replace(/[^a-zA-Z0-9_]/g, '_')
+                    .replace(/_+/g, '_')
+                    .replace(/^_|_$/g, '')
+                    .substring(0, 50) || 'Imported_Dashboard';
+            } else {
+                // Standard convention (lowercase with underscores)
+                return title
+                    .toLowerCase()
+                    .replace(/[^a-z0-9_]/g, '_')
+                    .replace(/_+/g, '_')
+                    .replace(/^_|_$/g, '')
+                    .substring(0, 50) || 'imported_dashboard';
+            }
+        }
+
+        escapeHCLString(str) {
+            if (typeof str !== 'string') return `"${str}"`;
+
+            // Same escaping the printer applies to every string literal
+            return printHCL(HCL.toExpression(str));
+        }
+
+        generateLegacyRequests(requests) {
+            const blocks = [];
+
+            requests.forEach((request, index) => {
+                if (this.hasValidRequestContent(request)) {
+                    const block = new HCLBlock('request');
+
+                    // Add aggregator first if it exists (preserving original order)
+                    if (request.aggregator) {
+                        block.attribute('aggregator', request.aggregator);
+                    }
+
+                    // Legacy format uses q property directly
+                    if (request.q) {
+                        block.attribute('q', request.q);
+                    } else if (request.queries && Array.isArray(request.queries)) {
+                        // Convert modern queries to legacy q format
+                        const query = request.queries[0];
+                        if (query && query.query) {
+                            block.attribute('q', query.query);
+                        } else if (query && query.search && query.search.query) {
+                            // For log queries, use the search query
+                            block.attribute('q', query.search.query);
+                        } else if (query && query.data_source === 'logs') {
+                            // Handle log queries with compute aggregation
+                            let logQuery = '';
+                            if (query.compute && query.compute.aggregation) {
+                                logQuery = `${query.compute.aggregation}:`;
+                                if (query.compute.metric) {
+                                    logQuery += query.compute.metric;
+                                }
+                            }
+                            if (query.search && query.search.query && !logQuery) {
+                                logQuery = query.search.query;
+                            } else if (query.search && query.search.query) {
+                                logQuery += ` ${query.search.query}`;
+                            }
+                            if (logQuery) {
+                                block.attribute('q', logQuery);
+                            }
+                        }
+                    }
+
+                    // Add other legacy request properties
+                    if (request.display_type) {
+                        block.attribute('display_type', request.display_type);
+                    }
+
+                    if (request.on_right_yaxis !== undefined) {
+                        block.attribute('on_right_yaxis', request.on_right_yaxis);
+                    }
+
+                    // Add conditional formats with hide_value preserved
+                    if (request.conditional_formats && Array.isArray(request.conditional_formats)) {
+                        block.append(this.generateStyleBlocks('conditional_formats', request.conditional_formats));
+                    }
+
+                    if (request.style) {
+                        block.append(this.generateStyleBlocks('style', request.style));
+                    }
+
+                    blocks.push(block);
+                } else {
+                    this.addDiagnostic('warning', `definition.requests[${index}]`, 'Request has no q, queries or formulas - skipped');
+                }
+            });
+
+            return blocks;
+        }
+
+        initializeFallbackConfiguration() {
+            console.warn('Using fallback configuration - some features may be limited');
+
+            // Minimal fallback configuration
+            this.widgetMappings = {
+                layout: {
+                    blockName: 'widget_layout',
+                    columns: 12,
+                    properties: {
+                        x: 'x',
+                        y: 'y',
+                        width: 'width',
+                        height: 'height',
+                        is_column_break: 'is_column_break'
+                    },
+                    defaults: {
+                        width: 12,
+                        height: 8
+                    }
+                },
+                widgets: {
+                    timeseries: {
+                        blockName: 'timeseries_definition',
+                        commonProperties: ['title', 'title_size', 'title_align', 'live_span'],
+                        specificProperties: {
+                            show_legend: 'show_legend',
+                            legend_layout: 'legend_layout',
+                            legend_columns: 'legend_columns',
+                            legend_size: 'legend_size'
+                        },
+                        requestStructure: 'modern',
+                        features: {
+                            supportsYAxis: true,
+                            supportsEvents: true
+                        }
+                    },
+                    query_value: {
+                        blockName: 'query_value_definition',
+                        commonProperties: ['title', 'title_size', 'title_align', 'live_span'],
+                        specificProperties: {
+                            autoscale: 'autoscale',
+                            precision: 'precision',
+                            custom_unit: 'custom_unit',
+                            text_align: 'text_align'
+                        },
+                        requestStructure: 'modern',
+                        features: {
+                            supportsConditionalFormats: true
+                        }
+                    },
+                    note: {
+                        blockName: 'note_definition',
+                        commonProperties: [],
+                        specificProperties: {
+                            content: 'content',
+                            background_color: 'background_color',
+                            font_size: 'font_size',
+                            text_align: 'text_align',
+                            vertical_align: 'vertical_align',
+                            show_tick: 'show_tick',
+                            tick_pos: 'tick_pos',
+                            tick_edge: 'tick_edge',
+                            has_padding: 'has_padding'
+                        },
+                        requestStructure: 'none',
+                        features: {}
+                    },
+                    group: {
+                        blockName: 'group_definition',
+                        commonProperties: ['title', 'layout_type'],
+                        specificProperties: {
+                            background_color: 'background_color',
+                            banner_img: 'banner_img',
+                            show_title: 'show_title'
+                        },
+                        requestStructure: 'none',
+                        features: {
+                            hasNestedWidgets: true
+                        }
+                    }
+                },
+                requestStructures: {
+                    legacy: {
+                        queryProperty: 'q',
+                        supportsFormulas: false,
+                        supportsConditionalFormats: true
+                    },
+                    modern: {
+                        hasQueryBlock: true,
+                        supportsFormulas: true,
+                        supportsConditionalFormats: true,
+                        queryTypes: {
+                            metric_query: {
+                                dataSources: ['metrics'],
+                                properties: ['aggregator', 'data_source', 'name', 'query'],
+                                required: ['name', 'query']
+                            },
+                            event_query: {
+                                dataSources: ['logs', 'spans', 'rum', 'events'],
+                                properties: ['data_source', 'name', 'indexes'],
+                                blocks: {
+                                    search: { properties: ['query'] },
+                                    compute: { properties: ['aggregation', 'interval', 'metric'] },
+                                    group_by: {
+                                        multiple: true,
+                                        properties: ['facet', 'limit'],
+                                        blocks: { sort: { properties: ['aggregation', 'metric', 'order'] } }
+                                    }
+                                },
+                                required: ['data_source', 'name', 'compute']
+                            }
+                        }
+                    }
+                },
+                styles: {
+                    conditional_formats: {
+                        multiple: true,
+                        properties: ['comparator', 'hide_value', 'palette', 'value']
+                    },
+                    style: {
+                        properties: ['palette', 'palette_flip', 'line_type', 'line_width'],
+                        types: { line_width: 'string' }
+                    },
+                    yaxis: {
+                        properties: ['label', 'scale', 'min', 'max', 'include_zero'],
+                        types: { min: 'string', max: 'string' }
+                    },
+                    custom_links: {
+                        blockName: 'custom_link',
+                        multiple: true,
+                        properties: ['label', 'link', 'is_hidden', 'override_label']
+                    },
+                    events: {
+                        blockName: 'event',
+                        multiple: true,
+                        properties: ['q', 'tags_execution']
+                    },
+                    formula: {
+                        properties: ['alias', 'cell_display_mode', 'formula_expression']
+                    },
+                    number_format: {
+                        units: {
+                            canonical_unit: { block: 'canonical', properties: ['unit_name', 'per_unit_name'] },
+                            custom_unit_label: { block: 'custom', properties: ['label'] }
+                        },
+                        unitScale: { properties: ['unit_name'] }
+                    }
+                },
+                monitor: {
+                    properties: ['name', 'type', 'query', 'message', 'priority', 'tags', 'restricted_roles'],
+                    types: { priority: 'string' },
+                    options: {
+                        properties: ['notify_no_data', 'no_data_timeframe', 'renotify_interval', 'include_tags', 'require_full_window', 'evaluation_delay'],
+                        blocks: {
+                            thresholds: {
+                                blockName: 'monitor_thresholds',
+                                properties: ['critical', 'critical_recovery', 'warning', 'warning_recovery', 'ok', 'unknown']
+                            }
+                        }
+                    }
+                },
+                slo: {
+                    supportedTypes: ['metric', 'monitor'],
+                    properties: ['name', 'type', 'description', 'monitor_ids', 'groups', 'tags'],
+                    blocks: {
+                        query: { properties: ['numerator', 'denominator'] },
+                        thresholds: { multiple: true, properties: ['timeframe', 'target', 'warning'] }
+                    }
+                }
+            };
+
+            this.validationRules = {
+                required_dashboard_fields: ['title', 'layout_type'],
+                valid_layout_types: ['ordered', 'free'],
+                valid_widget_types: ['timeseries', 'query_value', 'note', 'group'],
+                valid_display_types: ['line', 'area', 'bars'],
+                valid_aggregators: ['avg', 'max', 'min', 'sum', 'last'],
+                valid_comparators: ['>', '<', '>=', '<=', '==', '!='],
+                valid_palettes: ['dog_classic', 'cool', 'warm', 'purple', 'orange', 'gray'],
+                valid_text_aligns: ['left', 'center', 'right'],
+                valid_font_sizes: ['14', '16', '18', '24', '36', '48', '60'],
+                required_monitor_fields: ['name', 'type', 'query', 'message'],
+                valid_monitor_types: ['metric alert', 'query alert', 'service check', 'event alert', 'log alert', 'composite'],
+                valid_monitor_priorities: [1, 2, 3, 4, 5],
+                required_slo_fields: ['name', 'type'],
+                valid_slo_types: ['metric', 'monitor'],
+                valid_slo_timeframes: ['7d', '30d', '90d', 'custom']
+            };
+        }
+
+        performHCLValidation(hclContent) {
+            const issues = [];
+            const lines = hclContent.split('\n');
+
+            // 1. Basic syntax validation
+            this.validateBasicSyntax(lines, issues);
+
+            // 2. Terraform structure validation
+            this.validateTerraformStructure(hclContent, issues);
+
+            // 3. Datadog provider-specific validation
+            this.validateDatadogProvider(hclContent, issues);
+
+            // 4. Monitor and SLO validation
+            this.validateMonitors(hclContent, issues);
+            this.validateSLOs(hclContent, issues);
+
+            // 5. Best practices validation
+            this.validateBestPractices(hclContent, issues);
+
+            // Calculate validation summary
+            const errors = issues.filter(issue => issue.severity === 'error');
+            const warnings = issues.filter(issue => issue.severity === 'warning');
+            const infos = issues.filter(issue => issue.severity === 'info');
+
+            return {
+                isValid: errors.length === 0,
+                issues: issues,
+                summary: {
+                    errors: errors.length,
+                    warnings: warnings.length,
+                    infos: infos.length,
+                    total: issues.length
+                }
+            };
+        }
+
+        validateBasicSyntax(lines, issues) {
+            let braceCount = 0;
+            let bracketCount = 0;
+            let parenCount = 0;
+            let inString = false;
+            let inComment = false;
+
+            lines.forEach((line, lineIndex) => {
+                const trimmedLine = line.trim();
+
+                // Skip empty lines and comments
+                if (!trimmedLine || trimmedLine.startsWith('#') || trimmedLine.startsWith('//')) {
+                    return;
+                }
+
+                // Check for unclosed strings (basic check)
+                let quoteCount = 0;
+                for (let i = 0; i < line.length; i++) {
+                    if (line[i] === '"' && (i === 0 || line[i-1] !== '\\')) {
+                        quoteCount++;
+                    }
+                }
+                if (quoteCount % 2 !== 0) {
+                    issues.push({
+                        severity: 'error',
+                        title: 'Unclosed string literal',
+                        description: 'String literal is not properly closed with matching quotes.',
+                        line: lineIndex + 1,
+                        location: `Line ${lineIndex + 1}`
+                    });
+                }
+
+                // Count braces, brackets, and parentheses
+                for (const char of line) {
+                    switch (char) {
+                        case '{': braceCount++; break;
+                        case '}': braceCount--; break;
+                        case '[': bracketCount++; break;
+                        case ']': bracketCount--; break;
+                        case '(': parenCount++; break;
+                        case ')': parenCount--; break;
+                    }
+                }
+
+                // Check for invalid characters in identifiers
+                const identifierMatch = line.match(/^\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*=/);
+                if (identifierMatch) {
+                    const identifier = identifierMatch[1];
+                    if (!this.validationPatterns.validIdentifier.test(identifier)) {
+                        issues.push({
+                            severity: 'error',
+                            title: 'Invalid identifier',
+                            description: `Identifier "${identifier}" contains invalid characters. Identifiers must start with a letter or underscore and contain only letters, numbers, and underscores.`,
+                            line: lineIndex + 1,
+                            location: `Line ${lineIndex + 1}`
+                        });
+                    }
+                }
+
+                // Improved check for potentially unquoted strings
+                // Skip this check for lines that contain valid HCL constructs
+                if (line.includes('=') && !line.includes('==') && !line.includes('!=') &&
+                    !line.includes('<=') && !line.includes('>=')) {
+
+                    // More sophisticated pattern to avoid false positives
+                    // Skip if line contains JSON arrays, objects, or other valid constructs
+                    const skipPatterns = [
+                        /=\s*\[/,           // JSON/HCL arrays: = [
+                        /=\s*\{/,           // JSON/HCL objects: = {
+                        /=\s*\$\{/,         // Terraform interpolation: = ${
+                        /=\s*var\./,        // Terraform variables: = var.
+                        /=\s*local\./,      // Terraform locals: = local.
+                        /=\s*data\./,       // Terraform data sources: = data.
+                        /=\s*resource\./,   // Terraform resources: = resource.
+                        /=\s*module\./,     // Terraform modules: = module.
+                        /=\s*[a-z_]+\(/,    // Function calls: = jsonencode(
+                        /=\s*true\s*$/,     // Boolean true
+                        /=\s*false\s*$/,    // Boolean false
+                        /=\s*null\s*$/,     // Null value
+                        /=\s*-?\d+(\.\d+)?\s*$/, // Numbers
+                        /=\s*"[^"]*"\s*$/,  // Already quoted strings
+                        /^\s*#/,            // Comments
+                        /^\s*\/\//          // Comments
+                    ];
+
+                    const shouldSkip = skipPatterns.some(pattern => pattern.test(line));
+
+                    if (!shouldSkip) {
+                        // Look for assignment to unquoted values that might need quotes
+                        const assignmentMatch = line.match(/=\s*([^"'\s\[\{\$][^,\]\}]*[^,\]\}\s])/);
+                        if (assignmentMatch) {
+                            const value = assignmentMatch[1].trim();
+
+                            // Additional checks to avoid false positives
+                            const validUnquotedPatterns = [
+                                /^-?\d+(\.\d+)?$/,        // Numbers
+                                /^(true|false)$/,         // Booleans
+                                /^null$/,                 // Null
+                                /^[a-zA-Z_][a-zA-Z0-9_]*$/, // Valid identifiers
+                                /^\[.*\]$/,               // Arrays (basic check)
+                                /^\{.*\}$/,               // Objects (basic check)
+                                /^\$\{.*\}$/,             // Interpolations
+                                /^[a-zA-Z_][a-zA-Z0-9_]*\.[a-zA-Z_][a-zA-Z0-9_]*$/, // Resource references like datadog_dashboard.name
+                                /^var\.[a-zA-Z_][a-zA-Z0-9_]*$/, // Variable references
+                                /^local\.[a-zA-Z_][a-zA-Z0-9_]*$/, // Local references
+                                /^data\.[a-zA-Z_][a-zA-Z0-9_]*\.[a-zA-Z_][a-zA-Z0-9_]*$/, // Data source references
+                                /^module\.[a-zA-Z_][a-zA-Z0-9_]*\.[a-zA-Z_][a-zA-Z0-9_]*$/, // Module references
+                            ];
+
+                            const isValidUnquoted = validUnquotedPatterns.some(pattern => pattern.test(value));
+
+                            if (!isValidUnquoted && value.length > 0) {
+                                issues.push({
+                                    severity: 'warning',
+                                    title: 'Potentially unquoted string',
+                                    description: `Value "${value}" might need to be quoted if it's a string literal. If this is intentional (e.g., a reference or expression), you can ignore this warning.`,
+                                    line: lineIndex + 1,
+                                    location: `Line ${lineIndex + 1}`
+                                });
+                            }
+                        }
+                    }
+                }
+            });
+
+            // Check for unmatched braces, brackets, or parentheses
+            if (braceCount !== 0) {
+                issues.push({
+                    severity: 'error',
+                    title: 'Unmatched braces',
+                    description: `Found ${Math.abs(braceCount)} unmatched ${braceCount > 0 ? 'opening' : 'closing'} braces.`,
+                    location: 'Overall structure'
+                });
+            }
+
+            if (bracketCount !== 0) {
+                issues.push({
+                    severity: 'error',
+                    title: 'Unmatched brackets',
+                    description: `Found ${Math.abs(bracketCount)} unmatched ${bracketCount > 0 ? 'opening' : 'closing'} brackets.`,
+                    location: 'Overall structure'
+                });
+            }
+
+            if (parenCount !== 0) {
+                issues.push({
+                    severity: 'error',
+                    title: 'Unmatched parentheses',
+                    description: `Found ${Math.abs(parenCount)} unmatched ${parenCount > 0 ? 'opening' : 'closing'} parentheses.`,
+                    location: 'Overall structure'
+                });
+            }
+        }
+
+        validateTerraformStructure(hclContent, issues) {
+            // Check for required resource block
+            if (!Object.keys(RESOURCE_KINDS).some(type => hclContent.includes(`resource "${type}"`))) {
+                issues.push({
+                    severity: 'error',
+                    title: 'Missing Datadog resource',
+                    description: `HCL must contain a resource block of one of these types: ${Object.keys(RESOURCE_KINDS).join(', ')}.`,
+                    location: 'Overall structure'
+                });
+                return;
+            }
+
+            // Import blocks are not needed for this tool - skipping validation
+
+            // Validate resource names
+            const resourceMatches = hclContent.match(/resource\s+"([^"]+)"\s+"([^"]+)"/g);
+            if (resourceMatches) {
+                resourceMatches.forEach(match => {
+                    const parts = match.match(/resource\s+"([^"]+)"\s+"([^"]+)"/);
+                    if (parts) {
+                        const resourceType = parts[1];
+                        const resourceName = parts[2];
+
+                        if (!this.validationPatterns.validResourceType.test(resourceType)) {
+                            issues.push({
+                                severity: 'error',
+                                title: 'Invalid resource type',
+                                description: `Resource type "${resourceType}" is not valid. Must be in format "provider_resource".`,
+                                location: `Resource: ${resourceType}.${resourceName}`
+                            });
+                        }
+
+                        if (!this.validationPatterns.validResourceName.test(resourceName)) {
+                            issues.push({
+                                severity: 'error',
+                                title: 'Invalid resource name',
+                                description: `Resource name "${resourceName}" is not valid. Must start with a letter and contain only letters, numbers, hyphens, and underscores.`,
+                                location: `Resource: ${resourceType}.${resourceName}`
+                            });
+                        }
+                    }
+                });
+            }
+
+            // Check for duplicate resource names
+            const resourceNames = [];
+            const duplicateCheck = hclContent.match(/resource\s+"[^"]+"\s+"([^"]+)"/g);
+            if (duplicateCheck) {
+                duplicateCheck.forEach(match => {
+                    const name = match.match(/resource\s+"[^"]+"\s+"([^"]+)"/)[1];
+                    if (resourceNames.includes(name)) {
+                        issues.push({
+                            severity: 'error',
+                            title: 'Duplicate resource name',
+                            description: `Resource name "${name}" is used multiple times. Each resource must have a unique name.`,
+                            location: `Resource name: ${name}`
+                        });
+                    } else {
+                        resourceNames.push(name);
+                    }
+                });
+            }
+        }
+
+        validateDatadogProvider(hclContent, issues) {
+            // Monitors and SLOs only: these checks describe dashboards (see
+            // validateMonitors and validateSLOs)
+            const has = type => hclContent.includes(`resource "${type}"`);
+            if (!has(DASHBOARD_RESOURCE) && !has(DASHBOARD_JSON_RESOURCE) && (has(MONITOR_RESOURCE) || has(SLO_RESOURCE))) {
+                return;
+            }
+
+            // Check for required dashboard fields
+            if (this.validationRules && this.validationRules.required_dashboard_fields) {
+                this.validationRules.required_dashboard_fields.forEach(field => {
+                    const fieldPattern = new RegExp(`${field}\\s*=`, 'i');
+                    if (!fieldPattern.test(hclContent)) {
+                        issues.push({
+                            severity: 'error',
+                            title: `Missing required field: ${field}`,
+                            description: `Dashboard resource must include the "${field}" field.`,
+                            location: 'Dashboard resource'
+                        });
+                    }
+                });
+            }
+
+            // Validate layout_type values
+            const layoutTypeMatch = hclContent.match(/layout_type\s*=\s*"([^"]+)"/);
+            if (layoutTypeMatch) {
+                const layoutType = layoutTypeMatch[1];
+                if (this.validationRules && this.validationRules.valid_layout_types &&
+                    !this.validationRules.valid_layout_types.includes(layoutType)) {
+                    issues.push({
+                        severity: 'error',
+                        title: 'Invalid layout_type',
+                        description: `Layout type "${layoutType}" is not valid. Must be one of: ${this.validationRules.valid_layout_types.join(', ')}.`,
+                        location: 'Dashboard resource'
+                    });
+                }
+            }
+
+            // Layout rules: reflow_type is ordered-only, and "auto" places widgets itself
+            const reflowTypeMatch = hclContent.match(/reflow_type\s*=\s*"([^"]+)"/);
+            const hasWidgetLayouts = /widget_layout\s*{/.test(hclContent);
+            if (reflowTypeMatch && layoutTypeMatch && layoutTypeMatch[1] === 'free') {
+                issues.push({
+                    severity: 'error',
+                    title: 'reflow_type on a free layout',
+                    description: 'reflow_type can only be set on ordered dashboards.',
+                    location: 'Dashboard resource'
+                });
+            } else if (reflowTypeMatch && reflowTypeMatch[1] === 'auto' && hasWidgetLayouts) {
+                issues.push({
+                    severity: 'error',
+                    title: 'widget_layout with reflow_type "auto"',
+                    description: 'Dashboards with reflow_type "auto" place widgets automatically; remove the widget_layout blocks or use reflow_type "fixed".',
+                    location: 'Dashboard resource'
+                });
+            }
+            if (layoutTypeMatch && layoutTypeMatch[1] === 'free' && /is_column_break\s*=/.test(hclContent)) {
+                issues.push({
+                    severity: 'warning',
+                    title: 'is_column_break on a free layout',
+                    description: 'is_column_break only applies to ordered dashboards.',
+                    location: 'Dashboard resource'
+                });
+            }
+
+            // Validate widget types
+            const widgetDefinitions = hclContent.match(/(\w+)_definition\s*{/g);
+            if (widgetDefinitions) {
+                widgetDefinitions.forEach(definition => {
+                    const widgetType = definition.match(/(\w+)_definition/)[1];
+                    // source_widget_definition wraps a split graph's widget; it is not a widget itself
+                    if (widgetType === 'source_widget') return;
+                    // The rule lists JSON type names, which differ from some block names (split_group -> split_graph)
+                    const widgets = this.widgetMappings?.widgets || {};
+                    const jsonType = Object.keys(widgets).find(type => widgets[type].blockName === `${widgetType}_definition`);
+                    if (this.validationRules && this.validationRules.valid_widget_types &&
+                        !this.validationRules.valid_widget_types.includes(widgetType) &&
+                        !this.validationRules.valid_widget_types.includes(jsonType)) {
+                        issues.push({
+                            severity: 'warning',
+                            title: 'Unknown widget type',
+                            description: `Widget type "${widgetType}" might not be supported by the Datadog provider.`,
+                            location: `Widget: ${widgetType}_definition`
+                        });
+                    }
+                });
+            }
+
+            // Deprecated dashboard attributes
+            if (/^\s*is_read_only\s*=/m.test(hclContent)) {
+                issues.push({
+                    severity: 'warning',
+                    title: 'Deprecated is_read_only',
+                    description: 'is_read_only is deprecated in the Datadog provider; use restricted_roles with the role IDs allowed to edit.',
+                    location: 'Dashboard resource'
+                });
+            }
+
+            // Blocks and attributes newer than the targeted provider version
+            this.getProviderLimitedNames().forEach(({ name, since }) => {
+                if (new RegExp(`^\\s*${name}\\s*(=|\\{)`, 'm').test(hclContent)) {
+                    issues.push({
+                        severity: 'error',
+                        title: `Not supported by provider ${this.providerVersion}`,
+                        description: `"${name}" ${this.describeProviderRequirement(since)}. Upgrade the provider or remove it.`,
+                        location: name
+                    });
+                }
+            });
+
+            // Validate metric queries (basic check)
+            const queryMatches = hclContent.match(/q\s*=\s*"([^"]+)"/g);
+            if (queryMatches) {
+                queryMatches.forEach(match => {
+                    const query = match.match(/q\s*=\s*"([^"]+)"/)[1];
+                    if (query.length < 3) {
+                        issues.push({
+                            severity: 'warning',
+                            title: 'Suspiciously short metric query',
+                            description: `Metric query "${query}" seems too short. Verify it's a valid Datadog metric query.`,
+                            location: 'Widget request'
+                        });
+                    }
+                });
+            }
+
+            // Validate color values
+            const colorMatches = hclContent.match(/(background_color|color)\s*=\s*"([^"]+)"/g);
+            if (colorMatches) {
+                colorMatches.forEach(match => {
+                    const parts = match.match(/(background_color|color)\s*=\s*"([^"]+)"/);
+                    const colorValue = parts[2];
+                    if (this.validationPatterns && this.validationPatterns.validColor &&
+                        !this.validationPatterns.validColor.test(colorValue)) {
+                        issues.push({
+                            severity: 'warning',
+                            title: 'Invalid color format',
+                            description: `Color value "${colorValue}" should be a hex color (#RRGGBB) or a valid color name.`,
+                            location: `Color field: ${parts[1]}`
+                        });
+                    }
+                });
+            }
+
+            // Check for placeholder values that need to be replaced
+            const placeholderPatterns = [
+                { pattern: /DASHBOARD_ID_PLACEHOLDER/, field: 'Dashboard ID' },
+                { pattern: /imported_dashboard/, field: 'Resource name' },
+                { pattern: /Imported Dashboard/, field: 'Dashboard title' },
+            ];
+
+            placeholderPatterns.forEach(({ pattern, field }) => {
+                if (pattern.test(hclContent)) {
+                    issues.push({
+                        severity: 'info',
+                        title: `Consider using variables`,
+                        description: `${field} appears to be hardcoded. Consider using Terraform variables for better reusability.`,
+                        location: field
+                    });
+                }
+            });
+        }
+
+        // datadog_monitor rules from validationRules, checked on the parsed HCL
+        // (HCL that does not parse is reported by validateBasicSyntax)
+        validateMonitors(hclContent, issues) {
+            if (!hclContent.includes(`resource "${MONITOR_RESOURCE}"`)) {
+                return;
+            }
+
+            let document;
+            try {
+                document = parseHCL(hclContent);
+            } catch (error) {
+                return;
+            }
+
+            const rules = this.validationRules || {};
+            document.getBlocks('resource')
+                .filter(block => block.labels[0] === MONITOR_RESOURCE)
+                .forEach(block => {
+                    const location = `Monitor: ${MONITOR_RESOURCE}.${block.labels[1]}`;
+                    const issue = (severity, title, description) => issues.push({ severity, title, description, location });
+                    // Literal values only; references (var.*) are not checked
+                    const literal = (body, name) => {
+                        const value = body?.getAttribute(name)?.value;
+                        return value instanceof HCLLiteral ? value.value : undefined;
+                    };
+
+                    (rules.required_monitor_fields || []).forEach(field => {
+                        if (!block.getAttribute(field)) {
+                            issue('error', `Missing required field: ${field}`, `Monitor resource must include the "${field}" field.`);
+                        }
+                    });
+
+                    const type = literal(block, 'type');
+                    if (type !== undefined && rules.valid_monitor_types && !rules.valid_monitor_types.includes(type)) {
+                        issue('warning', 'Unknown monitor type', `Monitor type "${type}" might not be supported by the Datadog provider.`);
+                    }
+
+                    const priority = literal(block, 'priority');
+                    if (priority !== undefined && rules.valid_monitor_priorities && !rules.valid_monitor_priorities.includes(Number(priority))) {
+                        issue('error', 'Invalid priority', `Priority "${priority}" is not valid. Must be one of: ${rules.valid_monitor_priorities.join(', ')} (1 is the highest).`);
+                    }
+
+                    // Metric monitors alert on the threshold in their query, which
+                    // the critical threshold must repeat
+                    const query = literal(block, 'query');
+                    const thresholds = block.getBlocks('monitor_thresholds')[0];
+                    const critical = literal(thresholds, 'critical');
+                    const warning = literal(thresholds, 'warning');
+                    const comparison = typeof query === 'string' ? query.match(/(>=|<=|>|<)\s*(-?\d+(?:\.\d+)?)\s*$/) : null;
+                    if (comparison && (type === 'metric alert' || type === 'query alert')) {
+                        if (critical === undefined) {
+                            if (!thresholds?.getAttribute('critical')) {
+                                issue('error', 'Missing critical threshold', `The query alerts at ${comparison[2]}; set the same value as monitor_thresholds.critical.`);
+                            }
+                        } else if (Number(critical) !== Number(comparison[2])) {
+                            issue('error', 'Critical threshold does not match the query', `monitor_thresholds.critical is ${critical} but the query alerts at ${comparison[2]}.`);
+                        }
+
+                        const above = comparison[1].startsWith('>');
+                        if (critical !== undefined && warning !== undefined &&
+                            (above ? Number(warning) > Number(critical) : Number(warning) < Number(critical))) {
+                            issue('error', 'Warning threshold beyond critical', `monitor_thresholds.warning (${warning}) must be ${above ? 'below' : 'above'} critical (${critical}) for a "${comparison[1]}" query.`);
+                        }
+                    }
+
+                    if (block.getBlocks('monitor_threshold_windows').length > 0 && typeof query === 'string' && !query.includes('anomalies(')) {
+                        issue('warning', 'Threshold windows on a non-anomaly monitor', 'monitor_threshold_windows only apply to anomaly monitors.');
+                    }
+
+                    const renotifyInterval = literal(block, 'renotify_interval');
+                    if (typeof renotifyInterval === 'number' && renotifyInterval < 0) {
+                        issue('error', 'Invalid renotify_interval', 'renotify_interval is a number of minutes and cannot be negative.');
+                    }
+                    if (!renotifyInterval && (block.getAttribute('renotify_occurrences') || block.getAttribute('renotify_statuses'))) {
+                        issue('warning', 'Renotification settings without renotify_interval', 'renotify_occurrences and renotify_statuses only apply when renotify_interval is set.');
+                    }
+
+                    const onMissingData = literal(block, 'on_missing_data');
+                    if (onMissingData !== undefined && rules.valid_on_missing_data && !rules.valid_on_missing_data.includes(onMissingData)) {
+                        issue('error', 'Invalid on_missing_data', `on_missing_data "${onMissingData}" is not valid. Must be one of: ${rules.valid_on_missing_data.join(', ')}.`);
+                    }
+                    if (onMissingData !== undefined && (literal(block, 'notify_no_data') === true || block.getAttribute('no_data_timeframe'))) {
+                        issue('error', 'on_missing_data with notify_no_data', 'on_missing_data replaces notify_no_data and no_data_timeframe; set one or the other.');
+                    }
+                });
+        }
+
+        // datadog_service_level_objective rules from validationRules: the SLO
+        // type decides between query and monitor_ids, and every threshold
+        // needs a known timeframe and a target between 0 and 100
+        validateSLOs(hclContent, issues) {
+            if (!hclContent.includes(`resource "${SLO_RESOURCE}"`)) {
+                return;
+            }
+
+            let document;
+            try {
+                document = parseHCL(hclContent);
+            } catch (error) {
+                return;
+            }
+
+            const rules = this.validationRules || {};
+            document.getBlocks('resource')
+                .filter(block => block.labels[0] === SLO_RESOURCE)
+                .forEach(block => {
+                    const location = `SLO: ${SLO_RESOURCE}.${block.labels[1]}`;
+                    const issue = (severity, title, description) => issues.push({ severity, title, description, location });
+                    const literal = (body, name) => {
+                        const value = body?.getAttribute(name)?.value;
+                        return value instanceof HCLLiteral ? value.value : undefined;
+                    };
+
+                    (rules.required_slo_fields || []).forEach(field => {
+                        if (!block.getAttribute(field)) {
+                            issue('error', `Missing required field: ${field}`, `SLO resource must include the "${field}" field.`);
+                        }
+                    });
+
+                    const type = literal(block, 'type');
+                    if (type !== undefined && rules.valid_slo_types && !rules.valid_slo_types.includes(type)) {
+                        issue('error', 'Invalid SLO type', `SLO type "${type}" is not valid. Must be one of: ${rules.valid_slo_types.join(', ')}.`);
+                    }
+
+                    const query = block.getBlocks('query')[0];
+                    const monitorIds = block.getAttribute('monitor_ids');
+                    if (type === 'metric') {
+                        if (!query?.getAttribute('numerator') || !query?.getAttribute('denominator')) {
+                            issue('error', 'Missing SLO query', 'Metric SLOs need a query block with numerator and denominator.');
+                        }
+                        if (monitorIds || block.getAttribute('groups')) {
+                            issue('error', 'monitor_ids or groups on a metric SLO', 'monitor_ids and groups only apply to monitor SLOs.');
+                        }
+                    } else if (type === 'monitor') {
+                        if (!monitorIds) {
+                            issue('error', 'Missing monitor_ids', 'Monitor SLOs need the IDs of the monitors they track in monitor_ids.');
+                        }
+                        if (query) {
+                            issue('error', 'Query on a monitor SLO', 'The query block only applies to metric SLOs.');
+                        }
+                        const ids = expressionValue(monitorIds?.value);
+                        if (Array.isArray(ids) && ids.length > 1 && block.getAttribute('groups')) {
+                            issue('warning', 'groups with several monitors', 'groups only apply to an SLO that tracks a single multi-alert monitor.');
+                        }
+                    }
+
+                    const thresholds = block.getBlocks('thresholds');
+                    if (thresholds.length === 0) {
+                        issue('error', 'Missing thresholds', 'SLOs need at least one thresholds block with a timeframe and a target.');
+                    }
+
+                    const timeframes = [];
+                    thresholds.forEach(threshold => {
+                        const timeframe = literal(threshold, 'timeframe');
+                        const target = literal(threshold, 'target');
+                        const warning = literal(threshold, 'warning');
+
+                        if (!threshold.getAttribute('timeframe') || !threshold.getAttribute('target')) {
+                            issue('error', 'Incomplete threshold', 'Every thresholds block needs a timeframe and a target.');
+                        }
+                        if (timeframe !== undefined) {
+                            if (rules.valid_slo_timeframes && !rules.valid_slo_timeframes.includes(timeframe)) {
+                                issue('error', 'Invalid SLO timeframe', `Timeframe "${timeframe}" is not valid. Must be one of: ${rules.valid_slo_timeframes.join(', ')}.`);
+                            }
+                            if (timeframes.includes(timeframe)) {
+                                issue('error', 'Duplicate SLO timeframe', `More than one thresholds block uses the ${timeframe} timeframe.`);
+                            }
+                            timeframes.push(timeframe);
+                        }
+                        if (target !== undefined && !(Number(target) > 0 && Number(target) < 100)) {
+                            issue('error', 'Invalid SLO target', `Target ${target} is not valid. Must be a percentage between 0 and 100 (exclusive).`);
+                        }
+                        if (warning !== undefined && target !== undefined &&
+                            !(Number(warning) > Number(target) && Number(warning) < 100)) {
+                            issue('error', 'Invalid SLO warning', `Warning ${warning} must be above the target (${target}) and below 100.`);
+                        }
+                    });
+                });
+        }
+
+        validateBestPractices(hclContent, issues) {
+            // Check for consistent indentation
+            const lines = hclContent.split('\n');
+            let expectedIndent = 0;
+            let inconsistentIndentation = false;
+
+            lines.forEach((line, index) => {
+                if (line.trim() === '') return;
+
+                const actualIndent = line.match(/^(\s*)/)[1].length;
+                const trimmedLine = line.trim();
+
+                if (trimmedLine.endsWith('{')) {
+                    expectedIndent += 2;
+                } else if (trimmedLine === '}') {
+                    expectedIndent -= 2;
+                }
+
+                // Allow some flexibility in indentation
+                if (Math.abs(actualIndent - expectedIndent) > 2 && !inconsistentIndentation) {
+                    issues.push({
+                        severity: 'info',
+                        title: 'Inconsistent indentation',
+                        description: 'Consider using consistent 2-space indentation for better readability.',
+                        line: index + 1,
+                        location: `Line ${index + 1}`
+                    });
+                    inconsistentIndentation = true;
+                }
+            });
+
+            // Check for long lines
+            lines.forEach((line, index) => {
+                if (line.length > 120) {
+                    issues.push({
+                        severity: 'info',
+                        title: 'Long line',
+                        description: 'Consider breaking long lines for better readability (recommended: < 120 characters).',
+                        line: index + 1,
+                        location: `Line ${index + 1} (${line.length} characters)`
+                    });
+                }
+            });
+
+            // Check for missing comments
+            if (!hclContent.includes('#') && !hclContent.includes('//')) {
+                issues.push({
+                    severity: 'info',
+                    title: 'No comments found',
+                    description: 'Consider adding comments to explain complex configurations.',
+                    location: 'Overall structure'
+                });
+            }
+
+            // Check for hardcoded values that could be variables
+            const hardcodedPatterns = [
+                { pattern: /"[a-f0-9-]{36}"/, suggestion: 'Dashboard ID' },
+                { pattern: /"prod|staging|dev"/i, suggestion: 'Environment' },
+                { pattern: /"us-east-1|us-west-2|eu-west-1"/i, suggestion: 'Region' },
+            ];
+
+            hardcodedPatterns.forEach(({ pattern, suggestion }) => {
+                if (pattern.test(hclContent)) {
+                    issues.push({
+                        severity: 'info',
+                        title: `Consider using variables`,
+                        description: `${suggestion} appears to be hardcoded. Consider using Terraform variables for better reusability.`,
+                        location: suggestion
+                    });
+                }
+            });
+        }
+
+    }
+
+    DatadogHCLConverter.BUILT_IN_RENDERERS = BUILT_IN_RENDERERS;
+    DatadogHCLConverter.DASHBOARD_RESOURCE = DASHBOARD_RESOURCE;
+    DatadogHCLConverter.DASHBOARD_JSON_RESOURCE = DASHBOARD_JSON_RESOURCE;
+    DatadogHCLConverter.MONITOR_RESOURCE = MONITOR_RESOURCE;
+    DatadogHCLConverter.SLO_RESOURCE = SLO_RESOURCE;
+    DatadogHCLConverter.SERVER_MANAGED_FIELDS = SERVER_MANAGED_FIELDS;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DatadogHCLConverter;
+    } else {
+        root.DatadogHCLConverter = DatadogHCLConverter;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,355 @@
+/**
+ * Datadog HCL Generator - Fidelity Report
+ * Shows exactly what a conversion lost
+ *
+ * The generated HCL is read back into dashboard JSON (lib/reverse.js) and
+ * compared with the input, leaf by leaf:
+ * - dropped:   input field with no counterpart in the HCL
+ * - altered:   field present in both with a different value
+ * - defaulted: field the HCL sets that the input did not have
+ *
+ * Fidelity is the share of input fields that survived, per widget and for
+ * the whole dashboard. Read-only export metadata (author, timestamps, ...)
+ * is listed as ignored and does not count.
+ */
+
+(function (root) {
+    'use strict';
+
+    const DatadogReverseConverter = typeof require === 'function' ? require('./reverse') : root.DatadogReverseConverter;
+
+    // Dashboard fields the API sets itself; never part of a Terraform resource
+    const READ_ONLY_FIELDS = ['id', 'author_handle', 'author_name', 'created_at', 'modified_at'];
+
+    class DatadogFidelityAnalyzer {
+        constructor(converter) {
+            this.converter = converter;
+        }
+
+        analyze(dashboardData, hcl) {
+            const { dashboard } = new DatadogReverseConverter(this.converter).convert(hcl);
+
+            const report = {
+                score: 100,
+                total: 0,
+                preserved: 0,
+                dropped: [],
+                altered: [],
+                defaulted: [],
+                ignored: [],
+                widgets: []
+            };
+
+            Object.keys(dashboardData).forEach(key => {
+                if (READ_ONLY_FIELDS.includes(key)) {
+                    report.ignored.push(key);
+                } else if (key === 'widgets' && Array.isArray(dashboardData.widgets)) {
+                    this.compareWidgets(dashboardData.widgets, dashboard.widgets, 'widgets', report, true);
+                } else if (key === 'template_variables' && Array.isArray(dashboardData.template_variables)) {
+                    this.compareArray(dashboardData.template_variables, dashboard.template_variables, key, report, (variable, output) =>
+                        this.normalizeTemplateVariable(variable, output)
+                    );
+                } else if (key === 'template_variable_presets' && Array.isArray(dashboardData.template_variable_presets)) {
+                    this.compareArray(dashboardData.template_variable_presets, dashboard.template_variable_presets, key, report, (preset, output) =>
+                        this.normalizeTemplateVariablePreset(preset, output)
+                    );
+                } else {
+                    this.compare(dashboardData[key], dashboard[key], key, report);
+                }
+            });
+
+            Object.keys(dashboard)
+                .filter(key => dashboardData[key] === undefined)
+                .forEach(key => this.addDefaulted(dashboard[key], key, report));
+
+            report.score = this.score(report.preserved, report.total);
+            return report;
+        }
+
+        compareWidgets(inputWidgets, outputWidgets = [], path, report, topLevel = false) {
+            this.alignWidgets(inputWidgets, outputWidgets).forEach(([widget, output], index) => {
+                const widgetPath = `${path}[${index}]`;
+                const counts = { total: report.total, preserved: report.preserved };
+
+                this.compareWidget(widget, output, widgetPath, report);
+
+                if (topLevel) {
+                    const total = report.total - counts.total;
+                    const preserved = report.preserved - counts.preserved;
+                    report.widgets.push({
+                        path: widgetPath,
+                        type: widget.definition?.type || 'unknown',
+                        title: widget.definition?.title || '',
+                        total: total,
+                        preserved: preserved,
+                        score: this.score(preserved, total)
+                    });
+                }
+            });
+        }
+
+        compareWidget(widget, output, path, report) {
+            if (!this.isObject(widget)) {
+                this.compare(widget, output, path, report);
+                return;
+            }
+
+            Object.keys(widget).forEach(key => {
+                const fieldPath = `${path}.${key}`;
+                if (key === 'definition' && this.isObject(widget.definition)) {
+                    this.compareDefinition(widget.definition, output?.definition, fieldPath, report);
+                } else {
+                    this.compare(widget[key], output?.[key], fieldPath, report);
+                }
+            });
+
+            if (output) {
+                Object.keys(output)
+                    .filter(key => widget[key] === undefined)
+                    .forEach(key => this.addDefaulted(output[key], `${path}.${key}`, report));
+            }
+        }
+
+        compareDefinition(definition, output, path, report) {
+            const widgetConfig = this.converter.widgetMappings?.widgets?.[definition.type];
+
+            Object.keys(definition).forEach(key => {
+                const fieldPath = `${path}.${key}`;
+                if (key === 'widgets' && Array.isArray(definition.widgets)) {
+                    this.compareWidgets(definition.widgets, output?.widgets, fieldPath, report);
+                } else if (key === 'requests' && Array.isArray(definition.requests)) {
+                    this.compareRequests(definition.requests, output?.requests, widgetConfig, fieldPath, report);
+                } else {
+                    this.compare(definition[key], output?.[key], fieldPath, report);
+                }
+            });
+
+            if (output) {
+                Object.keys(output)
+                    .filter(key => definition[key] === undefined)
+                    .forEach(key => this.addDefaulted(output[key], `${path}.${key}`, report));
+            }
+        }
+
+        compareRequests(requests, outputRequests = [], widgetConfig, path, report) {
+            // Requests without queries are never emitted, so they pair with nothing
+            const emitted = widgetConfig && widgetConfig.requestStructure !== 'none';
+            let next = 0;
+
+            requests.forEach((request, index) => {
+                const output = emitted && this.converter.hasValidRequestContent(request, widgetConfig)
+                    ? outputRequests[next++]
+                    : undefined;
+                const normalized = this.normalizeRequest(request, output);
+                this.compare(request, normalized, `${path}[${index}]`, report);
+            });
+        }
+
+        compareArray(items, outputItems = [], path, report, normalize) {
+            items.forEach((item, index) => {
+                const output = normalize ? normalize(item, outputItems[index]) : outputItems[index];
+                this.compare(item, output, `${path}[${index}]`, report);
+            });
+        }
+
+        compare(input, output, path, report) {
+            if (Array.isArray(input) && input.length > 0) {
+                input.forEach((item, index) => {
+                    this.compare(item, Array.isArray(output) ? output[index] : undefined, `${path}[${index}]`, report);
+                });
+                if (Array.isArray(output)) {
+                    output.slice(input.length).forEach((item, index) =>
+                        this.addDefaulted(item, `${path}[${input.length + index}]`, report)
+                    );
+                }
+                return;
+            }
+
+            if (this.isObject(input) && Object.keys(input).length > 0) {
+                Object.keys(input).forEach(key => {
+                    this.compare(input[key], this.isObject(output) ? output[key] : undefined, `${path}.${key}`, report);
+                });
+                if (this.isObject(output)) {
+                    Object.keys(output)
+                        .filter(key => input[key] === undefined)
+                        .forEach(key => this.addDefaulted(output[key], `${path}.${key}`, report));
+                }
+                return;
+            }
+
+            // Leaf: a primitive, an empty array or an empty object
+            report.total++;
+            if (output === undefined && input === null) {
+                // Exports use null for "not set", which the HCL expresses by omission
+                report.preserved++;
+            } else if (output === undefined) {
+                report.dropped.push({ path, value: input });
+            } else if (this.isEquivalent(input, output)) {
+                report.preserved++;
+            } else {
+                report.altered.push({ path, expected: input, actual: output });
+            }
+        }
+
+        addDefaulted(value, path, report) {
+            if (Array.isArray(value) && value.length > 0) {
+                value.forEach((item, index) => this.addDefaulted(item, `${path}[${index}]`, report));
+            } else if (this.isObject(value) && Object.keys(value).length > 0) {
+                Object.entries(value).forEach(([key, item]) => this.addDefaulted(item, `${path}.${key}`, report));
+            } else {
+                report.defaulted.push({ path, value });
+            }
+        }
+
+        // Widgets pair up by id when every widget has one, otherwise by position
+        // (skipping widget types the converter cannot emit)
+        alignWidgets(inputWidgets, outputWidgets) {
+            if (inputWidgets.every(widget => widget && widget.id !== undefined)) {
+                return inputWidgets.map(widget => [
+                    widget,
+                    outputWidgets.find(output => String(output.id) === String(widget.id))
+                ]);
+            }
+
+            let next = 0;
+            return inputWidgets.map(widget => {
+                const type = widget?.definition?.type;
+                const supported = this.converter.canRenderWidget(type);
+                return [widget, supported ? outputWidgets[next++] : undefined];
+            });
+        }
+
+        // Map the generated request back onto the input's shape where the
+        // converter changes representation without losing information
+        normalizeRequest(request, output) {
+            if (!this.isObject(request) || !this.isObject(output)) return output;
+            const normalized = { ...output };
+
+            // Modern widgets turn a legacy q string into a metric_query block
+            if (request.q !== undefined && !request.queries && Array.isArray(output.queries) && output.q === undefined) {
+                const [query] = output.queries;
+                normalized.q = query?.query;
+                if (request.aggregator !== undefined) normalized.aggregator = query?.aggregator;
+                delete normalized.queries;
+            }
+
+            // Legacy widgets keep a single q string taken from the first query
+            if (Array.isArray(request.queries) && request.queries.length > 0 && output.q !== undefined && !output.queries) {
+                const [query] = request.queries;
+                if (query?.query === output.q) {
+                    normalized.queries = [{ query: output.q }];
+                    delete normalized.q;
+                } else if (query?.search?.query === output.q) {
+                    normalized.queries = [{ search: { query: output.q } }];
+                    delete normalized.q;
+                }
+            }
+
+            // Formulas may spell their expression either way in the JSON
+            if (Array.isArray(request.formulas) && Array.isArray(output.formulas)) {
+                normalized.formulas = output.formulas.map((formula, index) => {
+                    const source = request.formulas[index];
+                    if (this.isObject(formula) && source && source.formula === undefined && source.formula_expression !== undefined) {
+                        const { formula: expression, ...rest } = formula;
+                        return { formula_expression: expression, ...rest };
+                    }
+                    return formula;
+                });
+            }
+
+            return normalized;
+        }
+
+        normalizeTemplateVariable(variable, output) {
+            if (!this.isObject(variable) || !this.isObject(output)) return output;
+            const normalized = { ...output };
+
+            // A single "default" is written as a one-element defaults list
+            if (variable.default !== undefined && variable.defaults === undefined && Array.isArray(output.defaults)) {
+                normalized.default = Array.isArray(variable.default) ? output.defaults : output.defaults[0];
+                delete normalized.defaults;
+            }
+
+            return normalized;
+        }
+
+        normalizeTemplateVariablePreset(preset, output) {
+            if (!this.isObject(preset) || !this.isObject(output) || !Array.isArray(output.template_variables)) return output;
+
+            // A single "value" is written as a one-element values list
+            return {
+                ...output,
+                template_variables: output.template_variables.map((variable, index) => {
+                    const source = preset.template_variables?.[index];
+                    if (this.isObject(variable) && source && source.value !== undefined && source.values === undefined && Array.isArray(variable.values)) {
+                        const { values, ...rest } = variable;
+                        return { ...rest, value: values[0] };
+                    }
+                    return variable;
+                })
+            };
+        }
+
+        isEquivalent(input, output) {
+            if (Array.isArray(input) || this.isObject(input)) {
+                return JSON.stringify(input) === JSON.stringify(output);
+            }
+            // Terraform stores some numbers as strings (title_size, yaxis min/max, ids)
+            return input === output || (input !== null && output !== null && String(input) === String(output));
+        }
+
+        isObject(value) {
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        }
+
+        score(preserved, total) {
+            return total === 0 ? 100 : Math.round((preserved / total) * 1000) / 10;
+        }
+
+        formatReport(report) {
+            const format = value => JSON.stringify(value);
+            const lines = [
+                `Fidelity: ${report.score}% (${report.preserved} of ${report.total} fields preserved)`,
+                `Dropped: ${report.dropped.length} | Altered: ${report.altered.length} | Defaulted: ${report.defaulted.length}`
+            ];
+
+            if (report.widgets.length > 0) {
+                lines.push('', 'Widgets:');
+                report.widgets.forEach(widget => {
+                    const icon = widget.score === 100 ? '✅' : '⚠️';
+                    const title = widget.title ? ` "${widget.title}"` : '';
+                    lines.push(`  ${icon} ${widget.score}% ${widget.path} ${widget.type}${title}`);
+                });
+            }
+
+            if (report.dropped.length > 0) {
+                lines.push('', 'Dropped:');
+                report.dropped.forEach(item => lines.push(`  ${item.path} = ${format(item.value)}`));
+            }
+
+            if (report.altered.length > 0) {
+                lines.push('', 'Altered:');
+                report.altered.forEach(item => lines.push(`  ${item.path}: ${format(item.expected)} -> ${format(item.actual)}`));
+            }
+
+            if (report.defaulted.length > 0) {
+                lines.push('', 'Defaulted:');
+                report.defaulted.forEach(item => lines.push(`  ${item.path} = ${format(item.value)}`));
+            }
+
+            if (report.ignored.length > 0) {
+                lines.push('', `Ignored (read-only): ${report.ignored.join(', ')}`);
+            }
+
+            return lines.join('\n') + '\n';
+        }
+    }
+
+    DatadogFidelityAnalyzer.READ_ONLY_FIELDS = READ_ONLY_FIELDS;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DatadogFidelityAnalyzer;
+    } else {
+        root.DatadogFidelityAnalyzer = DatadogFidelityAnalyzer;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
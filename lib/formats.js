@@ -0,0 +1,91 @@
+/**
+ * Datadog HCL Generator - Output Formats
+ * The formats a converted dashboard can be written in
+ *
+ * Every format starts from the generated HCL, so diagnostics, validation,
+ * parameterization and import blocks apply to all of them:
+ * - hcl:     Terraform HCL as generated
+ * - tf-json: Terraform JSON syntax (lib/tf-json.js)
+ * - cdktf:   TypeScript construct for CDK for Terraform (lib/cdktf.js)
+ * - pulumi-typescript, pulumi-python: Pulumi program (lib/pulumi.js); these
+ *   read parameterized values from Pulumi config instead of variables.tf
+ */
+
+(function (root) {
+    'use strict';
+
+    const DatadogCDKTFGenerator = typeof require === 'function' ? require('./cdktf') : root.DatadogCDKTFGenerator;
+    const DatadogTerraformJSONGenerator = typeof require === 'function' ? require('./tf-json') : root.DatadogTerraformJSONGenerator;
+    const DatadogPulumiGenerator = typeof require === 'function' ? require('./pulumi') : root.DatadogPulumiGenerator;
+
+    const FORMATS = {
+        hcl: {
+            label: 'Terraform HCL',
+            extension: '.tf',
+            mimeType: 'text/plain',
+            comment: '#',
+            terraform: true,
+            render: hcl => hcl
+        },
+        'tf-json': {
+            label: 'Terraform JSON',
+            extension: '.tf.json',
+            mimeType: 'application/json',
+            comment: '//',
+            terraform: true,
+            render: (hcl, converter) => new DatadogTerraformJSONGenerator(converter).generate(hcl)
+        },
+        cdktf: {
+            label: 'CDKTF TypeScript',
+            extension: '.ts',
+            mimeType: 'text/typescript',
+            comment: '//',
+            render: (hcl, converter) => new DatadogCDKTFGenerator(converter).generate(hcl)
+        },
+        'pulumi-typescript': {
+            label: 'Pulumi TypeScript',
+            extension: '.ts',
+            mimeType: 'text/typescript',
+            comment: '//',
+            configVariables: true,
+            render: (hcl, converter, options = {}) => new DatadogPulumiGenerator(converter, { language: 'typescript' }).generate(hcl, options.variables)
+        },
+        'pulumi-python': {
+            label: 'Pulumi Python',
+            extension: '.py',
+            mimeType: 'text/x-python',
+            comment: '#',
+            configVariables: true,
+            render: (hcl, converter, options = {}) => new DatadogPulumiGenerator(converter, { language: 'python' }).generate(hcl, options.variables)
+        }
+    };
+
+    const DEFAULT_FORMAT = 'hcl';
+
+    function names() {
+        return Object.keys(FORMATS);
+    }
+
+    function get(name) {
+        const format = FORMATS[name || DEFAULT_FORMAT];
+        if (!format) {
+            throw new Error(`Unknown output format "${name}" - expected one of ${names().join(', ')}`);
+        }
+        return { name: name || DEFAULT_FORMAT, terraform: false, configVariables: false, ...format };
+    }
+
+    // converter: supplies widget-config.json to formats that need it
+    // options.variables: what DatadogParameterizer.apply() returned, if the
+    // HCL was parameterized
+    function render(name, hcl, converter = null, options = {}) {
+        return get(name).render(hcl, converter, options);
+    }
+
+    const DatadogOutputFormats = { names, get, render, DEFAULT_FORMAT };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DatadogOutputFormats;
+    } else {
+        root.DatadogOutputFormats = DatadogOutputFormats;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,708 @@
+/**
+ * Datadog HCL Generator - HCL Document Model
+ * In-memory HCL tree (blocks, attributes, expressions, comments) and the
+ * single printer that turns it into text.
+ *
+ * Generators build trees instead of concatenating strings, so indentation,
+ * "=" alignment, escaping and blank-line rules live in one place:
+ * - Two-space indentation per nesting level
+ * - "=" aligned across consecutive single-line attributes (like terraform fmt)
+ * - Blocks separated from their siblings by one blank line
+ * - Comments stay attached to the node that follows them
+ *
+ * parseHCL() reads HCL text back into the same tree (# and // comments on a
+ * line of their own are kept, other comments are dropped; references,
+ * function calls and templates are kept as raw expressions).
+ */
+
+(function (root) {
+    'use strict';
+
+    const IDENTIFIER_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_-]*$/;
+
+    // Expressions
+
+    class HCLExpression {}
+
+    class HCLLiteral extends HCLExpression {
+        constructor(value) {
+            super();
+            this.value = value === undefined ? null : value;
+        }
+    }
+
+    class HCLList extends HCLExpression {
+        constructor(items = []) {
+            super();
+            this.items = items.map(toExpression);
+        }
+    }
+
+    class HCLObject extends HCLExpression {
+        constructor(entries = []) {
+            super();
+            this.entries = entries.map(([key, value]) => [key, toExpression(value)]);
+        }
+    }
+
+    // Verbatim expression text: references (var.env), function calls, ...
+    // Parsed string templates also keep their unescaped content in `template`
+    class HCLRaw extends HCLExpression {
+        constructor(text, template = null) {
+            super();
+            this.text = text;
+            this.template = template;
+        }
+    }
+
+    // Function call built by a generator: jsonencode({ ... }). Parsed calls
+    // stay HCLRaw
+    class HCLCall extends HCLExpression {
+        constructor(name, args = []) {
+            super();
+            this.name = name;
+            this.args = args.map(toExpression);
+        }
+    }
+
+    function toExpression(value) {
+        if (value instanceof HCLExpression) return value;
+        if (Array.isArray(value)) return new HCLList(value);
+        if (value !== null && typeof value === 'object') return new HCLObject(Object.entries(value));
+        return new HCLLiteral(value);
+    }
+
+    // Structure
+
+    class HCLAttribute {
+        constructor(name, value) {
+            this.name = name;
+            this.value = toExpression(value);
+        }
+    }
+
+    class HCLComment {
+        constructor(text) {
+            this.text = String(text);
+        }
+    }
+
+    class HCLBody {
+        constructor() {
+            this.children = [];
+        }
+
+        attribute(name, value) {
+            this.children.push(new HCLAttribute(name, value));
+            return this;
+        }
+
+        block(type, labels = []) {
+            const block = new HCLBlock(type, labels);
+            this.children.push(block);
+            return block;
+        }
+
+        comment(text) {
+            this.children.push(new HCLComment(text));
+            return this;
+        }
+
+        append(...nodes) {
+            nodes.flat().forEach(node => {
+                if (node) this.children.push(node);
+            });
+            return this;
+        }
+
+        getAttribute(name) {
+            return this.children.find(child => child instanceof HCLAttribute && child.name === name) || null;
+        }
+
+        getBlocks(type) {
+            return this.children.filter(child => child instanceof HCLBlock && (!type || child.type === type));
+        }
+
+        isEmpty() {
+            return this.children.length === 0;
+        }
+    }
+
+    class HCLBlock extends HCLBody {
+        constructor(type, labels = []) {
+            super();
+            this.type = type;
+            this.labels = labels;
+        }
+    }
+
+    class HCLDocument extends HCLBody {}
+
+    // Printer
+
+    class HCLPrinter {
+        constructor(options = {}) {
+            this.indentUnit = options.indent || '  ';
+        }
+
+        print(node) {
+            if (node instanceof HCLDocument) {
+                return this.printBody(node.children, 0).join('\n') + '\n';
+            }
+            if (node instanceof HCLBlock) {
+                return this.printBlock(node, 0).join('\n') + '\n';
+            }
+            if (node instanceof HCLExpression) {
+                return this.printExpression(node, 0);
+            }
+            throw new Error('Cannot print unknown HCL node');
+        }
+
+        indent(depth) {
+            return this.indentUnit.repeat(depth);
+        }
+
+        printBody(children, depth) {
+            const lines = [];
+            let run = [];
+
+            const flushRun = () => {
+                const width = Math.max(0, ...run.map(attribute => attribute.name.length));
+                run.forEach(attribute => {
+                    const value = this.printExpression(attribute.value, depth);
+                    lines.push(`${this.indent(depth)}${attribute.name.padEnd(width)} = ${value}`);
+                });
+                run = [];
+            };
+
+            children.forEach((child, index) => {
+                const previous = children[index - 1];
+
+                if (child instanceof HCLAttribute) {
+                    if (previous instanceof HCLBlock) {
+                        flushRun();
+                        lines.push('');
+                    }
+                    run.push(child);
+                    // A multi-line value ends the alignment group (as terraform fmt does)
+                    if (this.isMultiline(child.value)) {
+                        flushRun();
+                    }
+                } else if (child instanceof HCLBlock) {
+                    flushRun();
+                    if (previous && !(previous instanceof HCLComment)) {
+                        lines.push('');
+                    }
+                    lines.push(...this.printBlock(child, depth));
+                } else if (child instanceof HCLComment) {
+                    flushRun();
+                    if (previous instanceof HCLBlock) {
+                        lines.push('');
+                    }
+                    child.text.split('\n').forEach(line => {
+                        lines.push(`${this.indent(depth)}# ${line}`.trimEnd());
+                    });
+                }
+            });
+
+            flushRun();
+            return lines;
+        }
+
+        printBlock(block, depth) {
+            const header = [block.type, ...block.labels.map(label => this.quote(label))].join(' ');
+
+            if (block.isEmpty()) {
+                return [`${this.indent(depth)}${header} {}`];
+            }
+
+            return [
+                `${this.indent(depth)}${header} {`,
+                ...this.printBody(block.children, depth + 1),
+                `${this.indent(depth)}}`
+            ];
+        }
+
+        isMultiline(expression) {
+            if (expression instanceof HCLObject) {
+                return expression.entries.length > 0;
+            }
+            if (expression instanceof HCLList) {
+                return expression.items.some(item => this.isMultiline(item) || item instanceof HCLList);
+            }
+            if (expression instanceof HCLCall) {
+                return expression.args.some(arg => this.isMultiline(arg));
+            }
+            return false;
+        }
+
+        printExpression(expression, depth) {
+            if (expression instanceof HCLRaw) {
+                return expression.text;
+            }
+
+            if (expression instanceof HCLLiteral) {
+                const { value } = expression;
+                if (value === null) return 'null';
+                if (typeof value === 'string') return this.quote(value);
+                return String(value);
+            }
+
+            if (expression instanceof HCLList) {
+                if (!this.isMultiline(expression)) {
+                    return `[${expression.items.map(item => this.printExpression(item, depth)).join(', ')}]`;
+                }
+                const items = expression.items.map(item =>
+                    `${this.indent(depth + 1)}${this.printExpression(item, depth + 1)},`
+                );
+                return ['[', ...items, `${this.indent(depth)}]`].join('\n');
+            }
+
+            if (expression instanceof HCLCall) {
+                return `${expression.name}(${expression.args.map(arg => this.printExpression(arg, depth)).join(', ')})`;
+            }
+
+            if (expression instanceof HCLObject) {
+                if (expression.entries.length === 0) return '{}';
+                const entries = [];
+                let run = [];
+
+                const flushRun = () => {
+                    const width = Math.max(0, ...run.map(([key]) => key.length));
+                    run.forEach(([key, value]) => {
+                        entries.push(`${this.indent(depth + 1)}${key.padEnd(width)} = ${this.printExpression(value, depth + 1)}`);
+                    });
+                    run = [];
+                };
+
+                expression.entries.forEach(([key, value]) => {
+                    run.push([IDENTIFIER_PATTERN.test(key) ? key : this.quote(key), value]);
+                    // A multi-line value ends the alignment group, like in block bodies
+                    if (this.isMultiline(value)) {
+                        flushRun();
+                    }
+                });
+                flushRun();
+
+                return ['{', ...entries, `${this.indent(depth)}}`].join('\n');
+            }
+
+            throw new Error('Cannot print unknown HCL expression');
+        }
+
+        quote(value) {
+            const escaped = String(value)
+                .replace(/\\/g, '\\\\')
+                .replace(/"/g, '\\"')
+                .replace(/\n/g, '\\n')
+                .replace(/\r/g, '\\r')
+                .replace(/\t/g, '\\t')
+                // Template sequences are literal text in generated strings
+                .replace(/([$%])\{/g, '$1$1{');
+
+            return `"${escaped}"`;
+        }
+    }
+
+    function printHCL(node, options) {
+        return new HCLPrinter(options).print(node);
+    }
+
+    // Parser
+
+    class HCLParseError extends Error {
+        constructor(message, line, column) {
+            super(`${message} at line ${line}, column ${column}`);
+            this.name = 'HCLParseError';
+            this.line = line;
+            this.column = column;
+        }
+    }
+
+    const PUNCTUATION = '{}[]()=,:?.!<>+-*/%&|';
+
+    function tokenize(text) {
+        const tokens = [];
+        let index = 0;
+        let line = 1;
+        let column = 1;
+        let interpolated = false;
+
+        const advance = count => {
+            for (let i = 0; i < count; i++) {
+                if (text[index] === '\n') {
+                    line++;
+                    column = 1;
+                } else {
+                    column++;
+                }
+                index++;
+            }
+        };
+
+        const push = (type, value, start) => tokens.push({ type, value, ...start });
+
+        while (index < text.length) {
+            const char = text[index];
+            const start = { line, column, offset: index };
+
+            if (char === '\n') {
+                push('newline', '\n', start);
+                advance(1);
+            } else if (/\s/.test(char)) {
+                advance(1);
+            } else if (char === '#' || text.startsWith('//', index)) {
+                const end = text.indexOf('\n', index);
+                const comment = text.slice(index, end === -1 ? text.length : end);
+                // Only comments on a line of their own; trailing ones belong to no node
+                if (tokens.length === 0 || tokens[tokens.length - 1].type === 'newline') {
+                    push('comment', comment.replace(/^(#|\/\/) ?/, '').trimEnd(), start);
+                }
+                advance(comment.length);
+            } else if (text.startsWith('/*', index)) {
+                const end = text.indexOf('*/', index + 2);
+                if (end === -1) throw new HCLParseError('Unterminated comment', line, column);
+                advance(end + 2 - index);
+            } else if (char === '"') {
+                const value = readString();
+                push(interpolated ? 'template' : 'string', value, start);
+            } else if (text.startsWith('<<', index) && /^<<-?[A-Za-z_]/.test(text.slice(index, index + 4))) {
+                push('string', readHeredoc(), start);
+            } else if (/[0-9]/.test(char)) {
+                const match = /^[0-9]+(\.[0-9]+)?([eE][+-]?[0-9]+)?/.exec(text.slice(index));
+                push('number', Number(match[0]), start);
+                advance(match[0].length);
+            } else if (/[A-Za-z_]/.test(char)) {
+                const match = /^[A-Za-z_][A-Za-z0-9_-]*/.exec(text.slice(index));
+                push('identifier', match[0], start);
+                advance(match[0].length);
+            } else if (PUNCTUATION.includes(char)) {
+                push('punctuation', char, start);
+                advance(1);
+            } else {
+                throw new HCLParseError(`Unexpected character "${char}"`, line, column);
+            }
+
+            if (tokens.length > 0 && tokens[tokens.length - 1].end === undefined) {
+                tokens[tokens.length - 1].end = index;
+            }
+        }
+
+        push('eof', null, { line, column, offset: index });
+        return tokens;
+
+        function readString() {
+            const startLine = line;
+            const startColumn = column;
+            let value = '';
+            interpolated = false;
+            advance(1);
+
+            while (index < text.length && text[index] !== '"') {
+                const char = text[index];
+                if (char === '\n') break;
+
+                if (char === '\\') {
+                    const next = text[index + 1];
+                    const escapes = { n: '\n', r: '\r', t: '\t', '"': '"', '\\': '\\' };
+                    if (next in escapes) {
+                        value += escapes[next];
+                        advance(2);
+                    } else if (next === 'u' || next === 'U') {
+                        const length = next === 'u' ? 4 : 8;
+                        value += String.fromCodePoint(parseInt(text.substr(index + 2, length), 16));
+                        advance(2 + length);
+                    } else {
+                        throw new HCLParseError(`Invalid escape sequence "\\${next}"`, line, column);
+                    }
+                } else if (text.startsWith('$${', index) || text.startsWith('%%{', index)) {
+                    // Escaped template sequences are literal text
+                    value += `${char}{`;
+                    advance(3);
+                } else if (text.startsWith('${', index) || text.startsWith('%{', index)) {
+                    // Interpolations are kept verbatim, including any quotes inside them
+                    let depth = 1;
+                    interpolated = true;
+                    value += `${char}{`;
+                    advance(2);
+                    while (depth > 0 && index < text.length && text[index] !== '\n') {
+                        if (text[index] === '{') depth++;
+                        if (text[index] === '}') depth--;
+                        value += text[index];
+                        advance(1);
+                    }
+                } else {
+                    value += char;
+                    advance(1);
+                }
+            }
+
+            if (text[index] !== '"') {
+                throw new HCLParseError('Unterminated string', startLine, startColumn);
+            }
+            advance(1);
+            return value;
+        }
+
+        function readHeredoc() {
+            const match = /^<<(-?)([A-Za-z_][A-Za-z0-9_]*)\r?\n/.exec(text.slice(index));
+            if (!match) throw new HCLParseError('Invalid heredoc', line, column);
+
+            const [header, indented, marker] = match;
+            const bodyStart = index + header.length;
+            const lines = [];
+            let position = bodyStart;
+
+            for (;;) {
+                if (position >= text.length) throw new HCLParseError(`Unterminated heredoc ${marker}`, line, column);
+                const end = text.indexOf('\n', position);
+                const current = text.slice(position, end === -1 ? text.length : end).replace(/\r$/, '');
+                if (current.trim() === marker) {
+                    position = end === -1 ? text.length : end;
+                    break;
+                }
+                lines.push(current);
+                position = end === -1 ? text.length : end + 1;
+            }
+
+            if (indented) {
+                const widths = lines.filter(item => item.trim()).map(item => /^\s*/.exec(item)[0].length);
+                const strip = widths.length > 0 ? Math.min(...widths) : 0;
+                lines.forEach((item, i) => { lines[i] = item.slice(strip); });
+            }
+
+            advance(position - index);
+            return lines.length > 0 ? lines.join('\n') + '\n' : '';
+        }
+    }
+
+    class HCLParser {
+        constructor(text) {
+            this.text = text;
+            this.tokens = tokenize(text);
+            this.position = 0;
+        }
+
+        parse() {
+            const document = new HCLDocument();
+            this.parseBody(document, true);
+            return document;
+        }
+
+        peek(offset = 0) {
+            return this.tokens[this.position + offset];
+        }
+
+        next() {
+            return this.tokens[this.position++];
+        }
+
+        fail(message, token = this.peek()) {
+            throw new HCLParseError(message, token.line, token.column);
+        }
+
+        isPunctuation(value, token = this.peek()) {
+            return token.type === 'punctuation' && token.value === value;
+        }
+
+        expectPunctuation(value) {
+            if (!this.isPunctuation(value)) {
+                this.fail(`Expected "${value}"`);
+            }
+            return this.next();
+        }
+
+        // Comments inside lists and objects are dropped
+        skipNewlines() {
+            while (this.peek().type === 'newline' || this.peek().type === 'comment') this.next();
+        }
+
+        parseBody(body, topLevel) {
+            for (;;) {
+                while (this.peek().type === 'newline' || this.peek().type === 'comment') {
+                    const skipped = this.next();
+                    if (skipped.type === 'comment') body.comment(skipped.value);
+                }
+                const token = this.peek();
+
+                if (token.type === 'eof') {
+                    if (!topLevel) this.fail('Unexpected end of input, expected "}"');
+                    return;
+                }
+                if (this.isPunctuation('}')) {
+                    if (topLevel) this.fail('Unexpected "}"');
+                    return;
+                }
+                if (token.type !== 'identifier') {
+                    this.fail('Expected an attribute name or block type');
+                }
+
+                const name = this.next().value;
+                if (this.isPunctuation('=')) {
+                    this.next();
+                    body.attribute(name, this.parseExpression());
+                } else {
+                    const labels = [];
+                    while (this.peek().type === 'string' || this.peek().type === 'identifier') {
+                        labels.push(this.next().value);
+                    }
+                    this.expectPunctuation('{');
+                    const block = body.block(name, labels);
+                    this.parseBody(block, false);
+                    this.expectPunctuation('}');
+                }
+
+                const end = this.peek();
+                if (end.type !== 'newline' && end.type !== 'eof' && !this.isPunctuation('}')) {
+                    this.fail('Expected a newline after attribute or block');
+                }
+            }
+        }
+
+        parseExpression() {
+            const token = this.peek();
+            const following = this.peek(1);
+            const isLast = following.type === 'newline' || following.type === 'eof' ||
+                this.isPunctuation(',', following) || this.isPunctuation(']', following) ||
+                this.isPunctuation('}', following);
+
+            if (this.isPunctuation('[')) return this.parseList();
+            if (this.isPunctuation('{')) return this.parseObject();
+
+            // A single literal token; anything else (references, calls, operators) is kept verbatim
+            if (isLast) {
+                if (token.type === 'string' || token.type === 'number') {
+                    return new HCLLiteral(this.next().value);
+                }
+                if (token.type === 'template') {
+                    this.next();
+                    return new HCLRaw(this.text.slice(token.offset, token.end), token.value);
+                }
+                if (token.type === 'identifier' && ['true', 'false', 'null'].includes(token.value)) {
+                    this.next();
+                    return new HCLLiteral(token.value === 'null' ? null : token.value === 'true');
+                }
+            }
+            if (this.isPunctuation('-') && following.type === 'number') {
+                const afterNumber = this.peek(2);
+                if (afterNumber.type === 'newline' || afterNumber.type === 'eof' ||
+                    [',', ']', '}'].some(value => this.isPunctuation(value, afterNumber))) {
+                    this.next();
+                    return new HCLLiteral(-this.next().value);
+                }
+            }
+
+            return this.parseRaw();
+        }
+
+        parseList() {
+            const items = [];
+            this.expectPunctuation('[');
+            for (;;) {
+                this.skipNewlines();
+                if (this.isPunctuation(']')) break;
+                items.push(this.parseExpression());
+                this.skipNewlines();
+                if (this.isPunctuation(',')) {
+                    this.next();
+                } else if (!this.isPunctuation(']')) {
+                    this.fail('Expected "," or "]" in list');
+                }
+            }
+            this.next();
+            return new HCLList(items);
+        }
+
+        parseObject() {
+            const entries = [];
+            this.expectPunctuation('{');
+            for (;;) {
+                this.skipNewlines();
+                if (this.isPunctuation('}')) break;
+
+                const key = this.next();
+                if (key.type !== 'identifier' && key.type !== 'string') {
+                    this.fail('Expected an object key', key);
+                }
+                if (!this.isPunctuation('=') && !this.isPunctuation(':')) {
+                    this.fail('Expected "=" or ":" after object key');
+                }
+                this.next();
+                entries.push([key.value, this.parseExpression()]);
+
+                this.skipNewlines();
+                if (this.isPunctuation(',')) this.next();
+            }
+            this.next();
+            return new HCLObject(entries);
+        }
+
+        // Consume tokens up to the end of the expression and keep the source text
+        parseRaw() {
+            const first = this.peek();
+            let depth = 0;
+            let last = first;
+
+            for (;;) {
+                const token = this.peek();
+                if (token.type === 'eof') break;
+                if (depth === 0 && (token.type === 'newline' ||
+                    [',', ']', '}'].some(value => this.isPunctuation(value, token)))) {
+                    break;
+                }
+                if (token.type === 'punctuation' && '([{'.includes(token.value)) depth++;
+                if (token.type === 'punctuation' && ')]}'.includes(token.value)) depth--;
+                last = this.next();
+            }
+
+            if (this.peek() === first) {
+                this.fail('Expected an expression', first);
+            }
+            return new HCLRaw(this.text.slice(first.offset, last.end));
+        }
+    }
+
+    function parseHCL(text) {
+        return new HCLParser(String(text)).parse();
+    }
+
+    // Plain JavaScript value of an expression (raw expressions become their source text,
+    // string templates their content)
+    function expressionValue(expression) {
+        if (expression instanceof HCLLiteral) return expression.value;
+        if (expression instanceof HCLList) return expression.items.map(expressionValue);
+        if (expression instanceof HCLObject) {
+            return Object.fromEntries(expression.entries.map(([key, value]) => [key, expressionValue(value)]));
+        }
+        if (expression instanceof HCLRaw) return expression.template !== null ? expression.template : expression.text;
+        return undefined;
+    }
+
+    const HCL = {
+        HCLExpression,
+        HCLLiteral,
+        HCLList,
+        HCLObject,
+        HCLRaw,
+        HCLCall,
+        HCLAttribute,
+        HCLComment,
+        HCLBody,
+        HCLBlock,
+        HCLDocument,
+        HCLPrinter,
+        HCLParser,
+        HCLParseError,
+        toExpression,
+        expressionValue,
+        printHCL,
+        parseHCL,
+        raw: text => new HCLRaw(text)
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = HCL;
+    } else {
+        root.HCL = HCL;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
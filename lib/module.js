@@ -0,0 +1,190 @@
+/**
+ * Datadog HCL Generator - Terraform Module Export
+ * Packages a converted dashboard as a self-contained Terraform module
+ *
+ * The module has the file layout registries expect:
+ * - main.tf:      the datadog_dashboard resource (and the data sources it uses)
+ * - variables.tf: the variables the dashboard was parameterized with
+ *                 (lib/parameterize.js)
+ * - outputs.tf:   dashboard id and URL
+ * - versions.tf:  required_providers with a Datadog provider pin and, with a
+ *                 provider alias, the matching configuration_aliases
+ * - README.md:    inputs, outputs and a usage example
+ */
+
+(function (root) {
+    'use strict';
+
+    const HCL = typeof require === 'function' ? require('./hcl') : root.HCL;
+    const DatadogZip = typeof require === 'function' ? require('./zip') : root.DatadogZip;
+    const DatadogParameterizer = typeof require === 'function' ? require('./parameterize') : root.DatadogParameterizer;
+    const { HCLAttribute, HCLDocument, HCLLiteral, HCLRaw, printHCL, parseHCL, raw, toExpression } = HCL;
+
+    const PROVIDER_SOURCE = 'DataDog/datadog';
+    const ALIAS_PATTERN = /^[a-z_][a-z0-9_-]*$/;
+
+    class DatadogModuleBuilder {
+        // providerVersion: lowest provider version the module supports
+        // providerAlias: name of the datadog provider configuration the caller passes in
+        constructor(options = {}) {
+            if (options.providerAlias && !ALIAS_PATTERN.test(options.providerAlias)) {
+                throw new Error(`Invalid provider alias "${options.providerAlias}" - use lowercase letters, digits, underscores and dashes`);
+            }
+
+            this.providerVersion = options.providerVersion || null;
+            this.providerAlias = options.providerAlias || null;
+        }
+
+        // hcl: generated (and possibly parameterized) dashboard HCL
+        // variables: what DatadogParameterizer.apply() returned for it
+        build(hcl, variables = []) {
+            const document = parseHCL(hcl);
+            const resource = document.getBlocks('resource').find(block => block.labels[0] === 'datadog_dashboard');
+
+            if (!resource) {
+                throw new Error('No datadog_dashboard resource to export');
+            }
+
+            const name = resource.labels[1];
+            const title = resource.getAttribute('title')?.value;
+            const module = {
+                name: name,
+                title: title instanceof HCLLiteral ? title.value : name,
+                files: []
+            };
+
+            // Terraform only accepts import blocks in the root module
+            const imports = document.getBlocks('import');
+            document.children = document.children.filter(child => !imports.includes(child));
+
+            if (this.providerAlias) {
+                this.assignProvider(document);
+            }
+
+            module.files.push({ name: 'main.tf', content: printHCL(document) });
+            module.files.push({
+                name: 'variables.tf',
+                content: variables.length > 0
+                    ? DatadogParameterizer.formatVariables(variables)
+                    : '# This module has no input variables\n'
+            });
+            module.files.push({ name: 'outputs.tf', content: this.formatOutputs(name) });
+            module.files.push({ name: 'versions.tf', content: this.formatVersions() });
+            module.files.push({ name: 'README.md', content: this.formatReadme(module, variables) });
+
+            return module;
+        }
+
+        createArchive(module) {
+            return DatadogZip.createZip(module.files);
+        }
+
+        // Resources and data sources use the aliased configuration; the
+        // meta-argument goes first like in hand-written Terraform
+        assignProvider(document) {
+            ['resource', 'data'].forEach(type => {
+                document.getBlocks(type).forEach(block => {
+                    if (!block.getAttribute('provider')) {
+                        block.children.unshift(new HCLAttribute('provider', new HCLRaw(this.providerReference())));
+                    }
+                });
+            });
+        }
+
+        providerReference() {
+            return `datadog.${this.providerAlias}`;
+        }
+
+        // ~> major.minor: that version or any later release of the same major version
+        versionConstraint() {
+            if (!this.providerVersion) return null;
+
+            const [major, minor = '0'] = this.providerVersion.split('.');
+            return `~> ${major}.${minor}`;
+        }
+
+        formatOutputs(name) {
+            const document = new HCLDocument();
+            document.block('output', ['dashboard_id'])
+                .attribute('description', 'ID of the dashboard')
+                .attribute('value', raw(`datadog_dashboard.${name}.id`));
+            document.block('output', ['dashboard_url'])
+                .attribute('description', 'URL of the dashboard')
+                .attribute('value', raw(`datadog_dashboard.${name}.url`));
+            return printHCL(document);
+        }
+
+        formatVersions() {
+            const provider = { source: PROVIDER_SOURCE };
+            const constraint = this.versionConstraint();
+            if (constraint) {
+                provider.version = constraint;
+            }
+            if (this.providerAlias) {
+                provider.configuration_aliases = [raw(this.providerReference())];
+            }
+
+            const document = new HCLDocument();
+            document.block('terraform', [])
+                .block('required_providers', [])
+                .attribute('datadog', provider);
+            return printHCL(document);
+        }
+
+        formatReadme(module, variables) {
+            const cell = text => String(text).replace(/\|/g, '\\|').replace(/\n\s*/g, ' ');
+            const hcl = value => printHCL(toExpression(value));
+            const lines = [
+                `# ${module.title}`,
+                '',
+                `Terraform module for the "${module.title}" Datadog dashboard, generated by the Datadog HCL Generator.`,
+                '',
+                '## Usage',
+                '',
+                '```hcl',
+                `module "${module.name}" {`,
+                `  source = "./modules/${module.name}"`
+            ];
+
+            if (this.providerAlias) {
+                lines.push('', '  providers = {', `    ${this.providerReference()} = ${this.providerReference()}`, '  }');
+            }
+            variables.forEach((variable, index) => {
+                if (index === 0) lines.push('');
+                lines.push(`  ${variable.name} = ${hcl(variable.default).replace(/\n/g, '\n  ')}`);
+            });
+            lines.push('}', '```', '');
+
+            lines.push('## Requirements', '', '| Name | Version |', '|------|---------|');
+            lines.push(`| [datadog](https://registry.terraform.io/providers/${PROVIDER_SOURCE}) | ${cell(this.versionConstraint() || 'any')} |`, '');
+
+            if (this.providerAlias) {
+                lines.push('## Providers', '', `Pass the \`${this.providerReference()}\` provider configuration to the module.`, '');
+            }
+
+            lines.push('## Inputs', '');
+            if (variables.length > 0) {
+                lines.push('| Name | Description | Type | Default |', '|------|-------------|------|---------|');
+                variables.forEach(variable => {
+                    lines.push(`| ${variable.name} | ${cell(variable.description)} | \`${cell(variable.type)}\` | \`${cell(hcl(variable.default))}\` |`);
+                });
+            } else {
+                lines.push('No inputs.');
+            }
+            lines.push('');
+
+            lines.push('## Outputs', '', '| Name | Description |', '|------|-------------|');
+            lines.push('| dashboard_id | ID of the dashboard |', '| dashboard_url | URL of the dashboard |', '');
+
+            return lines.join('\n');
+        }
+    }
+
+    DatadogModuleBuilder.PROVIDER_SOURCE = PROVIDER_SOURCE;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DatadogModuleBuilder;
+    } else {
+        root.DatadogModuleBuilder = DatadogModuleBuilder;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,287 @@
+/**
+ * Datadog HCL Generator - Parameterization
+ * Lifts hardcoded values of a generated dashboard into Terraform variables
+ *
+ * Works on generated HCL (like the fidelity report, it needs nothing from the
+ * conversion itself) and looks for values that usually differ between
+ * environments:
+ * - Template variable defaults
+ * - Tag filters in queries (env:prod, service:web, ...)
+ * - notify_list handles
+ * - The dashboard title
+ *
+ * Each finding is a candidate variable; the selected ones are replaced with
+ * var.* references (tags inside a query become "${var.env}" interpolations)
+ * and described in a matching variables.tf.
+ */
+
+(function (root) {
+    'use strict';
+
+    const HCL = typeof require === 'function' ? require('./hcl') : root.HCL;
+    const { HCLAttribute, HCLBlock, HCLLiteral, HCLList, HCLRaw, HCLDocument, HCLPrinter, printHCL, parseHCL } = HCL;
+
+    // Tags that usually change between environments; selected by default
+    const ENVIRONMENT_TAG_KEYS = ['env', 'environment', 'service', 'team', 'region', 'datacenter', 'cluster', 'cluster_name'];
+
+    // Attributes holding metric, log or event queries
+    const QUERY_ATTRIBUTES = ['q', 'query'];
+
+    // key:value in a query scope ({env:prod,service:web}) or search string
+    // (service:web status:error); wildcards and template variables ($env) are skipped
+    const TAG_PATTERN = /(^|[{,\s!("'])([A-Za-z][\w.\-/]*):([^\s,{}()"']+)(?=$|[\s,})"'])/g;
+
+    const IDENTIFIER_PATTERN = /^[a-z_][a-z0-9_]*$/;
+
+    class DatadogParameterizer {
+        constructor(hcl) {
+            this.document = parseHCL(hcl);
+            this.resource = this.document.getBlocks('resource').find(block => block.labels[0] === 'datadog_dashboard');
+
+            if (!this.resource) {
+                throw new Error('No datadog_dashboard resource to parameterize');
+            }
+
+            // candidate id -> attributes the variable replaces
+            this.targets = new Map();
+        }
+
+        // Candidate variables, in the order they appear in the dashboard:
+        // { id, kind, name, type, default, description, occurrences, selected }
+        findCandidates() {
+            const candidates = [];
+            const names = new Set();
+            this.targets.clear();
+            const add = ({ targets, ...candidate }) => {
+                candidate.name = this.uniqueName(candidate.name, names);
+                candidate.id = `${candidate.kind}:${candidate.name}`;
+                this.targets.set(candidate.id, targets);
+                candidates.push(candidate);
+            };
+
+            const title = this.literal(this.resource.getAttribute('title'));
+            if (typeof title === 'string') {
+                add({
+                    kind: 'title',
+                    name: 'dashboard_title',
+                    type: 'string',
+                    default: title,
+                    description: 'Title of the dashboard',
+                    occurrences: 1,
+                    selected: false,
+                    targets: [this.resource.getAttribute('title')]
+                });
+            }
+
+            const notifyList = this.resource.getAttribute('notify_list');
+            const handles = this.literal(notifyList);
+            if (Array.isArray(handles) && handles.length > 0) {
+                add({
+                    kind: 'notify_list',
+                    name: 'notify_list',
+                    type: 'list(string)',
+                    default: handles,
+                    description: 'Handles notified when the dashboard changes',
+                    occurrences: 1,
+                    selected: true,
+                    targets: [notifyList]
+                });
+            }
+
+            this.resource.getBlocks('template_variable').forEach(variable => {
+                const name = this.literal(variable.getAttribute('name'));
+                const defaults = variable.getAttribute('defaults');
+                const values = this.literal(defaults);
+                if (typeof name === 'string' && Array.isArray(values) && values.length > 0) {
+                    add({
+                        kind: 'template_variable',
+                        name: `${this.toIdentifier(name)}_defaults`,
+                        type: 'list(string)',
+                        default: values,
+                        description: `Default values of the $${name} template variable`,
+                        occurrences: 1,
+                        selected: true,
+                        targets: [defaults]
+                    });
+                }
+            });
+
+            this.findTagCandidates().forEach(add);
+
+            return candidates;
+        }
+
+        // One candidate per distinct key:value across every query string
+        findTagCandidates() {
+            const tags = new Map();
+
+            this.queryAttributes(this.resource).forEach(attribute => {
+                const query = this.literal(attribute);
+                if (typeof query !== 'string') return;
+
+                this.matchTags(query).forEach(({ key, value }) => {
+                    const tag = `${key}:${value}`;
+                    if (!tags.has(tag)) {
+                        tags.set(tag, { key, value, targets: [] });
+                    }
+                    tags.get(tag).targets.push(attribute);
+                });
+            });
+
+            // Keys with a single value get the key as name (env); others key_value
+            const valueCounts = {};
+            tags.forEach(({ key }) => { valueCounts[key] = (valueCounts[key] || 0) + 1; });
+
+            return [...tags.values()].map(({ key, value, targets }) => ({
+                kind: 'tag',
+                name: this.toIdentifier(valueCounts[key] > 1 ? `${key}_${value}` : key),
+                type: 'string',
+                default: value,
+                tag: key,
+                description: `Value of the ${key} tag in queries (${key}:${value})`,
+                occurrences: new Set(targets).size,
+                selected: ENVIRONMENT_TAG_KEYS.includes(key.toLowerCase()),
+                targets: [...new Set(targets)]
+            }));
+        }
+
+        // Replaces the selected candidates with var.* references and returns the
+        // variables they need. The selection is the findCandidates() list, with
+        // `selected` and `name` changed as the user chose
+        apply(selection = this.findCandidates()) {
+            if (this.targets.size === 0) {
+                this.findCandidates();
+            }
+
+            const selected = selection.filter(candidate => candidate.selected);
+            const names = new Set();
+
+            selected.forEach(candidate => {
+                if (!this.targets.has(candidate.id)) {
+                    throw new Error(`Unknown candidate "${candidate.id}"`);
+                }
+                if (!IDENTIFIER_PATTERN.test(candidate.name)) {
+                    throw new Error(`Invalid variable name "${candidate.name}" - use lowercase letters, digits and underscores`);
+                }
+                if (names.has(candidate.name)) {
+                    throw new Error(`Variable name "${candidate.name}" is used twice`);
+                }
+                names.add(candidate.name);
+            });
+
+            // Whole values
+            selected.filter(candidate => candidate.kind !== 'tag').forEach(candidate => {
+                this.targets.get(candidate.id).forEach(attribute => {
+                    attribute.value = new HCLRaw(`var.${candidate.name}`);
+                });
+            });
+
+            // Tags inside query strings, all replacements for a string at once
+            const substitutions = new Map();
+            selected.filter(candidate => candidate.kind === 'tag').forEach(candidate => {
+                this.targets.get(candidate.id).forEach(attribute => {
+                    if (!substitutions.has(attribute)) substitutions.set(attribute, {});
+                    substitutions.get(attribute)[`${candidate.tag}:${candidate.default}`] = candidate.name;
+                });
+            });
+            substitutions.forEach((tags, attribute) => {
+                attribute.value = this.interpolate(this.literal(attribute), tags);
+            });
+
+            this.targets.clear();
+
+            return selected.map(candidate => ({
+                name: candidate.name,
+                type: candidate.type,
+                default: candidate.default,
+                description: candidate.description
+            }));
+        }
+
+        toHCL() {
+            return printHCL(this.document);
+        }
+
+        // String template with ${var.*} in place of the substituted tags;
+        // the literal parts are escaped like any generated string
+        interpolate(query, tags) {
+            const printer = new HCLPrinter();
+            const escape = text => printer.quote(text).slice(1, -1);
+            let text = '';
+            let template = '';
+            let last = 0;
+
+            this.matchTags(query).forEach(({ key, value, index }) => {
+                const name = tags[`${key}:${value}`];
+                if (!name) return;
+
+                const valueStart = index + key.length + 1;
+                text += escape(query.slice(last, valueStart)) + `\${var.${name}}`;
+                template += query.slice(last, valueStart) + `\${var.${name}}`;
+                last = valueStart + value.length;
+            });
+
+            text += escape(query.slice(last));
+            template += query.slice(last);
+            return new HCLRaw(`"${text}"`, template);
+        }
+
+        matchTags(query) {
+            return [...query.matchAll(TAG_PATTERN)]
+                .map(match => ({ key: match[2], value: match[3], index: match.index + match[1].length }))
+                .filter(({ value }) => value !== '*' && !value.startsWith('$'));
+        }
+
+        queryAttributes(body) {
+            return body.children.flatMap(child => {
+                if (child instanceof HCLBlock) return this.queryAttributes(child);
+                if (child instanceof HCLAttribute && QUERY_ATTRIBUTES.includes(child.name)) return [child];
+                return [];
+            });
+        }
+
+        // JavaScript value of a literal attribute (strings, numbers, lists of them)
+        literal(attribute) {
+            const expression = attribute?.value;
+            if (expression instanceof HCLLiteral) return expression.value;
+            if (expression instanceof HCLList && expression.items.every(item => item instanceof HCLLiteral)) {
+                return expression.items.map(item => item.value);
+            }
+            return undefined;
+        }
+
+        toIdentifier(text) {
+            const identifier = String(text).toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^_+|_+$/g, '');
+            return /^[a-z_]/.test(identifier) ? identifier : `v_${identifier}`;
+        }
+
+        uniqueName(name, names) {
+            let unique = name;
+            for (let suffix = 2; names.has(unique); suffix++) {
+                unique = `${name}_${suffix}`;
+            }
+            names.add(unique);
+            return unique;
+        }
+
+        // variables.tf for the variables apply() returned
+        static formatVariables(variables) {
+            const document = new HCLDocument();
+            variables.forEach(variable => {
+                document.block('variable', [variable.name])
+                    .attribute('description', variable.description)
+                    .attribute('type', new HCLRaw(variable.type))
+                    .attribute('default', variable.default);
+            });
+            return printHCL(document);
+        }
+    }
+
+    DatadogParameterizer.ENVIRONMENT_TAG_KEYS = ENVIRONMENT_TAG_KEYS;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DatadogParameterizer;
+    } else {
+        root.DatadogParameterizer = DatadogParameterizer;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,367 @@
+/**
+ * Datadog HCL Generator - Pulumi Output
+ * Turns generated HCL into a Pulumi program for @pulumi/datadog (TypeScript)
+ * or pulumi_datadog (Python)
+ *
+ * Like the CDKTF construct (lib/cdktf.js), the program mirrors the HCL block
+ * for block, so both formats cover exactly what the HCL covers:
+ * - Resources become provider resources (datadog_dashboard -> datadog.Dashboard),
+ *   data sources *Output functions (data datadog_role -> datadog.getRoleOutput)
+ * - Lists are named in the plural like in the Pulumi SDKs (widget -> widgets,
+ *   notify_list -> notifyLists); TypeScript names are camelCased, Python keeps
+ *   snake_case
+ * - Blocks the provider declares as lists stay lists with a single element
+ *   (text_formats { text_format {} } -> textFormats: [{ textFormats: [...] }])
+ * - var.* references read Pulumi config, falling back to the parameterized
+ *   default when one is known
+ * - An import block becomes the import resource option
+ * - The program exports the id (and URL) of each resource
+ */
+
+(function (root) {
+    'use strict';
+
+    const HCL = typeof require === 'function' ? require('./hcl') : root.HCL;
+    const DatadogCDKTFGenerator = typeof require === 'function' ? require('./cdktf') : root.DatadogCDKTFGenerator;
+    const { HCLAttribute, HCLBlock, HCLComment, HCLLiteral, HCLList, HCLObject, HCLRaw, parseHCL } = HCL;
+
+    const LANGUAGES = ['typescript', 'python'];
+
+    const PACKAGES = {
+        typescript: '@pulumi/datadog',
+        python: 'pulumi_datadog'
+    };
+
+    // Module-level names of the generated program
+    const RESERVED_IDENTIFIERS = ['pulumi', 'datadog', 'config'];
+
+    const PYTHON_KEYWORDS = [
+        'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif', 'else',
+        'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal', 'not',
+        'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield'
+    ];
+
+    const INDENT = '    ';
+
+    class DatadogPulumiGenerator extends DatadogCDKTFGenerator {
+        constructor(converter = null, options = {}) {
+            super(converter);
+
+            const language = options.language || LANGUAGES[0];
+            if (!LANGUAGES.includes(language)) {
+                throw new Error(`Unknown Pulumi language "${language}" - expected one of ${LANGUAGES.join(', ')}`);
+            }
+            this.language = language;
+        }
+
+        isPython() {
+            return this.language === 'python';
+        }
+
+        // variables: what DatadogParameterizer.apply() returned, for config defaults
+        generate(hcl, variables = []) {
+            const document = parseHCL(hcl);
+            const resources = document.getBlocks('resource');
+            const dataSources = document.getBlocks('data');
+
+            if (resources.length === 0) {
+                throw new Error('No resource to convert to Pulumi');
+            }
+
+            this.defaults = new Map(variables.map(variable => [variable.name, variable.default]));
+            this.identifiers = new Set(RESERVED_IDENTIFIERS);
+            this.references = new Map();
+            this.config = new Map();
+
+            // Names first, so config values cannot take a resource's name
+            [...dataSources, ...resources].forEach(block => {
+                const [type, name] = block.labels;
+                const prefix = block.type === 'data' ? 'data.' : '';
+                this.references.set(`${prefix}${type}.${name}`, this.uniqueIdentifier(this.toIdentifier(name)));
+            });
+
+            const statements = dataSources.map(block => this.printDataSource(block));
+            const outputs = [];
+            resources.forEach(block => {
+                const [type, name] = block.labels;
+                const importBlock = document.getBlocks('import')
+                    .find(candidate => this.expressionText(candidate.getAttribute('to')?.value) === `${type}.${name}`);
+                statements.push(this.printResource(block, importBlock ? importBlock.getAttribute('id').value : null));
+
+                outputs.push(this.printOutput(block, 'id'));
+                if (type === 'datadog_dashboard') {
+                    outputs.push(this.printOutput(block, 'url'));
+                }
+            });
+
+            const lines = this.isPython()
+                ? ['import pulumi', `import ${PACKAGES.python} as datadog`, '']
+                : [
+                    ...(this.config.size > 0 ? ['import * as pulumi from "@pulumi/pulumi";'] : []),
+                    `import * as datadog from "${PACKAGES.typescript}";`,
+                    ''
+                ];
+
+            if (this.config.size > 0) {
+                lines.push(this.isPython() ? 'config = pulumi.Config()' : 'const config = new pulumi.Config();');
+                this.config.forEach((entry, name) => lines.push(this.printConfig(name, entry)));
+                lines.push('');
+            }
+
+            statements.forEach(statement => lines.push(statement, ''));
+            lines.push(...outputs, '');
+
+            return lines.join('\n');
+        }
+
+        printDataSource(block) {
+            const [type, name] = block.labels;
+            const variable = this.references.get(`data.${type}.${name}`);
+            const entries = this.printEntries(block, 1, block.type);
+
+            if (this.isPython()) {
+                return `${variable} = datadog.get_${this.withoutPrefix(type, false)}_output(${this.printArguments(entries)})`;
+            }
+            return `const ${variable} = datadog.get${this.toPascalCase(type)}Output(${this.printObject(entries, 0)});`;
+        }
+
+        printResource(block, importId) {
+            const [type, name] = block.labels;
+            const variable = this.references.get(`${type}.${name}`);
+            const entries = this.printEntries(block, 1, block.type);
+            const className = this.toPascalCase(type);
+
+            if (this.isPython()) {
+                const options = importId ? [['opts', `pulumi.ResourceOptions(import_=${this.printExpression(importId, 1)})`]] : [];
+                return `${variable} = datadog.${className}(${this.printArguments([[null, JSON.stringify(name)], ...entries, ...options])})`;
+            }
+
+            const options = importId ? `, { import: ${this.printExpression(importId, 0)} }` : '';
+            return `const ${variable} = new datadog.${className}(${JSON.stringify(name)}, ${this.printObject(entries, 0)}${options});`;
+        }
+
+        printOutput(block, attribute) {
+            const [type, name] = block.labels;
+            const variable = this.references.get(`${type}.${name}`);
+
+            if (this.isPython()) {
+                return `pulumi.export(${JSON.stringify(`${name}_${attribute}`)}, ${variable}.${attribute})`;
+            }
+            return `export const ${variable}${attribute.charAt(0).toUpperCase()}${attribute.slice(1)} = ${variable}.${attribute};`;
+        }
+
+        // config.get() with the parameterized default, config.require() without one
+        printConfig(name, { identifier, list, number }) {
+            const key = JSON.stringify(name);
+            const fallback = this.defaults.has(name) ? this.printValue(this.defaults.get(name), 0) : null;
+
+            if (this.isPython()) {
+                const getter = list ? '_object' : '';
+                return fallback !== null
+                    ? `${identifier} = config.get${getter}(${key}) or ${fallback}`
+                    : `${identifier} = config.require${getter}(${key})`;
+            }
+
+            const type = list ? `<${number ? 'number' : 'string'}[]>` : '';
+            const getter = list ? 'Object' : '';
+            return fallback !== null
+                ? `const ${identifier} = config.get${getter}${type}(${key}) ?? ${fallback};`
+                : `const ${identifier} = config.require${getter}${type}(${key});`;
+        }
+
+        // [name, value] pairs of a block body at the given depth; blocks
+        // Terraform allows several times become lists and comments stay
+        // comment lines (strings)
+        printEntries(body, depth, blockType) {
+            const entries = [];
+            const groups = new Map();
+
+            body.children.forEach(child => {
+                if (child instanceof HCLBlock) {
+                    if (!groups.has(child.type)) {
+                        groups.set(child.type, []);
+                        entries.push({ block: child.type });
+                    }
+                    groups.get(child.type).push(child);
+                } else if (child instanceof HCLAttribute) {
+                    entries.push({ attribute: child });
+                } else if (child instanceof HCLComment) {
+                    entries.push(...child.text.split('\n').map(line => `${this.isPython() ? '#' : '//'} ${line}`.trimEnd()));
+                }
+            });
+
+            return entries.map(entry => {
+                if (typeof entry === 'string') return entry;
+                if (entry.attribute) {
+                    const { name, value } = entry.attribute;
+                    const list = this.isListAttribute(name, value);
+                    return [this.pulumiName(name, list), this.printExpression(value, depth, list ? name : null)];
+                }
+
+                const blocks = groups.get(entry.block);
+                if (blocks.length > 1 || this.isRepeated(entry.block, blockType)) {
+                    const indent = INDENT.repeat(depth + 1);
+                    const items = blocks.map(block => `${indent}${this.printObject(this.printEntries(block, depth + 2, block.type), depth + 1)},`);
+                    return [this.pulumiName(entry.block, true), `[\n${items.join('\n')}\n${INDENT.repeat(depth)}]`];
+                }
+                return [this.pulumiName(entry.block, false), this.printObject(this.printEntries(blocks[0], depth + 1, blocks[0].type), depth)];
+            });
+        }
+
+        // Object literal (TypeScript) or dict (Python)
+        printObject(entries, depth) {
+            if (entries.length === 0) return '{}';
+
+            const indent = INDENT.repeat(depth + 1);
+            const lines = entries.map(entry => typeof entry === 'string'
+                ? `${indent}${entry}`
+                : `${indent}${this.printKey(entry[0])}: ${entry[1]},`);
+            return `{\n${lines.join('\n')}\n${INDENT.repeat(depth)}}`;
+        }
+
+        // Python keyword arguments; a null name is a positional argument
+        printArguments(entries) {
+            if (entries.length === 0) return '';
+
+            const lines = entries.map(entry => typeof entry === 'string'
+                ? `${INDENT}${entry}`
+                : `${INDENT}${entry[0] === null ? '' : `${entry[0]}=`}${entry[1]},`);
+            return `\n${lines.join('\n')}\n`;
+        }
+
+        printKey(key) {
+            return this.isPython() || !/^[A-Za-z_$][\w$]*$/.test(key) ? JSON.stringify(key) : key;
+        }
+
+        printExpression(expression, depth, listAttribute = null) {
+            if (expression instanceof HCLLiteral) {
+                return this.printValue(expression.value, depth);
+            }
+
+            if (expression instanceof HCLList) {
+                const items = expression.items.map(item => this.printExpression(item, depth + 1));
+                const inline = `[${items.join(', ')}]`;
+                if (inline.length <= 80 && !inline.includes('\n')) return inline;
+                const indent = INDENT.repeat(depth + 1);
+                return `[\n${items.map(item => `${indent}${item},`).join('\n')}\n${INDENT.repeat(depth)}]`;
+            }
+
+            if (expression instanceof HCLObject) {
+                return this.printObject(expression.entries.map(([key, value]) => [key, this.printExpression(value, depth + 1)]), depth);
+            }
+
+            if (expression instanceof HCLRaw) {
+                return expression.template !== null
+                    ? this.printTemplate(expression.template)
+                    : this.translate(expression.text, listAttribute);
+            }
+
+            return this.isPython() ? 'None' : 'undefined';
+        }
+
+        // Plain JavaScript values (config defaults)
+        printValue(value, depth) {
+            if (Array.isArray(value)) {
+                return this.printExpression(new HCLList(value.map(item => new HCLLiteral(item))), depth);
+            }
+            if (this.isPython()) {
+                if (value === null) return 'None';
+                if (typeof value === 'boolean') return value ? 'True' : 'False';
+            }
+            return JSON.stringify(value);
+        }
+
+        // "${var.env}-web" -> `${env}-web` / f"{env}-web"
+        printTemplate(template) {
+            const parts = template.split(/\$\{([^}]*)\}/);
+
+            if (this.isPython()) {
+                const text = parts.map((part, index) => index % 2 === 1
+                    ? `{${this.translate(part.trim(), null)}}`
+                    : JSON.stringify(part).slice(1, -1).replace(/\{/g, '{{').replace(/\}/g, '}}'));
+                return `f"${text.join('')}"`;
+            }
+
+            const text = parts.map((part, index) => index % 2 === 1
+                ? `\${${this.translate(part.trim(), null)}}`
+                : part.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${'));
+            return `\`${text.join('')}\``;
+        }
+
+        // Terraform expression -> program expression; only references to
+        // variables, data sources and resources have an equivalent
+        translate(text, listAttribute) {
+            const variable = text.match(/^var\.([\w-]+)$/);
+            if (variable) {
+                return this.configValue(variable[1], listAttribute);
+            }
+
+            const match = text.match(/^((?:data\.)?[\w-]+\.[\w-]+)\.([\w-]+)$/);
+            if (match && this.references.has(match[1])) {
+                const attribute = this.isPython() ? match[2] : this.toCamelCase(match[2]);
+                return `${this.references.get(match[1])}.${attribute}`;
+            }
+
+            throw new Error(`Cannot translate the Terraform expression "${text}" to Pulumi`);
+        }
+
+        configValue(name, listAttribute) {
+            if (!this.config.has(name)) {
+                this.config.set(name, {
+                    identifier: this.uniqueIdentifier(this.toIdentifier(name)),
+                    list: listAttribute !== null,
+                    number: DatadogCDKTFGenerator.NUMBER_LIST_ATTRIBUTES.includes(listAttribute)
+                });
+            }
+            return this.config.get(name).identifier;
+        }
+
+        isListAttribute(name, value) {
+            if (value instanceof HCLList) return true;
+            return value instanceof HCLRaw && value.template === null && (
+                DatadogCDKTFGenerator.LIST_ATTRIBUTES.includes(name) ||
+                DatadogCDKTFGenerator.NUMBER_LIST_ATTRIBUTES.includes(name)
+            );
+        }
+
+        // The Pulumi bridge names list properties in the plural
+        pulumiName(name, list) {
+            const pulumiName = list ? this.pluralize(name) : name;
+            return this.isPython() ? pulumiName : this.toCamelCase(pulumiName);
+        }
+
+        // widget -> widgets, query -> queries, group_by -> group_bies, x -> xes
+        pluralize(name) {
+            if (name.endsWith('s')) return name;
+            if (/[^aeiou_]y$/.test(name)) return `${name.slice(0, -1)}ies`;
+            if (/(x|ch|sh)$/.test(name)) return `${name}es`;
+            return `${name}s`;
+        }
+
+        toIdentifier(name) {
+            if (this.isPython()) {
+                const identifier = name.replace(/-/g, '_');
+                return PYTHON_KEYWORDS.includes(identifier) ? `${identifier}_` : identifier;
+            }
+            return this.toCamelCase(name);
+        }
+
+        uniqueIdentifier(name) {
+            let unique = name;
+            for (let suffix = 2; this.identifiers.has(unique); suffix++) {
+                unique = this.isPython() ? `${name}_${suffix}` : `${name}${suffix}`;
+            }
+            this.identifiers.add(unique);
+            return unique;
+        }
+    }
+
+    DatadogPulumiGenerator.LANGUAGES = LANGUAGES;
+    DatadogPulumiGenerator.PACKAGES = PACKAGES;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DatadogPulumiGenerator;
+    } else {
+        root.DatadogPulumiGenerator = DatadogPulumiGenerator;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
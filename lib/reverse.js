@@ -0,0 +1,402 @@
+/**
+ * Datadog HCL Generator - Reverse Conversion
+ * Turns a `resource "datadog_dashboard"` block back into dashboard JSON
+ *
+ * The output has the shape generateHCL() consumes (and the Datadog UI
+ * imports): widget definitions are recognised through the blockName of each
+ * widget in widget-config.json, and specificProperties are mapped back from
+ * their HCL names to their JSON names.
+ *
+ * Terraform expressions (var.*, functions, templates) cannot be evaluated
+ * here; they are copied as text and reported as warnings.
+ */
+
+(function (root) {
+    'use strict';
+
+    const HCL = typeof require === 'function' ? require('./hcl') : root.HCL;
+    const { HCLAttribute, HCLRaw, parseHCL, expressionValue } = HCL;
+
+    const RESOURCE_TYPE = 'datadog_dashboard';
+
+    // Query blocks written by earlier versions of the generator
+    const LEGACY_QUERY_DATA_SOURCES = {
+        log_query: 'logs'
+    };
+
+    class DatadogReverseConverter {
+        constructor(converter) {
+            this.converter = converter;
+        }
+
+        convert(hclText, options = {}) {
+            const document = parseHCL(hclText);
+            const resources = document.getBlocks('resource').filter(block => block.labels[0] === RESOURCE_TYPE);
+            this.warnings = [];
+
+            if (resources.length === 0) {
+                throw new Error(`No resource "${RESOURCE_TYPE}" block found`);
+            }
+
+            let resource = resources[0];
+            if (options.resourceName) {
+                resource = resources.find(block => block.labels[1] === options.resourceName);
+                if (!resource) {
+                    throw new Error(`Resource ${RESOURCE_TYPE}.${options.resourceName} not found`);
+                }
+            } else if (resources.length > 1) {
+                const others = resources.slice(1).map(block => `${RESOURCE_TYPE}.${block.labels[1]}`);
+                this.warnings.push(`Converted ${RESOURCE_TYPE}.${resource.labels[1]} only; also found ${others.join(', ')}`);
+            }
+
+            // An import block for the resource carries the dashboard id
+            const target = `${RESOURCE_TYPE}.${resource.labels[1]}`;
+            const importBlock = document.getBlocks('import')
+                .find(block => expressionValue(block.getAttribute('to')?.value) === target);
+            const dashboardId = importBlock ? expressionValue(importBlock.getAttribute('id')?.value) : undefined;
+            const dashboard = this.buildDashboard(resource);
+
+            return {
+                dashboard: typeof dashboardId === 'string' ? { id: dashboardId, ...dashboard } : dashboard,
+                resourceName: resource.labels[1],
+                warnings: this.warnings
+            };
+        }
+
+        buildDashboard(resource) {
+            const path = `${RESOURCE_TYPE}.${resource.labels[1]}`;
+            const dashboard = this.attributesToObject(resource, path);
+
+            if (!dashboard.layout_type) {
+                this.warnings.push(`${path}: Missing layout_type - using "ordered"`);
+                dashboard.layout_type = 'ordered';
+            }
+
+            const templateVariables = resource.getBlocks('template_variable');
+            if (templateVariables.length > 0) {
+                dashboard.template_variables = templateVariables.map((block, index) =>
+                    this.attributesToObject(block, `${path}.template_variable[${index}]`)
+                );
+            }
+
+            const presets = resource.getBlocks('template_variable_preset');
+            if (presets.length > 0) {
+                dashboard.template_variable_presets = presets.map((block, index) => {
+                    const presetPath = `${path}.template_variable_preset[${index}]`;
+                    const preset = this.attributesToObject(block, presetPath);
+                    preset.template_variables = block.getBlocks('template_variable').map((variable, variableIndex) =>
+                        this.attributesToObject(variable, `${presetPath}.template_variable[${variableIndex}]`)
+                    );
+                    return preset;
+                });
+            }
+
+            dashboard.widgets = resource.getBlocks('widget')
+                .map((block, index) => this.buildWidget(block, `${path}.widget[${index}]`))
+                .filter(Boolean);
+
+            resource.getBlocks()
+                .filter(block => !['template_variable', 'template_variable_preset', 'widget'].includes(block.type))
+                .forEach(block => {
+                    this.warnings.push(`${path}: Unsupported block "${block.type}" copied as-is`);
+                    this.addBlockValue(dashboard, block.type, this.blockToObject(block, `${path}.${block.type}`));
+                });
+
+            return dashboard;
+        }
+
+        buildWidget(block, path) {
+            const widget = {};
+            const id = this.attributeValue(block, 'id', path);
+            if (id !== undefined) {
+                widget.id = /^\d+$/.test(String(id)) ? Number(id) : id;
+            }
+
+            const layoutBlock = block.getBlocks('widget_layout')[0];
+            const definitionBlock = block.getBlocks().find(child => child.type !== 'widget_layout');
+
+            if (!definitionBlock) {
+                this.warnings.push(`${path}: Widget has no definition block - skipped`);
+                return null;
+            }
+
+            widget.definition = this.buildDefinition(definitionBlock, `${path}.${definitionBlock.type}`);
+
+            if (layoutBlock) {
+                const layout = this.attributesToObject(layoutBlock, `${path}.widget_layout`);
+                widget.layout = {
+                    x: layout.x,
+                    y: layout.y,
+                    width: layout.width,
+                    height: layout.height
+                };
+                if (layout.is_column_break !== undefined) {
+                    widget.layout.is_column_break = layout.is_column_break;
+                }
+            }
+
+            return widget;
+        }
+
+        buildDefinition(block, path) {
+            const widgetType = this.getWidgetTypes()[block.type];
+            const widgetConfig = widgetType ? this.converter.widgetMappings.widgets[widgetType] : null;
+
+            if (!widgetConfig) {
+                this.warnings.push(`${path}: Unknown widget block "${block.type}" - copied as-is`);
+                return {
+                    type: block.type.replace(/_definition$/, ''),
+                    ...this.blockToObject(block, path)
+                };
+            }
+
+            // HCL attribute name -> JSON property name
+            const propertyNames = {};
+            Object.entries(widgetConfig.specificProperties).forEach(([jsonProp, hclProp]) => {
+                propertyNames[hclProp] = jsonProp;
+            });
+
+            const definition = { type: widgetType };
+            block.children.forEach(child => {
+                if (child instanceof HCLAttribute) {
+                    const value = this.value(child, path);
+                    if (value !== undefined) definition[propertyNames[child.name] || child.name] = value;
+                }
+            });
+
+            block.getBlocks().forEach(child => {
+                const childPath = `${path}.${child.type}`;
+                switch (child.type) {
+                    case 'request':
+                        this.addBlockValue(definition, 'requests', widgetConfig.requestStructure === 'schema'
+                            ? this.schemaBlockToObject(child, widgetConfig.requestSchema || {}, childPath)
+                            : this.buildRequest(child, widgetConfig.requestStructure, childPath), true);
+                        break;
+                    case 'legend_inline':
+                    case 'legend_table':
+                        definition.legend = this.attributesToObject(child, childPath);
+                        break;
+                    case 'source_widget_definition': {
+                        const source = child.getBlocks()[0];
+                        if (source) definition.source_widget_definition = this.buildDefinition(source, `${childPath}.${source.type}`);
+                        break;
+                    }
+                    case 'widget': {
+                        const nested = this.buildWidget(child, childPath);
+                        if (nested) this.addBlockValue(definition, 'widgets', nested, true);
+                        break;
+                    }
+                    default: {
+                        const [key, blockConfig] = this.findSchemaBlock(widgetConfig, child.type);
+                        if (widgetConfig.blocks && key in widgetConfig.blocks) {
+                            const value = this.schemaBlockToObject(child, blockConfig, childPath);
+                            this.addBlockValue(definition, key, blockConfig.wrap ? (value[blockConfig.wrap] || []) : value, Boolean(blockConfig.multiple));
+                        } else {
+                            this.addStyleBlock(definition, child, childPath, propertyNames);
+                        }
+                    }
+                }
+            });
+
+            return definition;
+        }
+
+        buildRequest(block, requestStructure, path) {
+            const request = this.attributesToObject(block, path);
+
+            block.getBlocks().forEach(child => {
+                const childPath = `${path}.${child.type}`;
+                switch (child.type) {
+                    case 'formula':
+                        this.addBlockValue(request, 'formulas', this.buildFormula(child, childPath), true);
+                        break;
+                    case 'query':
+                        child.getBlocks().forEach(queryBlock => {
+                            this.addBlockValue(request, 'queries', this.buildQuery(queryBlock, `${childPath}.${queryBlock.type}`), true);
+                        });
+                        break;
+                    case 'text_formats':
+                        this.addBlockValue(request, 'text_formats', child.getBlocks('text_format').map((rule, index) =>
+                            this.blockToObject(rule, `${childPath}.text_format[${index}]`)
+                        ), true);
+                        break;
+                    case 'apm_stats_query': {
+                        const apmStatsQuery = this.attributesToObject(child, childPath);
+                        const columns = child.getBlocks('columns');
+                        if (columns.length > 0) {
+                            apmStatsQuery.columns = columns.map(column => this.attributesToObject(column, `${childPath}.columns`));
+                        }
+                        request.apm_stats_query = apmStatsQuery;
+                        break;
+                    }
+                    default:
+                        this.addStyleBlock(request, child, childPath);
+                }
+            });
+
+            if (requestStructure === 'legacy' && request.queries && !request.q) {
+                this.warnings.push(`${path}: Query blocks on a widget that uses q strings`);
+            }
+
+            return request;
+        }
+
+        buildFormula(block, path) {
+            const { formula_expression: expression, ...formula } = this.attributesToObject(block, path);
+            const result = { formula: expression, ...formula };
+
+            block.getBlocks().forEach(child => {
+                const childPath = `${path}.${child.type}`;
+                if (child.type === 'number_format') {
+                    result.number_format = this.buildNumberFormat(child, childPath);
+                } else {
+                    this.addStyleBlock(result, child, childPath);
+                }
+            });
+
+            return result;
+        }
+
+        // unit { canonical { ... } } -> unit: { type: "canonical_unit", ... }
+        buildNumberFormat(block, path) {
+            const units = this.converter.widgetMappings?.styles?.number_format?.units || {};
+            const numberFormat = this.blockToObject(block, path);
+
+            block.getBlocks('unit').forEach(unitBlock => {
+                const variant = unitBlock.getBlocks()[0];
+                const type = variant && Object.keys(units).find(key => units[key].block === variant.type);
+                if (type) {
+                    numberFormat.unit = { type, ...this.attributesToObject(variant, `${path}.unit.${variant.type}`) };
+                } else {
+                    this.warnings.push(`${path}.unit: Unknown unit block - copied as-is`);
+                }
+            });
+
+            if (numberFormat.unit_scale) {
+                numberFormat.unit_scale = { type: 'canonical_unit', ...numberFormat.unit_scale };
+            }
+
+            return numberFormat;
+        }
+
+        buildQuery(block, path) {
+            const queryConfig = this.converter.widgetMappings?.requestStructures?.modern?.queryTypes?.[block.type];
+            const query = this.schemaBlockToObject(block, queryConfig || {}, path);
+
+            // metric_query defaults to metrics; the others require data_source
+            const dataSource = queryConfig?.dataSources?.[0] || LEGACY_QUERY_DATA_SOURCES[block.type];
+            if (!query.data_source && dataSource) {
+                query.data_source = dataSource;
+            }
+            return query;
+        }
+
+        // Like blockToObject, but follows a schema from widget-config.json:
+        // blocks get their JSON names back, `multiple` blocks are always lists
+        // and `wrap` blocks unwrap to the list they hold
+        schemaBlockToObject(block, config, path) {
+            const object = this.attributesToObject(block, path);
+            block.getBlocks().forEach(child => {
+                const [key, childConfig] = this.findSchemaBlock(config, child.type);
+                const value = this.schemaBlockToObject(child, childConfig, `${path}.${child.type}`);
+                this.addBlockValue(object, key, childConfig.wrap ? (value[childConfig.wrap] || []) : value, Boolean(childConfig.multiple));
+            });
+            return object;
+        }
+
+        // [JSON name, schema] of the block called blockType in HCL
+        findSchemaBlock(config, blockType) {
+            return Object.entries(this.converter.getSchemaBlocks(config))
+                .find(([key, blockConfig]) => (blockConfig.blockName || key) === blockType) || [blockType, {}];
+        }
+
+        // Blocks described in styleBlocks get their JSON name back
+        // (custom_link -> custom_links) and stay lists when marked multiple
+        addStyleBlock(object, block, path, propertyNames = {}) {
+            const [key, config] = this.findSchemaBlock({ blocks: this.converter.widgetMappings?.styles || {} }, block.type);
+            const value = this.schemaBlockToObject(block, config, path);
+            this.addBlockValue(object, propertyNames[key] || key, value, Boolean(config.multiple));
+        }
+
+        // Widget block name (timeseries_definition) -> widget type (timeseries)
+        getWidgetTypes() {
+            const widgets = this.converter.widgetMappings?.widgets || {};
+            const types = {};
+            Object.entries(widgets).forEach(([widgetType, widgetConfig]) => {
+                types[widgetConfig.blockName] = widgetType;
+            });
+            return types;
+        }
+
+        attributesToObject(block, path) {
+            const object = {};
+            block.children
+                .filter(child => child instanceof HCLAttribute)
+                .forEach(attribute => {
+                    const value = this.value(attribute, path);
+                    if (value !== undefined) object[attribute.name] = value;
+                });
+            return object;
+        }
+
+        // Attributes plus nested blocks (repeated blocks become arrays)
+        blockToObject(block, path) {
+            const object = this.attributesToObject(block, path);
+            block.getBlocks().forEach(child => {
+                this.addBlockValue(object, child.type, this.blockToObject(child, `${path}.${child.type}`));
+            });
+            return object;
+        }
+
+        addBlockValue(object, key, value, alwaysList = false) {
+            if (alwaysList) {
+                (object[key] = object[key] || []).push(value);
+            } else if (object[key] === undefined) {
+                object[key] = value;
+            } else {
+                object[key] = [].concat(object[key], value);
+            }
+        }
+
+        attributeValue(block, name, path) {
+            const attribute = block.getAttribute(name);
+            return attribute ? this.value(attribute, path) : undefined;
+        }
+
+        // References and function calls (restricted_roles = [data.datadog_role.x.id])
+        // only have a value once Terraform runs, so the attribute is left out
+        value(attribute, path) {
+            if (this.containsReference(attribute.value)) {
+                this.warnings.push(`${path}.${attribute.name}: Terraform expression has no JSON value - left out: ${HCL.printHCL(attribute.value)}`);
+                return undefined;
+            }
+            if (this.containsRaw(attribute.value)) {
+                this.warnings.push(`${path}.${attribute.name}: Terraform expression copied as text: ${HCL.printHCL(attribute.value)}`);
+            }
+            return expressionValue(attribute.value);
+        }
+
+        containsRaw(expression) {
+            if (expression instanceof HCLRaw) return true;
+            if (expression.items) return expression.items.some(item => this.containsRaw(item));
+            if (expression.entries) return expression.entries.some(([, value]) => this.containsRaw(value));
+            return false;
+        }
+
+        // Raw expressions other than string templates
+        containsReference(expression) {
+            if (expression instanceof HCLRaw) return expression.template === null;
+            if (expression.items) return expression.items.some(item => this.containsReference(item));
+            if (expression.entries) return expression.entries.some(([, value]) => this.containsReference(value));
+            return false;
+        }
+    }
+
+    DatadogReverseConverter.RESOURCE_TYPE = RESOURCE_TYPE;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DatadogReverseConverter;
+    } else {
+        root.DatadogReverseConverter = DatadogReverseConverter;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
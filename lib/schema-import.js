@@ -0,0 +1,329 @@
+/**
+ * Datadog HCL Generator - Provider Schema Import
+ * Brings widget-config.json in line with the Datadog Terraform provider
+ *
+ * Reads the output of `terraform providers schema -json` and updates a widget
+ * configuration from the datadog_dashboard resource schema:
+ * - A widget entry per *_definition block (new widgets are added, existing
+ *   entries keep their hand-tuned settings)
+ * - Attributes the provider added or removed, and their types
+ * - Nested blocks: known ones switch on the matching feature, unknown ones
+ *   are described under `blocks`
+ * - validationRules: widget types and the enums listed in attribute
+ *   descriptions ("Valid values are `a`, `b`.")
+ *
+ * Every change is listed so an update can be reviewed before committing.
+ */
+
+(function (root) {
+    'use strict';
+
+    const RESOURCE_TYPE = 'datadog_dashboard';
+
+    // Rendered for every widget by generateConfiguredWidget()
+    const COMMON_PROPERTIES = ['title', 'title_size', 'title_align'];
+    const HANDLED_ATTRIBUTES = ['live_span'];
+
+    // Nested blocks rendered through a widget feature flag
+    const FEATURE_BLOCKS = {
+        yaxis: 'supportsYAxis',
+        event: 'supportsEvents',
+        style: 'supportsStyle',
+        view: 'supportsView',
+        sort: 'supportsSort',
+        legend_inline: 'supportsLegendBlocks',
+        legend_table: 'supportsLegendBlocks',
+        source_widget_definition: 'hasSourceWidget',
+        widget: 'hasNestedWidgets'
+    };
+
+    // validationRules entry -> attribute whose "Valid values" fill it
+    const ENUM_RULES = {
+        valid_layout_types: 'layout_type',
+        valid_display_types: 'display_type',
+        valid_aggregators: 'aggregator',
+        valid_comparators: 'comparator',
+        valid_palettes: 'palette',
+        valid_text_aligns: 'text_align'
+    };
+
+    class DatadogSchemaImporter {
+        constructor(config) {
+            this.config = JSON.parse(JSON.stringify(config));
+            this.changes = [];
+        }
+
+        import(providerSchema) {
+            const resource = this.findDashboardSchema(providerSchema);
+            const widgetBlocks = resource.block_types?.widget?.block?.block_types || {};
+            const definitions = Object.keys(widgetBlocks).filter(name => name.endsWith('_definition')).sort();
+
+            if (definitions.length === 0) {
+                throw new Error(`${RESOURCE_TYPE} schema has no widget definitions`);
+            }
+
+            this.config.widgets = this.config.widgets || {};
+            definitions.forEach(blockName => this.importWidget(blockName, widgetBlocks[blockName].block || {}));
+            this.importValidationRules(resource, definitions);
+
+            return { config: this.config, changes: this.changes };
+        }
+
+        findDashboardSchema(providerSchema) {
+            const providers = Object.entries(providerSchema?.provider_schemas || {});
+            const match = providers.find(([, schema]) => schema.resource_schemas?.[RESOURCE_TYPE]);
+
+            if (!match) {
+                throw new Error(`No ${RESOURCE_TYPE} resource in the schema - run "terraform providers schema -json" in a configuration that uses the Datadog provider`);
+            }
+
+            return match[1].resource_schemas[RESOURCE_TYPE].block || {};
+        }
+
+        importWidget(blockName, block) {
+            const widgets = this.config.widgets;
+            const existing = Object.keys(widgets).find(type => widgets[type].blockName === blockName);
+            const type = existing || blockName.replace(/_definition$/, '');
+            const attributes = this.settableAttributes(block);
+            const blockTypes = block.block_types || {};
+
+            if (!existing) {
+                widgets[type] = {
+                    blockName: blockName,
+                    commonProperties: [],
+                    specificProperties: {},
+                    requestStructure: this.requestStructure(blockTypes.request),
+                    features: {}
+                };
+                if (widgets[type].requestStructure === 'schema') {
+                    widgets[type].requestSchema = this.blockSchema(blockTypes.request.block);
+                }
+                this.changes.push(`Added widget ${type} (${blockName})`);
+            }
+
+            const widget = widgets[type];
+            const styles = this.config.styleBlocks || {};
+            widget.features = widget.features || {};
+
+            COMMON_PROPERTIES.forEach(property => {
+                if (attributes[property] && !widget.commonProperties.includes(property)) {
+                    widget.commonProperties.push(property);
+                    this.changes.push(`${type}: added ${property}`);
+                }
+            });
+
+            // Attributes and style blocks the provider no longer has would make invalid HCL
+            Object.entries(widget.specificProperties).forEach(([jsonProp, hclProp]) => {
+                const blockType = styles[hclProp]?.blockName || hclProp;
+                if (!attributes[hclProp] && !blockTypes[blockType]) {
+                    delete widget.specificProperties[jsonProp];
+                    this.changes.push(`${type}: removed ${hclProp} (not in the provider schema)`);
+                }
+            });
+
+            const mapped = new Set(Object.values(widget.specificProperties));
+            Object.keys(attributes)
+                .filter(name => !COMMON_PROPERTIES.includes(name) && !HANDLED_ATTRIBUTES.includes(name) && !mapped.has(name))
+                .forEach(name => {
+                    widget.specificProperties[name] = name;
+                    this.changes.push(`${type}: added ${name}`);
+                });
+
+            Object.entries(blockTypes)
+                .filter(([name]) => name !== 'request')
+                .forEach(([name, blockType]) => this.importWidgetBlock(type, widget, name, blockType));
+
+            const types = this.attributeTypes(attributes);
+            if (this.hasTypedAttributes(types) && JSON.stringify(types) !== JSON.stringify(widget.types)) {
+                widget.types = types;
+                this.changes.push(`${type}: updated attribute types`);
+            }
+        }
+
+        importWidgetBlock(type, widget, name, blockType) {
+            const styles = this.config.styleBlocks || {};
+            const feature = FEATURE_BLOCKS[name];
+
+            if (feature) {
+                if (!widget.features[feature]) {
+                    widget.features[feature] = true;
+                    this.changes.push(`${type}: enabled ${feature}`);
+                }
+                return;
+            }
+
+            // Described in styleBlocks (custom_link, right_yaxis, ...): a specific property
+            const style = Object.keys(styles).find(key => (styles[key].blockName || key) === name);
+            if (style) {
+                if (!Object.values(widget.specificProperties).includes(style)) {
+                    widget.specificProperties[style] = style;
+                    this.changes.push(`${type}: added ${style}`);
+                }
+                return;
+            }
+
+            const blocks = widget.blocks || {};
+            if (!Object.keys(blocks).some(key => (blocks[key].blockName || key) === name)) {
+                widget.blocks = { ...blocks, [name]: this.blockSchema(blockType.block, blockType) };
+                this.changes.push(`${type}: added block ${name}`);
+            }
+        }
+
+        requestStructure(requestBlock) {
+            if (!requestBlock) return 'none';
+
+            const attributes = requestBlock.block?.attributes || {};
+            const blockTypes = requestBlock.block?.block_types || {};
+            if (blockTypes.query && blockTypes.formula) return 'modern';
+            if (attributes.q) return 'legacy';
+            if (blockTypes.query) return 'schema';
+            return 'modern';
+        }
+
+        // Schema in the format generateSchemaBlock() reads; JSON names are
+        // assumed to match the HCL names
+        blockSchema(block = {}, blockType = {}) {
+            const schema = {};
+            if (blockType.nesting_mode && blockType.nesting_mode !== 'single' && blockType.max_items !== 1) {
+                schema.multiple = true;
+            }
+
+            schema.properties = Object.keys(this.settableAttributes(block)).sort();
+            const types = this.attributeTypes(this.settableAttributes(block));
+            if (this.hasTypedAttributes(types)) {
+                schema.types = types;
+            }
+
+            const nested = Object.entries(block.block_types || {});
+            if (nested.length > 0) {
+                schema.blocks = {};
+                nested.forEach(([name, child]) => {
+                    schema.blocks[name] = this.blockSchema(child.block, child);
+                });
+            }
+
+            return schema;
+        }
+
+        // Attributes a configuration can set (not the computed-only ones)
+        settableAttributes(block) {
+            const attributes = {};
+            Object.entries(block.attributes || {}).forEach(([name, attribute]) => {
+                if (attribute.required || attribute.optional || !attribute.computed) {
+                    attributes[name] = attribute;
+                }
+            });
+            return attributes;
+        }
+
+        // Scalar attribute types: string, number or bool
+        attributeTypes(attributes) {
+            const types = {};
+            Object.entries(attributes).forEach(([name, attribute]) => {
+                if (['string', 'number', 'bool'].includes(attribute.type)) {
+                    types[name] = attribute.type;
+                }
+            });
+            return types;
+        }
+
+        // Strings need no coercion, so a types map only matters with other types
+        hasTypedAttributes(types) {
+            return Object.values(types).some(type => type !== 'string');
+        }
+
+        importValidationRules(resource, definitions) {
+            const rules = this.config.validationRules = this.config.validationRules || {};
+
+            // JSON type names (split_graph_definition -> split_group); types the
+            // schema lacks stay listed, older providers may still take them
+            const widgets = this.config.widgets;
+            const widgetTypes = definitions.map(blockName =>
+                Object.keys(widgets).find(type => widgets[type].blockName === blockName) || blockName.replace(/_definition$/, '')
+            );
+            this.setRule(rules, 'valid_widget_types', widgetTypes, true);
+
+            const enums = {};
+            this.collectEnums(resource, enums);
+            Object.entries(ENUM_RULES).forEach(([rule, attribute]) => {
+                if (enums[attribute]) {
+                    this.setRule(rules, rule, [...enums[attribute]]);
+                }
+            });
+        }
+
+        // Existing values keep their order; new ones are appended. Values the
+        // schema no longer lists are dropped, or only reported when merging
+        setRule(rules, name, values, merge = false) {
+            const current = rules[name] || [];
+            const added = values.filter(value => !current.includes(value));
+            const removed = current.filter(value => !values.includes(value));
+
+            if (added.length > 0 || (removed.length > 0 && !merge)) {
+                rules[name] = [...current.filter(value => merge || values.includes(value)), ...added];
+            }
+            if (added.length > 0) {
+                this.changes.push(`validationRules.${name}: ${added.map(value => `+${value}`).join(' ')}`);
+            }
+            if (removed.length > 0) {
+                this.changes.push(merge
+                    ? `validationRules.${name}: not in the provider schema (kept): ${removed.join(', ')}`
+                    : `validationRules.${name}: removed (not in the provider schema): ${removed.join(', ')}`);
+            }
+        }
+
+        // attribute name -> Set of valid values, across the whole resource
+        collectEnums(block, enums) {
+            Object.entries(block.attributes || {}).forEach(([name, attribute]) => {
+                const values = this.parseValidValues(attribute.description);
+                if (values.length > 0) {
+                    enums[name] = enums[name] || new Set();
+                    values.forEach(value => enums[name].add(value));
+                }
+            });
+            Object.values(block.block_types || {}).forEach(child => this.collectEnums(child.block || {}, enums));
+        }
+
+        parseValidValues(description = '') {
+            const match = description.match(/Valid values are ([^\n]*?)\.(\s|$)/);
+            return match ? [...match[1].matchAll(/`([^`]*)`/g)].map(value => value[1]) : [];
+        }
+
+        // JSON in the layout of widget-config.json: lists of plain values on
+        // one line, a blank line between sections and between widgets
+        static formatConfig(config) {
+            const format = (value, indent, spaced) => {
+                if (value === null || typeof value !== 'object') {
+                    return JSON.stringify(value);
+                }
+
+                const inner = indent + '  ';
+                if (Array.isArray(value)) {
+                    if (value.every(item => item === null || typeof item !== 'object')) {
+                        return `[${value.map(item => JSON.stringify(item)).join(', ')}]`;
+                    }
+                    return `[\n${value.map(item => inner + format(item, inner, false)).join(',\n')}\n${indent}]`;
+                }
+
+                const entries = Object.entries(value);
+                if (entries.length === 0) {
+                    return '{}';
+                }
+                return `{\n${entries.map(([key, item], index) => {
+                    const blank = spaced && index > 0 && item !== null && typeof item === 'object' && !Array.isArray(item) ? '\n' : '';
+                    return `${blank}${inner}${JSON.stringify(key)}: ${format(item, inner, indent === '' && key === 'widgets')}`;
+                }).join(',\n')}\n${indent}}`;
+            };
+
+            return format(config, '', true) + '\n';
+        }
+    }
+
+    DatadogSchemaImporter.RESOURCE_TYPE = RESOURCE_TYPE;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DatadogSchemaImporter;
+    } else {
+        root.DatadogSchemaImporter = DatadogSchemaImporter;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
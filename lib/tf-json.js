@@ -0,0 +1,152 @@
+/**
+ * Datadog HCL Generator - Terraform JSON Syntax
+ * Serializes generated HCL as a *.tf.json configuration
+ *
+ * Terraform reads the JSON syntax as the same configuration, with a few
+ * rules of its own:
+ * - Blocks nest by type and labels: resource.datadog_dashboard.<name>
+ * - A nested block is an object, or an array when Terraform allows it
+ *   several times (widget, request, template_variable, ...)
+ * - Strings are templates, so references become "${var.env}" and literal
+ *   "${" is escaped as "$${"
+ * - Comments become "//" properties
+ */
+
+(function (root) {
+    'use strict';
+
+    const HCL = typeof require === 'function' ? require('./hcl') : root.HCL;
+    const DatadogCDKTFGenerator = typeof require === 'function' ? require('./cdktf') : root.DatadogCDKTFGenerator;
+    const { HCLAttribute, HCLBlock, HCLComment, HCLLiteral, HCLList, HCLObject, HCLRaw, expressionValue, parseHCL } = HCL;
+
+    // Meta-arguments that take a bare reference or type string instead of a template
+    const REFERENCE_ATTRIBUTES = {
+        import: ['to'],
+        moved: ['from', 'to'],
+        resource: ['provider'],
+        data: ['provider'],
+        variable: ['type']
+    };
+
+    // Attributes that are literal values, not templates
+    const LITERAL_ATTRIBUTES = {
+        variable: ['default']
+    };
+
+    // Top-level blocks without labels that may appear several times
+    const LIST_BLOCKS = ['import', 'moved'];
+
+    const HCL_ESCAPES = { n: '\n', r: '\r', t: '\t', '"': '"', '\\': '\\' };
+
+    class DatadogTerraformJSONGenerator extends DatadogCDKTFGenerator {
+        generate(hcl) {
+            const document = parseHCL(hcl);
+            const configuration = {};
+
+            document.children.forEach(child => {
+                if (child instanceof HCLAttribute) {
+                    configuration[child.name] = this.toJSON(child.value);
+                } else if (child instanceof HCLBlock) {
+                    this.addBlock(configuration, child, null);
+                }
+            });
+
+            return `${JSON.stringify(configuration, null, 2)}\n`;
+        }
+
+        // Adds the block under its type and labels; top-level locals merge,
+        // import and moved blocks collect in an array
+        addBlock(target, block, parentType) {
+            const body = this.bodyToJSON(block, parentType === null ? block.type : null);
+
+            if (parentType === null && block.type === 'locals') {
+                target.locals = { ...target.locals, ...body };
+                return;
+            }
+            if (parentType === null && LIST_BLOCKS.includes(block.type)) {
+                target[block.type] = [...(target[block.type] || []), body];
+                return;
+            }
+
+            const path = [block.type, ...block.labels];
+            const key = path.pop();
+            const parent = path.reduce((object, name) => {
+                if (!object[name]) object[name] = {};
+                return object[name];
+            }, target);
+            parent[key] = body;
+        }
+
+        // topLevelType: type of a top-level block (for its meta-arguments)
+        bodyToJSON(body, topLevelType) {
+            const object = {};
+            const groups = new Map();
+            const referenceAttributes = REFERENCE_ATTRIBUTES[topLevelType] || [];
+            const literalAttributes = LITERAL_ATTRIBUTES[topLevelType] || [];
+
+            body.children.forEach(child => {
+                if (child instanceof HCLAttribute) {
+                    if (referenceAttributes.includes(child.name) && child.value instanceof HCLRaw) {
+                        object[child.name] = child.value.text;
+                    } else if (literalAttributes.includes(child.name)) {
+                        object[child.name] = expressionValue(child.value);
+                    } else {
+                        object[child.name] = this.toJSON(child.value);
+                    }
+                } else if (child instanceof HCLComment) {
+                    object['//'] = object['//'] ? `${object['//']}\n${child.text}` : child.text;
+                } else if (child instanceof HCLBlock) {
+                    if (child.labels.length > 0) {
+                        this.addBlock(object, child, body.type);
+                        return;
+                    }
+                    if (!groups.has(child.type)) {
+                        groups.set(child.type, []);
+                        object[child.type] = null;
+                    }
+                    groups.get(child.type).push(child);
+                }
+            });
+
+            groups.forEach((blocks, type) => {
+                const values = blocks.map(block => this.bodyToJSON(block, null));
+                object[type] = blocks.length > 1 || this.isRepeated(type, body.type) ? values : values[0];
+            });
+
+            return object;
+        }
+
+        toJSON(expression) {
+            if (expression instanceof HCLLiteral) {
+                return typeof expression.value === 'string' ? this.escapeTemplate(expression.value) : expression.value;
+            }
+            if (expression instanceof HCLList) {
+                return expression.items.map(item => this.toJSON(item));
+            }
+            if (expression instanceof HCLObject) {
+                return Object.fromEntries(expression.entries.map(([key, value]) => [key, this.toJSON(value)]));
+            }
+            if (expression instanceof HCLRaw) {
+                // A quoted template keeps its source, only the string escapes change
+                return expression.template !== null
+                    ? this.unquote(expression.text)
+                    : `\${${expression.text}}`;
+            }
+            return null;
+        }
+
+        // "a\"b${var.x}" -> a"b${var.x}
+        unquote(text) {
+            return text.slice(1, -1).replace(/\\(u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|.)/g, (match, escape) => {
+                if (escape.length > 1) return String.fromCodePoint(parseInt(escape.slice(1), 16));
+                return HCL_ESCAPES[escape] ?? match;
+            });
+        }
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DatadogTerraformJSONGenerator;
+    } else {
+        root.DatadogTerraformJSONGenerator = DatadogTerraformJSONGenerator;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,205 @@
+/**
+ * Datadog HCL Generator - Zip Archives
+ * Minimal zip reader/writer with no external dependencies
+ *
+ * - readZip(): stored and deflated entries (inflated with DecompressionStream,
+ *   available in modern browsers and Node 18+)
+ * - createZip(): stored entries only, which is all the generated text needs
+ *
+ * Zip64 archives, encryption and multi-disk archives are not supported.
+ */
+
+(function (root) {
+    'use strict';
+
+    const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+    const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+    const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+    const UTF8_FLAG = 0x0800;
+    const METHOD_STORED = 0;
+    const METHOD_DEFLATED = 8;
+
+    const CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    function crc32(bytes) {
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    function toBytes(content) {
+        if (content instanceof Uint8Array) return content;
+        if (content instanceof ArrayBuffer) return new Uint8Array(content);
+        return new TextEncoder().encode(String(content));
+    }
+
+    function isZip(bytes) {
+        const data = toBytes(bytes);
+        return data.length >= 4 &&
+               new DataView(data.buffer, data.byteOffset, 4).getUint32(0, true) === LOCAL_HEADER_SIGNATURE;
+    }
+
+    async function inflateRaw(data) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('Compressed zip entries are not supported in this environment');
+        }
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    function findEndOfCentralDirectory(view) {
+        // The record is 22 bytes plus an optional comment of up to 64KB
+        const minOffset = Math.max(0, view.byteLength - 22 - 0xffff);
+        for (let offset = view.byteLength - 22; offset >= minOffset; offset--) {
+            if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+                return offset;
+            }
+        }
+        throw new Error('Invalid zip archive: End of central directory not found');
+    }
+
+    async function readZip(content) {
+        const data = toBytes(content);
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const decoder = new TextDecoder();
+
+        const endOffset = findEndOfCentralDirectory(view);
+        const entryCount = view.getUint16(endOffset + 10, true);
+        let offset = view.getUint32(endOffset + 16, true);
+
+        if (entryCount === 0xffff || offset === 0xffffffff) {
+            throw new Error('Zip64 archives are not supported');
+        }
+
+        const entries = [];
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(offset, true) !== CENTRAL_HEADER_SIGNATURE) {
+                throw new Error('Invalid zip archive: Corrupt central directory');
+            }
+
+            const flags = view.getUint16(offset + 8, true);
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(data.subarray(offset + 46, offset + 46 + nameLength));
+
+            offset += 46 + nameLength + extraLength + commentLength;
+
+            if (name.endsWith('/')) continue; // Directory entry
+
+            if (flags & 0x1) {
+                throw new Error(`Encrypted zip entries are not supported: ${name}`);
+            }
+
+            const localNameLength = view.getUint16(localOffset + 26, true);
+            const localExtraLength = view.getUint16(localOffset + 28, true);
+            const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+            const raw = data.subarray(dataStart, dataStart + compressedSize);
+
+            let bytes;
+            if (method === METHOD_STORED) {
+                bytes = raw;
+            } else if (method === METHOD_DEFLATED) {
+                bytes = await inflateRaw(raw);
+            } else {
+                throw new Error(`Unsupported zip compression method ${method}: ${name}`);
+            }
+
+            entries.push({ name, data: bytes });
+        }
+
+        return entries;
+    }
+
+    function toDosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    function createZip(files, date = new Date()) {
+        const encoder = new TextEncoder();
+        const { time, date: dosDate } = toDosDateTime(date);
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const bytes = toBytes(file.content);
+            const crc = crc32(bytes);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, UTF8_FLAG, true);
+            local.setUint16(8, METHOD_STORED, true);
+            local.setUint16(10, time, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, bytes.length, true);
+            local.setUint32(22, bytes.length, true);
+            local.setUint16(26, name.length, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, UTF8_FLAG, true);
+            central.setUint16(10, METHOD_STORED, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, bytes.length, true);
+            central.setUint32(24, bytes.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+
+            localParts.push(new Uint8Array(local.buffer), name, bytes);
+            centralParts.push(new Uint8Array(central.buffer), name);
+            offset += 30 + name.length + bytes.length;
+        });
+
+        const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const output = new Uint8Array(offset + centralSize + 22);
+        let position = 0;
+        parts.forEach(part => {
+            output.set(part, position);
+            position += part.length;
+        });
+
+        return output;
+    }
+
+    const DatadogZip = { readZip, createZip, isZip, crc32 };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DatadogZip;
+    } else {
+        root.DatadogZip = DatadogZip;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
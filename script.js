@@ -1,25 +1,31 @@
 /**
  * Datadog HCL Generator - JavaScript
  * Converts Datadog dashboard JSON to Terraform HCL
+ * Browser UI on top of the shared conversion core in lib/converter.js
+ * (and lib/reverse.js for the HCL → JSON direction)
  * Version: 1.0.0 - Configuration-driven with modern Terraform syntax
  *
  * Features:
  * - Modern widget_layout blocks instead of layout objects
- * - Query blocks with metric_query/log_query structures
+ * - Query blocks for every provider query type (metric, event, process, SLO, APM, cloud cost)
  * - Formula and conditional_formats support
  * - Configuration-driven widget mapping system
  * - Comprehensive validation with detailed error reporting
  * - Support for 20+ widget types with proper HCL generation
  */
 
-class DatadogHCLGenerator {
+class DatadogHCLGenerator extends DatadogHCLConverter {
     constructor() {
-        this.version = '1.0.0';
+        super();
         console.log('🚀 DatadogHCLGenerator v' + this.version + ' initializing...');
 
         this.initializeElements();
         this.initializeEventListeners();
         this.initializeTheme();
+        this.initializeProviderVersion();
+        this.initializeImports();
+        this.initializeOutputFormat();
+        this.initializeResourceMode();
 
         // Initialize widget mappings asynchronously
         console.log('📋 Loading widget configuration...');
@@ -44,14 +50,31 @@ class DatadogHCLGenerator {
         this.fileInput = document.getElementById('file-input');
         this.dropZone = document.getElementById('drop-zone');
         this.clearInputBtn = document.getElementById('clear-input');
+        this.directionBtn = document.getElementById('toggle-direction');
+        this.providerVersionSelect = document.getElementById('provider-version');
+        this.importsToggle = document.getElementById('generate-imports');
+        this.outputFormatSelect = document.getElementById('output-format');
+        this.resourceModeSelect = document.getElementById('resource-mode');
         this.inputError = document.getElementById('input-error');
 
+        // Conversion direction: 'json-to-hcl' or 'hcl-to-json'
+        this.direction = 'json-to-hcl';
+
         // Output elements
         this.hclOutput = document.getElementById('hcl-output');
         this.copyBtn = document.getElementById('copy-output');
         this.downloadBtn = document.getElementById('download-output');
+        this.fidelityBtn = document.getElementById('fidelity-report');
+        this.parameterizeBtn = document.getElementById('parameterize-output');
+        this.moduleBtn = document.getElementById('download-module');
         this.outputSuccess = document.getElementById('output-success');
 
+        // Diagnostics panel
+        this.diagnosticsPanel = document.getElementById('diagnostics-panel');
+        this.diagnosticsList = document.getElementById('diagnostics-list');
+        this.currentDiagnostics = [];
+        this.diagnosticsFilter = 'all';
+
         // Theme toggle
         this.themeToggle = document.getElementById('theme-toggle');
 
@@ -65,6 +88,11 @@ class DatadogHCLGenerator {
         this.jsonInput.addEventListener('input', this.handleInputChange.bind(this));
         this.jsonInput.addEventListener('paste', this.handleInputChange.bind(this));
         this.clearInputBtn.addEventListener('click', this.clearInput.bind(this));
+        this.directionBtn.addEventListener('click', this.toggleDirection.bind(this));
+        this.providerVersionSelect.addEventListener('change', () => this.selectProviderVersion(this.providerVersionSelect.value));
+        this.importsToggle.addEventListener('change', () => this.selectImports(this.importsToggle.checked));
+        this.outputFormatSelect.addEventListener('change', () => this.selectOutputFormat(this.outputFormatSelect.value));
+        this.resourceModeSelect.addEventListener('change', () => this.selectResourceMode(this.resourceModeSelect.value));
         this.fileInput.addEventListener('change', this.handleFileSelect.bind(this));
 
         // Drag and drop events
@@ -76,6 +104,12 @@ class DatadogHCLGenerator {
         // Output events
         this.copyBtn.addEventListener('click', this.copyToClipboard.bind(this));
         this.downloadBtn.addEventListener('click', this.downloadFile.bind(this));
+        this.fidelityBtn.addEventListener('click', this.showFidelityReport.bind(this));
+        this.parameterizeBtn.addEventListener('click', this.showParameterizeWizard.bind(this));
+        this.moduleBtn.addEventListener('click', this.showModuleExport.bind(this));
+        this.diagnosticsPanel.querySelectorAll('.diagnostics-filter').forEach(button => {
+            button.addEventListener('click', () => this.setDiagnosticsFilter(button.dataset.severity));
+        });
 
         // Theme toggle
         this.themeToggle.addEventListener('click', this.toggleTheme.bind(this));
@@ -105,1386 +139,337 @@ class DatadogHCLGenerator {
         this.setTheme(theme);
     }
 
-    handleURLParameters() {
-        const params = new URLSearchParams(window.location.search);
-
-        // Handle action parameter
-        if (params.get('action') === 'clear') {
-            this.clearInput();
-        }
-
-        // Handle sample parameter
-        if (params.get('sample') === 'true') {
-            this.loadSampleData();
-        }
-    }
-
-    async loadSampleData() {
+    initializeProviderVersion() {
+        // Keep the last targeted version; widgetMappings follow once the configuration loads
+        const saved = localStorage.getItem('datadog-hcl-provider-version');
         try {
-            // Ensure configuration is loaded first
-            await this.configurationLoaded;
-
-            const response = await fetch('sample-dashboard.json');
-            if (!response.ok) {
-                throw new Error(`Failed to load sample data: ${response.status}`);
-            }
-
-            const sampleData = await response.json();
-            this.jsonInput.value = JSON.stringify(sampleData, null, 2);
-            this.handleInputChange();
-            this.displaySuccess('📊 Sample dashboard loaded successfully!');
+            this.setProviderVersion(saved);
         } catch (error) {
-            console.error('Failed to load sample data:', error);
-            this.displayError('❌ Failed to load sample dashboard. Please check your connection.');
+            localStorage.removeItem('datadog-hcl-provider-version');
         }
     }
 
-    handleInputChange() {
-        // Clear any existing validation results when input changes
-        this.clearValidationResults();
-
-        // Debounce input changes to avoid excessive processing
-        clearTimeout(this.inputTimeout);
-        this.inputTimeout = setTimeout(() => {
-            this.processInput();
-        }, 500);
-    }
-
-    clearValidationResults() {
-        if (this.validationPanel) {
-            this.validationPanel.style.display = 'none';
-            // Also clear the content to ensure no stale data
-            const summaryElement = this.validationPanel.querySelector('.validation-summary');
-            const detailsElement = this.validationPanel.querySelector('.validation-details');
-            if (summaryElement) {
-                summaryElement.textContent = '';
-                summaryElement.className = 'validation-summary';
-            }
-            if (detailsElement) {
-                detailsElement.innerHTML = '';
-            }
-        }
-    }
-
-    async processInput() {
-        const input = this.jsonInput.value.trim();
-
-        if (!input) {
-            this.clearOutput();
-            this.disableOutputButtons();
-            return;
-        }
-
+    selectProviderVersion(version) {
         try {
-            // Ensure configuration is loaded before processing
-            if (this.configurationLoaded) {
-                await this.configurationLoaded;
-            }
-
-            // Clear previous messages
-            this.clearMessages();
-
-            // Parse JSON input
-            const dashboardData = JSON.parse(input);
-
-            // Validate the dashboard data structure
-            this.validateDashboardData(dashboardData);
-
-            // Check if widget mappings are available
-            if (!this.widgetMappings) {
-                console.warn('Widget mappings not loaded, using fallback configuration');
-                this.displayError('⚠️ Widget configuration not fully loaded. Output may be incomplete.');
-            }
-
-            // Generate HCL output
-            const hcl = this.generateHCL(dashboardData);
-
-            // Display the result
-            this.displayOutput(hcl);
-            this.enableOutputButtons();
-            this.displaySuccess('✅ Dashboard converted successfully!');
-
-            // Track successful conversion
-            this.trackConversion('success');
-
+            this.setProviderVersion(version);
         } catch (error) {
-            console.error('Processing error:', error);
-
-            // Display detailed error message
-            const errorMessage = this.getDetailedErrorMessage(error);
-            this.displayError(errorMessage);
-            this.clearOutput();
-            this.disableOutputButtons();
-
-            // Track failed conversion
-            this.trackConversion('error', error.message);
-        }
-    }
-
-    validateDashboardData(data) {
-        if (!data || typeof data !== 'object') {
-            throw new Error('Invalid JSON: Expected an object');
-        }
-
-        if (!data.title && !data.id) {
-            throw new Error('Dashboard must have either a title or id field');
-        }
-
-        // Warn about missing common fields
-        const warnings = [];
-        if (!data.id) warnings.push('Missing dashboard ID - using placeholder');
-        if (!data.title) warnings.push('Missing title - using default');
-        if (!data.layout_type) warnings.push('Missing layout_type - using "ordered"');
-
-        if (warnings.length > 0) {
-            console.warn('Dashboard validation warnings:', warnings);
-        }
-    }
-
-    getDetailedErrorMessage(error) {
-        if (error instanceof SyntaxError) {
-            const match = error.message.match(/position (\d+)/);
-            if (match) {
-                const position = parseInt(match[1]);
-                const lines = this.jsonInput.value.substring(0, position).split('\n');
-                const line = lines.length;
-                const column = lines[lines.length - 1].length + 1;
-                return `Invalid JSON at line ${line}, column ${column}: ${error.message}`;
-            }
-            return `Invalid JSON: ${error.message}`;
-        }
-        return `Error: ${error.message}`;
-    }
-
-    generateHCL(dashboardData) {
-        // Extract basic dashboard properties
-        const title = this.escapeHCLString(dashboardData.title || 'Imported Dashboard');
-        const description = dashboardData.description ? this.escapeHCLString(dashboardData.description) : null;
-        const layoutType = dashboardData.layout_type || 'ordered';
-        const dashboardId = dashboardData.id || 'DASHBOARD_ID_PLACEHOLDER';
-
-        // Generate resource name from title - use lowercase convention to match original
-        const resourceName = this.generateResourceName(dashboardData.title || 'imported_dashboard', false);
-
-        // Start building HCL
-        let hcl = `resource "datadog_dashboard" "${resourceName}" {\n`;
-        hcl += `  title       = ${title}\n`;
-
-        // Always include description (even if empty) to match original
-        if (description !== null) {
-            hcl += `  description = ${description}\n`;
-        } else if (dashboardData.hasOwnProperty('description')) {
-            hcl += `  description = ""\n`;
-        }
-
-        // Add reflow_type if present (comes before layout_type in original)
-        if (dashboardData.reflow_type) {
-            hcl += `  reflow_type = "${dashboardData.reflow_type}"\n`;
-        }
-
-        hcl += `  layout_type = "${layoutType}"\n`;
-
-        // Always include notify_list to match original structure
-        if (dashboardData.notify_list && dashboardData.notify_list.length > 0) {
-            hcl += `  notify_list = ${JSON.stringify(dashboardData.notify_list)}\n`;
-        } else if (dashboardData.hasOwnProperty('notify_list')) {
-            hcl += `  notify_list = []\n`;
-        }
-
-        // Add basic properties
-        if (dashboardData.is_read_only !== undefined) {
-            hcl += `  is_read_only = ${dashboardData.is_read_only}\n`;
-        }
-
-        // Add URL if available
-        if (dashboardData.url) {
-            hcl += `  url = "${dashboardData.url}"\n`;
-        }
-
-        // Add tags if available
-        if (dashboardData.tags && dashboardData.tags.length > 0) {
-            hcl += `  tags = ${JSON.stringify(dashboardData.tags)}\n`;
-        }
-
-        // Add template variables if available
-        if (dashboardData.template_variables && dashboardData.template_variables.length > 0) {
-            hcl += `\n`;
-            dashboardData.template_variables.forEach((variable, index) => {
-                hcl += `  template_variable {\n`;
-
-                // Always include available_values to match original structure
-                if (variable.available_values && Array.isArray(variable.available_values)) {
-                    hcl += `    available_values = ${JSON.stringify(variable.available_values)}\n`;
-                } else {
-                    hcl += `    available_values = []\n`;
-                }
-
-                // Handle defaults properly - preserve original behavior
-                if (variable.default !== undefined) {
-                    // Handle both single values and arrays
-                    const defaultValue = Array.isArray(variable.default) ? variable.default : [variable.default];
-                    hcl += `    defaults         = ${JSON.stringify(defaultValue)}\n`;
-                } else if (variable.defaults !== undefined) {
-                    hcl += `    defaults         = ${JSON.stringify(variable.defaults)}\n`;
-                } else {
-                    // Default to empty array to match original structure
-                    hcl += `    defaults         = []\n`;
-                }
-
-                hcl += `    name             = "${variable.name}"\n`;
-                if (variable.prefix) hcl += `    prefix           = "${variable.prefix}"\n`;
-
-                hcl += `  }\n`;
-            });
-        }
-
-        // Add widgets (enhanced with better support)
-        if (dashboardData.widgets && dashboardData.widgets.length > 0) {
-            hcl += `\n  # long queue\n\n`;
-
-            dashboardData.widgets.forEach((widget, index) => {
-                hcl += this.generateWidgetHCL(widget, index);
-            });
-        } else {
-            hcl += `\n  # No widgets found - add your widget configurations here\n`;
-        }
-
-        hcl += `}\n`;
-
-        return hcl;
-    }
-
-    generateWidgetHCL(widget, index) {
-        const widgetType = widget.definition?.type || 'unknown';
-        const definition = widget.definition || {};
-
-        // Use configuration-driven approach for modern syntax
-        return this.generateModernWidgetHCL(widget, widgetType, definition);
-    }
-
-    generateModernWidgetHCL(widget, widgetType, definition) {
-        let hcl = `\n  widget {\n`;
-
-        // Add widget ID if available
-        if (widget.id) {
-            hcl += `    id = "${widget.id}"\n`;
-        }
-
-        // Generate widget_layout block (modern syntax)
-        if (widget.layout) {
-            hcl += `    widget_layout {\n`;
-            hcl += `      height          = ${widget.layout.height || 8}\n`;
-            hcl += `      is_column_break = false\n`;
-            hcl += `      width           = ${widget.layout.width || 12}\n`;
-            hcl += `      x               = ${widget.layout.x || 0}\n`;
-            hcl += `      y               = ${widget.layout.y || 0}\n`;
-            hcl += `    }\n\n`;
-        }
-
-        // Get widget configuration from mappings
-        const widgetConfig = this.widgetMappings?.widgets?.[widgetType];
-
-        if (widgetConfig) {
-            hcl += this.generateConfiguredWidget(widgetConfig, definition, widgetType);
-        } else {
-            // Fallback for unknown widget types or when configuration isn't loaded
-            hcl += `    # ${widgetType} widget - configuration not yet supported\n`;
-            hcl += `    # Please add configuration for ${widgetType} to widget mappings\n`;
-            if (definition.title) {
-                hcl += `    # Title: ${definition.title}\n`;
-            }
-            if (definition.requests && definition.requests.length > 0) {
-                hcl += `    # Has ${definition.requests.length} request(s)\n`;
-            }
-            hcl += `    # Widget definition: ${JSON.stringify(definition, null, 4).split('\n').join('\n    # ')}\n`;
-        }
-
-        hcl += `  }\n`;
-        return hcl;
-    }
-
-    generateConfiguredWidget(widgetConfig, definition, widgetType) {
-        let hcl = `    ${widgetConfig.blockName} {\n`;
-
-        // Add live_span first if it exists (preserving original behavior)
-        if (definition.live_span) {
-            hcl += `      live_span   = "${definition.live_span}"\n`;
-        }
-
-        // Add common properties
-        widgetConfig.commonProperties.forEach(prop => {
-            if (definition[prop] !== undefined && prop !== 'live_span') { // Skip live_span since we already added it
-                const value = this.formatPropertyValue(definition[prop]);
-                hcl += `      ${prop} = ${value}\n`;
-            }
-        });
-
-        // Add specific properties
-        Object.entries(widgetConfig.specificProperties).forEach(([jsonProp, hclProp]) => {
-            if (definition[jsonProp] !== undefined) {
-                if (jsonProp === 'timeseries_background' && typeof definition[jsonProp] === 'object') {
-                    // Handle timeseries_background as a block
-                    hcl += `      ${hclProp} {\n`;
-                    if (definition[jsonProp].type) {
-                        hcl += `        type = "${definition[jsonProp].type}"\n`;
-                    }
-                    hcl += `      }\n`;
-                } else {
-                    const value = this.formatPropertyValue(definition[jsonProp]);
-                    hcl += `      ${hclProp} = ${value}\n`;
-                }
-            }
-        });
-
-        // Handle requests based on structure type
-        if (widgetConfig.requestStructure === 'modern' && definition.requests) {
-            hcl += this.generateModernRequests(definition.requests);
-        } else if (widgetConfig.requestStructure === 'legacy' && definition.requests) {
-            hcl += this.generateLegacyRequests(definition.requests);
-        }
-
-        // Access features object properly
-        const features = widgetConfig.features || {};
-
-        // Handle yaxis configuration for widgets that support it
-        if (features.supportsYAxis && definition.yaxis) {
-            hcl += this.generateYAxisConfiguration(definition.yaxis);
-        }
-
-        // Handle events for widgets that support them
-        if (features.supportsEvents && definition.events) {
-            hcl += this.generateEventsConfiguration(definition.events);
-        }
-
-        // Handle style configuration for widgets that support it
-        if (features.supportsStyle && definition.style) {
-            hcl += this.generateStyleConfiguration(definition.style);
-        }
-
-        // Handle view configuration for widgets that support it
-        if (features.supportsView && definition.view) {
-            hcl += this.generateViewConfiguration(definition.view);
-        }
-
-        // Handle sort configuration for widgets that support it
-        if (features.supportsSort && definition.sort) {
-            hcl += this.generateSortConfiguration(definition.sort);
+            this.displayError(`❌ ${error.message}`);
+            return;
         }
 
-        // Note: live_span is handled at widget level, time blocks are not needed
-
-        // Handle nested widgets for group widgets
-        if (features.hasNestedWidgets && definition.widgets) {
-            definition.widgets.forEach((nestedWidget, index) => {
-                hcl += this.generateNestedWidget(nestedWidget, index);
-            });
-        }
+        localStorage.setItem('datadog-hcl-provider-version', this.providerVersion || 'latest');
+        this.updateProviderVersionOptions();
+        this.trackAction('provider_version', this.providerVersion || 'latest');
 
-        hcl += `    }\n`;
-        return hcl;
+        this.refreshConversion();
     }
 
-    generateYAxisConfiguration(yaxis) {
-        let hcl = `\n      yaxis {\n`;
-
-        if (yaxis.label) {
-            hcl += `        label        = ${this.escapeHCLString(yaxis.label)}\n`;
-        }
-        if (yaxis.scale) {
-            hcl += `        scale        = "${yaxis.scale}"\n`;
-        }
-        if (yaxis.min !== undefined) {
-            hcl += `        min          = "${yaxis.min}"\n`;
-        }
-        if (yaxis.max !== undefined) {
-            hcl += `        max          = "${yaxis.max}"\n`;
-        }
-        if (yaxis.include_zero !== undefined) {
-            hcl += `        include_zero = ${yaxis.include_zero}\n`;
-        }
-
-        hcl += `      }\n`;
-        return hcl;
+    // Import blocks in the output (batch downloads: imports.tf or
+    // imports.tf.json, and import.sh)
+    initializeImports() {
+        this.generateImports = localStorage.getItem('datadog-hcl-imports') === 'true';
+        this.importsToggle.checked = this.generateImports;
     }
 
-    generateEventsConfiguration(events) {
-        let hcl = '';
+    selectImports(enabled) {
+        this.generateImports = enabled;
+        localStorage.setItem('datadog-hcl-imports', String(enabled));
+        this.trackAction('imports', enabled ? 'on' : 'off');
 
-        if (Array.isArray(events)) {
-            events.forEach(event => {
-                hcl += `\n      event {\n`;
-                if (event.q) {
-                    hcl += `        q = ${this.escapeHCLString(event.q)}\n`;
-                }
-                if (event.tags_execution) {
-                    hcl += `        tags_execution = "${event.tags_execution}"\n`;
-                }
-                hcl += `      }\n`;
-            });
-        }
-
-        return hcl;
+        this.refreshConversion();
     }
 
-    generateStyleConfiguration(style) {
-        let hcl = `\n      style {\n`;
+    // Output format (lib/formats.js); everything but the displayed and
+    // downloaded output keeps working on the generated HCL
+    initializeOutputFormat() {
+        this.outputFormatSelect.innerHTML = DatadogOutputFormats.names()
+            .map(name => `<option value="${this.escapeHtml(name)}">Output: ${this.escapeHtml(DatadogOutputFormats.get(name).label)}</option>`)
+            .join('');
 
-        if (style.palette) {
-            hcl += `        palette = "${style.palette}"\n`;
-        }
-        if (style.palette_flip !== undefined) {
-            hcl += `        palette_flip = ${style.palette_flip}\n`;
+        const saved = localStorage.getItem('datadog-hcl-output-format');
+        try {
+            this.outputFormat = DatadogOutputFormats.get(saved).name;
+        } catch (error) {
+            this.outputFormat = DatadogOutputFormats.DEFAULT_FORMAT;
+            localStorage.removeItem('datadog-hcl-output-format');
         }
-
-        hcl += `      }\n`;
-        return hcl;
+        this.outputFormatSelect.value = this.outputFormat;
+        this.resetBatch();
     }
 
-    generateViewConfiguration(view) {
-        let hcl = `\n      view {\n`;
+    selectOutputFormat(name) {
+        this.outputFormat = DatadogOutputFormats.get(name).name;
+        localStorage.setItem('datadog-hcl-output-format', this.outputFormat);
+        this.trackAction('output_format', this.outputFormat);
 
-        if (view.focus) {
-            hcl += `        focus = "${view.focus}"\n`;
-        }
-
-        hcl += `      }\n`;
-        return hcl;
+        this.resetBatch();
+        this.clearOutput();
+        this.refreshConversion();
     }
 
-    generateSortConfiguration(sort) {
-        let hcl = `\n      sort {\n`;
-
-        if (sort.column) {
-            hcl += `        column = "${sort.column}"\n`;
-        }
-        if (sort.order) {
-            hcl += `        order = "${sort.order}"\n`;
-        }
-
-        hcl += `      }\n`;
-        return hcl;
+    renderOutput(hcl, variables = []) {
+        return DatadogOutputFormats.render(this.getOutputFormatName(), hcl, this, { variables });
     }
 
-    generateModernRequests(requests) {
-        let hcl = '';
-
-        requests.forEach((request, index) => {
-            if (this.hasValidRequestContent(request)) {
-                hcl += `\n      request {\n`;
-
-                // Add request-level properties first (preserving original order)
-                if (request.display_type) {
-                    hcl += `        display_type   = "${request.display_type}"\n`;
-                }
-                if (request.on_right_yaxis !== undefined) {
-                    hcl += `        on_right_yaxis = ${request.on_right_yaxis}\n`;
-                }
-
-                // Add conditional formats (preserving original order - before queries)
-                if (request.conditional_formats && Array.isArray(request.conditional_formats)) {
-                    hcl += `\n`;
-                    request.conditional_formats.forEach(format => {
-                        hcl += `        conditional_formats {\n`;
-                        if (format.comparator) hcl += `          comparator = "${format.comparator}"\n`;
-                        if (format.hide_value !== undefined) hcl += `          hide_value = ${format.hide_value}\n`;
-                        if (format.palette) hcl += `          palette    = "${format.palette}"\n`;
-                        if (format.value !== undefined) hcl += `          value      = ${format.value}\n`;
-                        hcl += `        }\n`;
-                    });
-                }
-
-                // Add formulas if present (preserving original order)
-                if (request.formulas && Array.isArray(request.formulas)) {
-                    request.formulas.forEach(formula => {
-                        hcl += `\n        formula {\n`;
-                        if (formula.alias) {
-                            hcl += `          alias              = ${this.escapeHCLString(formula.alias)}\n`;
-                        }
-                        hcl += `          formula_expression = "${formula.formula || formula.formula_expression}"\n`;
-                        if (formula.limit) {
-                            hcl += `\n          limit {\n`;
-                            if (formula.limit.count) hcl += `            count = ${formula.limit.count}\n`;
-                            if (formula.limit.order) hcl += `            order = "${formula.limit.order}"\n`;
-                            hcl += `          }\n`;
-                        }
-                        hcl += `        }\n`;
-                    });
-                }
-
-                // Generate query blocks (modern format)
-                if (request.queries && Array.isArray(request.queries)) {
-                    request.queries.forEach(query => {
-                        hcl += this.generateQueryBlock(query);
-                    });
-                } else if (request.q) {
-                    // Convert legacy q to modern format
-                    hcl += `\n        query {\n`;
-                    hcl += `          metric_query {\n`;
-                    hcl += `            aggregator  = "${request.aggregator || 'avg'}"\n`;
-                    hcl += `            data_source = "metrics"\n`;
-                    hcl += `            name        = "query1"\n`;
-                    hcl += `            query       = ${this.escapeHCLString(request.q)}\n`;
-                    hcl += `          }\n`;
-                    hcl += `        }\n`;
-                }
-
-                // Add style
-                if (request.style) {
-                    hcl += `\n        style {\n`;
-                    if (request.style.palette) hcl += `          palette = "${request.style.palette}"\n`;
-                    if (request.style.line_type) hcl += `          line_type  = "${request.style.line_type}"\n`;
-                    if (request.style.line_width) hcl += `          line_width = "${request.style.line_width}"\n`;
-                    hcl += `        }\n`;
-                }
-
-                hcl += `      }\n`;
-            }
-        });
-
-        return hcl;
-    }
-
-    generateQueryBlock(query) {
-        let hcl = `\n        query {\n`;
-
-        // Determine query type based on content
-        if (query.data_source === 'metrics' || query.metric || query.query) {
-            hcl += `\n          metric_query {\n`;
-            if (query.aggregator) hcl += `            aggregator  = "${query.aggregator}"\n`;
-            if (query.data_source) hcl += `            data_source = "${query.data_source}"\n`;
-            if (query.name) hcl += `            name        = "${query.name}"\n`;
-            if (query.query) hcl += `            query       = ${this.escapeHCLString(query.query)}\n`;
-            hcl += `          }\n`;
-        } else if (query.data_source === 'logs') {
-            hcl += `\n          log_query {\n`;
-            if (query.name) hcl += `            name = "${query.name}"\n`;
-            if (query.data_source) hcl += `            data_source = "${query.data_source}"\n`;
-            if (query.search && query.search.query) {
-                hcl += `            search {\n`;
-                hcl += `              query = ${this.escapeHCLString(query.search.query)}\n`;
-                hcl += `            }\n`;
-            }
-            // Skip indexes as they're not supported in standard provider
-            hcl += `          }\n`;
+    // datadog_dashboard_json output is Terraform configuration: HCL unless
+    // Terraform JSON is picked
+    getOutputFormatName() {
+        if (this.isDashboardJSON() && !DatadogOutputFormats.get(this.outputFormat).terraform) {
+            return DatadogOutputFormats.DEFAULT_FORMAT;
         }
-
-        hcl += `        }\n`;
-        return hcl;
+        return this.outputFormat;
     }
 
-    generateNestedWidget(nestedWidget, index) {
-        let hcl = `\n      widget {\n`;
-
-        if (nestedWidget.id) {
-            hcl += `        id = "${nestedWidget.id}"\n`;
-        }
-
-        if (nestedWidget.layout) {
-            hcl += `        widget_layout {\n`;
-            hcl += `          height          = ${nestedWidget.layout.height || 8}\n`;
-            hcl += `          is_column_break = false\n`;
-            hcl += `          width           = ${nestedWidget.layout.width || 12}\n`;
-            hcl += `          x               = ${nestedWidget.layout.x || 0}\n`;
-            hcl += `          y               = ${nestedWidget.layout.y || 0}\n`;
-            hcl += `        }\n\n`;
-        }
-
-        const nestedDefinition = nestedWidget.definition || {};
-        const nestedType = nestedDefinition.type || 'unknown';
-        const widgetConfig = this.widgetMappings?.widgets?.[nestedType];
-
-        if (widgetConfig) {
-            // Generate the widget configuration and adjust indentation for nesting
-            const widgetHCL = this.generateConfiguredWidget(widgetConfig, nestedDefinition, nestedType);
-            // Adjust indentation from 4 spaces to 8 spaces for nested widgets
-            hcl += widgetHCL.replace(/^    /gm, '        ');
-        } else {
-            hcl += `        # ${nestedType} widget - configuration not yet supported\n`;
-            hcl += `        # Please add configuration for ${nestedType} to widget mappings\n`;
-            if (nestedDefinition.title) {
-                hcl += `        # Title: ${nestedDefinition.title}\n`;
-            }
-        }
-
-        hcl += `      }\n`;
-        return hcl;
+    // Resource written for a dashboard: 'dashboard' (datadog_dashboard),
+    // 'dashboard_json' or 'dashboard_json_locals' (datadog_dashboard_json,
+    // template variables in locals)
+    initializeResourceMode() {
+        const saved = localStorage.getItem('datadog-hcl-resource-mode');
+        this.resourceMode = ['dashboard_json', 'dashboard_json_locals'].includes(saved) ? saved : 'dashboard';
+        this.resourceModeSelect.value = this.resourceMode;
+        this.resetBatch();
     }
 
-    hasValidRequestContent(request) {
-        return request.q ||
-               (request.queries && request.queries.length > 0) ||
-               (request.formulas && request.formulas.length > 0);
-    }
+    selectResourceMode(mode) {
+        this.resourceMode = mode;
+        localStorage.setItem('datadog-hcl-resource-mode', mode);
+        this.trackAction('resource_mode', mode);
 
-    formatPropertyValue(value) {
-        if (typeof value === 'string') {
-            return this.escapeHCLString(value);
-        } else if (typeof value === 'boolean') {
-            return value.toString();
-        } else if (typeof value === 'number') {
-            return value.toString();
-        } else if (Array.isArray(value)) {
-            return JSON.stringify(value);
-        } else if (typeof value === 'object' && value !== null) {
-            return JSON.stringify(value);
-        }
-        return `"${value}"`;
+        this.resetBatch();
+        this.clearOutput();
+        this.refreshConversion();
     }
 
-    generateGroupWidgetHCL(definition) {
-        let hcl = `    group_definition {\n`;
-
-        if (definition.title) {
-            hcl += `      title       = ${this.escapeHCLString(definition.title)}\n`;
-        }
-
-        if (definition.layout_type) {
-            hcl += `      layout_type = "${definition.layout_type}"\n`;
-        }
-
-        if (definition.background_color) {
-            hcl += `      background_color = "${definition.background_color}"\n`;
-        }
-
-        if (definition.banner_img) {
-            hcl += `      banner_img = "${definition.banner_img}"\n`;
-        }
-
-        if (definition.show_title !== undefined) {
-            hcl += `      show_title = ${definition.show_title}\n`;
-        }
-
-        // Add nested widgets if available
-        if (definition.widgets && definition.widgets.length > 0) {
-            hcl += `\n      # Nested widgets in group\n`;
-            definition.widgets.forEach((nestedWidget, index) => {
-                hcl += `      widget {\n`;
-
-                if (nestedWidget.id) {
-                    hcl += `        id = "${nestedWidget.id}"\n`;
-                }
-
-                if (nestedWidget.layout) {
-                    hcl += `        layout = {\n`;
-                    hcl += `          x      = ${nestedWidget.layout.x || 0}\n`;
-                    hcl += `          y      = ${nestedWidget.layout.y || 0}\n`;
-                    hcl += `          width  = ${nestedWidget.layout.width || 12}\n`;
-                    hcl += `          height = ${nestedWidget.layout.height || 8}\n`;
-                    hcl += `        }\n`;
-                }
-
-                // Use configuration-driven approach for nested widgets
-                const nestedDefinition = nestedWidget.definition || {};
-                const nestedType = nestedDefinition.type || 'unknown';
-                const widgetConfig = this.widgetMappings?.widgets?.[nestedType];
-
-                if (widgetConfig) {
-                    // Generate widget configuration with proper indentation
-                    const widgetHCL = this.generateConfiguredWidget(widgetConfig, nestedDefinition, nestedType);
-                    hcl += widgetHCL.replace(/^    /gm, '        ');
-                } else {
-                    hcl += `        # ${nestedType} widget - configuration not yet supported\n`;
-                    hcl += `        # Please add configuration for ${nestedType} to widget mappings\n`;
-                    if (nestedDefinition.title) {
-                        hcl += `        # Title: ${nestedDefinition.title}\n`;
-                    }
-                    if (nestedDefinition.requests && nestedDefinition.requests.length > 0) {
-                        hcl += `        # Has ${nestedDefinition.requests.length} request(s)\n`;
-                    }
-                }
-
-                hcl += `      }\n`;
-            });
-        }
-
-        hcl += `    }\n`;
-        return hcl;
+    isDashboardJSON() {
+        return this.resourceMode === 'dashboard_json' || this.resourceMode === 'dashboard_json_locals';
     }
 
-    // Legacy widget generation methods - kept for backward compatibility
-    // These are now superseded by the configuration-driven approach but maintained for fallback scenarios
-    generateTimeseriesWidgetHCL(definition) {
-        let hcl = `    timeseries_definition {\n`;
-
-        if (definition.title) {
-            hcl += `      title       = ${this.escapeHCLString(definition.title)}\n`;
-        }
-
-        if (definition.title_size) {
-            hcl += `      title_size  = "${definition.title_size}"\n`;
-        }
-
-        if (definition.title_align) {
-            hcl += `      title_align = "${definition.title_align}"\n`;
-        }
-
-        if (definition.show_legend !== undefined) {
-            hcl += `      show_legend = ${definition.show_legend}\n`;
-        }
-
-        if (definition.legend_layout) {
-            hcl += `      legend_layout = "${definition.legend_layout}"\n`;
-        }
-
-        if (definition.legend_columns && Array.isArray(definition.legend_columns)) {
-            hcl += `      legend_columns = ${JSON.stringify(definition.legend_columns)}\n`;
-        }
-
-        if (definition.live_span) {
-            hcl += `      live_span = "${definition.live_span}"\n`;
-        }
-
-        // Add requests only if they exist and have content
-        if (definition.requests && Array.isArray(definition.requests) && definition.requests.length > 0) {
-            definition.requests.forEach((request, index) => {
-                // Only create request block if it has meaningful content
-                if (request.q || request.queries || (request.formulas && request.formulas.length > 0)) {
-                    hcl += `\n      request {\n`;
-
-                    if (request.q) {
-                        hcl += `        q = ${this.escapeHCLString(request.q)}\n`;
-                    }
-
-                    if (request.display_type) {
-                        hcl += `        display_type = "${request.display_type}"\n`;
-                    }
-
-                    if (request.style) {
-                        hcl += `        style {\n`;
-                        if (request.style.palette) hcl += `          palette    = "${request.style.palette}"\n`;
-                        if (request.style.line_type) hcl += `          line_type  = "${request.style.line_type}"\n`;
-                        if (request.style.line_width) hcl += `          line_width = "${request.style.line_width}"\n`;
-                        hcl += `        }\n`;
-                    }
-
-                    if (request.metadata && Array.isArray(request.metadata)) {
-                        request.metadata.forEach((meta, metaIndex) => {
-                            hcl += `        metadata {\n`;
-                            if (meta.expression) hcl += `          expression = ${this.escapeHCLString(meta.expression)}\n`;
-                            if (meta.alias_name) hcl += `          alias_name = ${this.escapeHCLString(meta.alias_name)}\n`;
-                            hcl += `        }\n`;
-                        });
-                    }
-
-                    hcl += `      }\n`;
-                }
-            });
-        }
-
-        // Add yaxis if available
-        if (definition.yaxis) {
-            hcl += `\n      yaxis {\n`;
-            if (definition.yaxis.label) hcl += `        label        = ${this.escapeHCLString(definition.yaxis.label)}\n`;
-            if (definition.yaxis.scale) hcl += `        scale        = "${definition.yaxis.scale}"\n`;
-            if (definition.yaxis.min) hcl += `        min          = "${definition.yaxis.min}"\n`;
-            if (definition.yaxis.max) hcl += `        max          = "${definition.yaxis.max}"\n`;
-            if (definition.yaxis.include_zero !== undefined) hcl += `        include_zero = ${definition.yaxis.include_zero}\n`;
-            hcl += `      }\n`;
-        }
-
-        // Add events if available
-        if (definition.events && Array.isArray(definition.events)) {
-            definition.events.forEach((event, index) => {
-                hcl += `\n      event {\n`;
-                if (event.q) hcl += `        q = ${this.escapeHCLString(event.q)}\n`;
-                if (event.tags_execution) hcl += `        tags_execution = "${event.tags_execution}"\n`;
-                hcl += `      }\n`;
-            });
-        }
-
-        hcl += `    }\n`;
-        return hcl;
+    // Options for converting the input dashboard(s)
+    getConvertOptions() {
+        return {
+            importBlock: this.generateImports,
+            dashboardJson: this.isDashboardJSON(),
+            templateVariableLocals: this.resourceMode === 'dashboard_json_locals'
+        };
     }
 
-    generateQueryValueWidgetHCL(definition) {
-        let hcl = `    query_value_definition {\n`;
-
-        if (definition.title) {
-            hcl += `      title       = ${this.escapeHCLString(definition.title)}\n`;
-        }
-
-        if (definition.title_size) {
-            hcl += `      title_size  = "${definition.title_size}"\n`;
-        }
-
-        if (definition.title_align) {
-            hcl += `      title_align = "${definition.title_align}"\n`;
-        }
-
-        if (definition.live_span) {
-            hcl += `      live_span = "${definition.live_span}"\n`;
-        }
-
-        if (definition.autoscale !== undefined) {
-            hcl += `      autoscale = ${definition.autoscale}\n`;
-        }
-
-        if (definition.custom_unit) {
-            hcl += `      custom_unit = "${definition.custom_unit}"\n`;
-        }
-
-        if (definition.precision !== undefined) {
-            hcl += `      precision = ${definition.precision}\n`;
+    // Regenerate the output after a setting changed (the HCL → JSON direction does not depend on them)
+    refreshConversion() {
+        if (this.jsonInput.value.trim() && !this.isReverse()) {
+            this.processInput();
         }
+    }
 
-        // Add requests only if they exist and have content
-        if (definition.requests && Array.isArray(definition.requests) && definition.requests.length > 0) {
-            definition.requests.forEach((request, index) => {
-                // Only create request block if it has meaningful content
-                if (request.q || request.queries || (request.formulas && request.formulas.length > 0)) {
-                    hcl += `\n      request {\n`;
-
-                    if (request.q) {
-                        hcl += `        q = ${this.escapeHCLString(request.q)}\n`;
-                    }
-
-                    if (request.aggregator) {
-                        hcl += `        aggregator = "${request.aggregator}"\n`;
-                    }
-
-                    if (request.conditional_formats && Array.isArray(request.conditional_formats)) {
-                        request.conditional_formats.forEach((format, formatIndex) => {
-                            hcl += `        conditional_formats {\n`;
-                            if (format.comparator) hcl += `          comparator = "${format.comparator}"\n`;
-                            if (format.value !== undefined) hcl += `          value      = ${format.value}\n`;
-                            if (format.palette) hcl += `          palette    = "${format.palette}"\n`;
-                            hcl += `        }\n`;
-                        });
-                    }
-
-                    hcl += `      }\n`;
-                }
-            });
+    // The versions listed in widget-config.json, plus one picked through the URL
+    updateProviderVersionOptions() {
+        const versions = this.getProviderVersions();
+        if (this.providerVersion && !versions.includes(this.providerVersion)) {
+            versions.push(this.providerVersion);
+            versions.sort((a, b) => this.compareVersions(a, b));
         }
 
-        hcl += `    }\n`;
-        return hcl;
+        this.providerVersionSelect.innerHTML = ['latest', ...versions.reverse()]
+            .map(version => `<option value="${this.escapeHtml(version)}">Provider: ${this.escapeHtml(version)}</option>`)
+            .join('');
+        this.providerVersionSelect.value = this.providerVersion || 'latest';
     }
 
-    generateNoteWidgetHCL(definition) {
-        let hcl = `    note_definition {\n`;
-
-        if (definition.content) {
-            hcl += `      content          = ${this.escapeHCLString(definition.content)}\n`;
-        }
+    handleURLParameters() {
+        const params = new URLSearchParams(window.location.search);
 
-        if (definition.background_color) {
-            hcl += `      background_color = "${definition.background_color}"\n`;
+        // Handle action parameter
+        if (params.get('action') === 'clear') {
+            this.clearInput();
         }
 
-        if (definition.font_size) {
-            hcl += `      font_size        = "${definition.font_size}"\n`;
+        // Handle direction parameter
+        if (params.get('direction') === 'hcl-to-json') {
+            this.setDirection('hcl-to-json');
         }
 
-        if (definition.text_align) {
-            hcl += `      text_align       = "${definition.text_align}"\n`;
+        // Handle provider version parameter (e.g. ?provider_version=3.30.0)
+        if (params.get('provider_version')) {
+            this.selectProviderVersion(params.get('provider_version'));
         }
 
-        if (definition.vertical_align) {
-            hcl += `      vertical_align   = "${definition.vertical_align}"\n`;
+        // Handle sample parameter
+        if (params.get('sample') === 'true') {
+            this.loadSampleData();
         }
+    }
 
-        if (definition.show_tick !== undefined) {
-            hcl += `      show_tick        = ${definition.show_tick}\n`;
-        }
+    async loadSampleData() {
+        try {
+            // Ensure configuration is loaded first
+            await this.configurationLoaded;
 
-        if (definition.tick_pos) {
-            hcl += `      tick_pos         = "${definition.tick_pos}"\n`;
-        }
+            const response = await fetch('sample-dashboard.json');
+            if (!response.ok) {
+                throw new Error(`Failed to load sample data: ${response.status}`);
+            }
 
-        if (definition.tick_edge) {
-            hcl += `      tick_edge        = "${definition.tick_edge}"\n`;
+            const sampleData = await response.json();
+            // In the HCL → JSON direction the sample is loaded as its generated HCL
+            this.jsonInput.value = this.isReverse() ? this.generateHCL(sampleData) : JSON.stringify(sampleData, null, 2);
+            this.handleInputChange();
+            this.displaySuccess('📊 Sample dashboard loaded successfully!');
+        } catch (error) {
+            console.error('Failed to load sample data:', error);
+            this.displayError('❌ Failed to load sample dashboard. Please check your connection.');
         }
+    }
 
-        if (definition.has_padding !== undefined) {
-            hcl += `      has_padding      = ${definition.has_padding}\n`;
-        }
+    handleInputChange() {
+        // Clear any existing validation results when input changes
+        this.clearValidationResults();
 
-        hcl += `    }\n`;
-        return hcl;
+        // Debounce input changes to avoid excessive processing
+        clearTimeout(this.inputTimeout);
+        this.inputTimeout = setTimeout(() => {
+            this.processInput();
+        }, 500);
     }
 
-    generateToplistWidgetHCL(definition) {
-        let hcl = `    toplist_definition {\n`;
-
-        if (definition.title) {
-            hcl += `      title       = ${this.escapeHCLString(definition.title)}\n`;
+    clearValidationResults() {
+        if (this.validationPanel) {
+            this.validationPanel.style.display = 'none';
+            // Also clear the content to ensure no stale data
+            const summaryElement = this.validationPanel.querySelector('.validation-summary');
+            const detailsElement = this.validationPanel.querySelector('.validation-details');
+            if (summaryElement) {
+                summaryElement.textContent = '';
+                summaryElement.className = 'validation-summary';
+            }
+            if (detailsElement) {
+                detailsElement.innerHTML = '';
+            }
         }
+    }
 
-        if (definition.title_size) {
-            hcl += `      title_size  = "${definition.title_size}"\n`;
-        }
+    async processInput() {
+        const input = this.jsonInput.value.trim();
 
-        if (definition.title_align) {
-            hcl += `      title_align = "${definition.title_align}"\n`;
-        }
+        // Typing or loading a single dashboard leaves batch mode
+        this.resetBatch();
 
-        if (definition.live_span) {
-            hcl += `      live_span = "${definition.live_span}"\n`;
+        if (!input) {
+            this.clearOutput();
+            this.clearDiagnostics();
+            this.disableOutputButtons();
+            return;
         }
 
-        // Add requests only if they exist and have content
-        if (definition.requests && Array.isArray(definition.requests) && definition.requests.length > 0) {
-            definition.requests.forEach((request, index) => {
-                // Only create request block if it has meaningful content
-                if (request.q || request.queries || (request.formulas && request.formulas.length > 0)) {
-                    hcl += `\n      request {\n`;
-
-                    if (request.q) {
-                        hcl += `        q = ${this.escapeHCLString(request.q)}\n`;
-                    }
+        try {
+            // Ensure configuration is loaded before processing
+            if (this.configurationLoaded) {
+                await this.configurationLoaded;
+            }
 
-                    if (request.conditional_formats && Array.isArray(request.conditional_formats)) {
-                        request.conditional_formats.forEach((format, formatIndex) => {
-                            hcl += `        conditional_formats {\n`;
-                            if (format.comparator) hcl += `          comparator = "${format.comparator}"\n`;
-                            if (format.value !== undefined) hcl += `          value      = ${format.value}\n`;
-                            if (format.palette) hcl += `          palette    = "${format.palette}"\n`;
-                            hcl += `        }\n`;
-                        });
-                    }
+            // Clear previous messages
+            this.clearMessages();
 
-                    if (request.style) {
-                        hcl += `        style {\n`;
-                        if (request.style.palette) hcl += `          palette = "${request.style.palette}"\n`;
-                        hcl += `        }\n`;
-                    }
+            if (this.isReverse()) {
+                this.processHCLInput(input);
+                return;
+            }
 
-                    hcl += `      }\n`;
-                }
-            });
-        }
+            // Parse JSON input
+            const dashboardData = JSON.parse(input);
 
-        hcl += `    }\n`;
-        return hcl;
-    }
+            // Check if widget mappings are available
+            if (!this.widgetMappings) {
+                console.warn('Widget mappings not loaded, using fallback configuration');
+                this.displayError('⚠️ Widget configuration not fully loaded. Output may be incomplete.');
+            }
 
-    generateScatterplotWidgetHCL(definition) {
-        let hcl = `    scatterplot_definition {\n`;
-        if (definition.title) hcl += `      title = ${this.escapeHCLString(definition.title)}\n`;
-        if (definition.color_by_groups && Array.isArray(definition.color_by_groups)) {
-            hcl += `      color_by_groups = ${JSON.stringify(definition.color_by_groups)}\n`;
-        }
-        // Add requests only if they exist and have content
-        if (definition.requests && Array.isArray(definition.requests) && definition.requests.length > 0) {
-            definition.requests.forEach((request, index) => {
-                // Only create request block if it has meaningful content
-                if (request.x || request.y || request.q || request.queries) {
-                    hcl += `\n      request {\n`;
-                    if (request.x) hcl += `        x = ${this.escapeHCLString(request.x)}\n`;
-                    if (request.y) hcl += `        y = ${this.escapeHCLString(request.y)}\n`;
-                    if (request.q) hcl += `        q = ${this.escapeHCLString(request.q)}\n`;
-                    hcl += `      }\n`;
-                }
-            });
-        }
-        hcl += `    }\n`;
-        return hcl;
-    }
-
-    generateHeatmapWidgetHCL(definition) {
-        let hcl = `    heatmap_definition {\n`;
-        if (definition.title) hcl += `      title = ${this.escapeHCLString(definition.title)}\n`;
-        if (definition.requests && Array.isArray(definition.requests) && definition.requests.length > 0) {
-            definition.requests.forEach((request, index) => {
-                // Only create request block if it has meaningful content
-                if (request.q || request.queries || (request.formulas && request.formulas.length > 0)) {
-                    hcl += `\n      request {\n`;
-                    if (request.q) hcl += `        q = ${this.escapeHCLString(request.q)}\n`;
-                    if (request.style) {
-                        hcl += `        style {\n`;
-                        if (request.style.palette) hcl += `          palette = "${request.style.palette}"\n`;
-                        hcl += `        }\n`;
-                    }
-                    hcl += `      }\n`;
-                }
-            });
-        }
-        hcl += `    }\n`;
-        return hcl;
-    }
-
-    generateDistributionWidgetHCL(definition) {
-        let hcl = `    distribution_definition {\n`;
-        if (definition.title) hcl += `      title = ${this.escapeHCLString(definition.title)}\n`;
-        if (definition.requests && Array.isArray(definition.requests) && definition.requests.length > 0) {
-            definition.requests.forEach((request, index) => {
-                // Only create request block if it has meaningful content
-                if (request.q || request.queries || (request.formulas && request.formulas.length > 0)) {
-                    hcl += `\n      request {\n`;
-                    if (request.q) hcl += `        q = ${this.escapeHCLString(request.q)}\n`;
-                    hcl += `      }\n`;
-                }
-            });
-        }
-        hcl += `    }\n`;
-        return hcl;
-    }
+            // Validate and generate HCL output
+            const { hcl, diagnostics, resourceType } = this.convert(dashboardData, this.getConvertOptions());
+            const output = this.renderOutput(hcl);
+            this.lastDashboardData = dashboardData;
+            this.lastResourceType = resourceType;
+            this.currentHCL = hcl;
+            this.parameterizedVariables = null;
 
-    generateCheckStatusWidgetHCL(definition) {
-        let hcl = `    check_status_definition {\n`;
-        if (definition.title) hcl += `      title = ${this.escapeHCLString(definition.title)}\n`;
-        if (definition.check) hcl += `      check = ${this.escapeHCLString(definition.check)}\n`;
-        if (definition.grouping) hcl += `      grouping = "${definition.grouping}"\n`;
-        if (definition.group_by && Array.isArray(definition.group_by)) {
-            hcl += `      group_by = ${JSON.stringify(definition.group_by)}\n`;
-        }
-        if (definition.tags && Array.isArray(definition.tags)) {
-            hcl += `      tags = ${JSON.stringify(definition.tags)}\n`;
-        }
-        hcl += `    }\n`;
-        return hcl;
-    }
-
-    generateHostmapWidgetHCL(definition) {
-        let hcl = `    hostmap_definition {\n`;
-        if (definition.title) hcl += `      title = ${this.escapeHCLString(definition.title)}\n`;
-        if (definition.requests && Array.isArray(definition.requests) && definition.requests.length > 0) {
-            definition.requests.forEach((request, index) => {
-                // Only create request block if it has meaningful content
-                if (request.q || request.queries || (request.formulas && request.formulas.length > 0)) {
-                    hcl += `\n      request {\n`;
-                    if (request.q) hcl += `        q = ${this.escapeHCLString(request.q)}\n`;
-                    hcl += `      }\n`;
-                }
-            });
-        }
-        if (definition.node_type) hcl += `      node_type = "${definition.node_type}"\n`;
-        if (definition.no_metric_hosts !== undefined) hcl += `      no_metric_hosts = ${definition.no_metric_hosts}\n`;
-        if (definition.no_group_hosts !== undefined) hcl += `      no_group_hosts = ${definition.no_group_hosts}\n`;
-        if (definition.scope && Array.isArray(definition.scope)) {
-            hcl += `      scope = ${JSON.stringify(definition.scope)}\n`;
-        }
-        hcl += `    }\n`;
-        return hcl;
-    }
+            // Display the result
+            this.displayOutput(output);
+            this.displayDiagnostics(diagnostics);
+            this.enableOutputButtons();
+            const kind = this.getResourceKind(resourceType);
+            this.displaySuccess(`✅ ${kind.charAt(0).toUpperCase()}${kind.slice(1)} converted successfully!`);
 
-    generateServiceMapWidgetHCL(definition) {
-        let hcl = `    service_map_definition {\n`;
-        if (definition.title) hcl += `      title = ${this.escapeHCLString(definition.title)}\n`;
-        if (definition.service) hcl += `      service = ${this.escapeHCLString(definition.service)}\n`;
-        if (definition.env) hcl += `      env = ${this.escapeHCLString(definition.env)}\n`;
-        if (definition.filters && Array.isArray(definition.filters)) {
-            hcl += `      filters = ${JSON.stringify(definition.filters)}\n`;
-        }
-        hcl += `    }\n`;
-        return hcl;
-    }
+            // Track successful conversion
+            this.trackConversion('success');
 
-    generateLogStreamWidgetHCL(definition) {
-        let hcl = `    log_stream_definition {\n`;
-        if (definition.title) hcl += `      title = ${this.escapeHCLString(definition.title)}\n`;
-        if (definition.query) hcl += `      query = ${this.escapeHCLString(definition.query)}\n`;
-        if (definition.logset) hcl += `      logset = ${this.escapeHCLString(definition.logset)}\n`;
-        if (definition.columns && Array.isArray(definition.columns)) {
-            hcl += `      columns = ${JSON.stringify(definition.columns)}\n`;
-        }
-        if (definition.indexes && Array.isArray(definition.indexes)) {
-            hcl += `      indexes = ${JSON.stringify(definition.indexes)}\n`;
-        }
-        if (definition.message_display) hcl += `      message_display = "${definition.message_display}"\n`;
-        if (definition.show_date_column !== undefined) hcl += `      show_date_column = ${definition.show_date_column}\n`;
-        if (definition.show_message_column !== undefined) hcl += `      show_message_column = ${definition.show_message_column}\n`;
-        if (definition.sort) {
-            hcl += `      sort {\n`;
-            if (definition.sort.column) hcl += `        column = "${definition.sort.column}"\n`;
-            if (definition.sort.order) hcl += `        order = "${definition.sort.order}"\n`;
-            hcl += `      }\n`;
-        }
-        hcl += `    }\n`;
-        return hcl;
-    }
-
-    generateTraceServiceWidgetHCL(definition) {
-        let hcl = `    trace_service_definition {\n`;
-        if (definition.title) hcl += `      title = ${this.escapeHCLString(definition.title)}\n`;
-        if (definition.service) hcl += `      service = ${this.escapeHCLString(definition.service)}\n`;
-        if (definition.env) hcl += `      env = ${this.escapeHCLString(definition.env)}\n`;
-        if (definition.span_name) hcl += `      span_name = ${this.escapeHCLString(definition.span_name)}\n`;
-        if (definition.show_hits !== undefined) hcl += `      show_hits = ${definition.show_hits}\n`;
-        if (definition.show_errors !== undefined) hcl += `      show_errors = ${definition.show_errors}\n`;
-        if (definition.show_latency !== undefined) hcl += `      show_latency = ${definition.show_latency}\n`;
-        if (definition.show_breakdown !== undefined) hcl += `      show_breakdown = ${definition.show_breakdown}\n`;
-        if (definition.show_distribution !== undefined) hcl += `      show_distribution = ${definition.show_distribution}\n`;
-        if (definition.show_resource_list !== undefined) hcl += `      show_resource_list = ${definition.show_resource_list}\n`;
-        if (definition.size_format) hcl += `      size_format = "${definition.size_format}"\n`;
-        if (definition.display_format) hcl += `      display_format = "${definition.display_format}"\n`;
-        hcl += `    }\n`;
-        return hcl;
-    }
-
-    generateIframeWidgetHCL(definition) {
-        let hcl = `    iframe_definition {\n`;
-        if (definition.url) hcl += `      url = ${this.escapeHCLString(definition.url)}\n`;
-        hcl += `    }\n`;
-        return hcl;
-    }
-
-    generateImageWidgetHCL(definition) {
-        let hcl = `    image_definition {\n`;
-        if (definition.url) hcl += `      url = ${this.escapeHCLString(definition.url)}\n`;
-        if (definition.url_dark_theme) hcl += `      url_dark_theme = ${this.escapeHCLString(definition.url_dark_theme)}\n`;
-        if (definition.sizing) hcl += `      sizing = "${definition.sizing}"\n`;
-        if (definition.margin) hcl += `      margin = "${definition.margin}"\n`;
-        if (definition.has_background !== undefined) hcl += `      has_background = ${definition.has_background}\n`;
-        if (definition.has_border !== undefined) hcl += `      has_border = ${definition.has_border}\n`;
-        if (definition.horizontal_align) hcl += `      horizontal_align = "${definition.horizontal_align}"\n`;
-        if (definition.vertical_align) hcl += `      vertical_align = "${definition.vertical_align}"\n`;
-        hcl += `    }\n`;
-        return hcl;
-    }
-
-    generateFreeTextWidgetHCL(definition) {
-        let hcl = `    free_text_definition {\n`;
-        if (definition.text) hcl += `      text = ${this.escapeHCLString(definition.text)}\n`;
-        if (definition.color) hcl += `      color = "${definition.color}"\n`;
-        if (definition.font_size) hcl += `      font_size = "${definition.font_size}"\n`;
-        if (definition.text_align) hcl += `      text_align = "${definition.text_align}"\n`;
-        hcl += `    }\n`;
-        return hcl;
-    }
-
-    generateAlertGraphWidgetHCL(definition) {
-        let hcl = `    alert_graph_definition {\n`;
-        if (definition.title) hcl += `      title = ${this.escapeHCLString(definition.title)}\n`;
-        if (definition.alert_id) hcl += `      alert_id = "${definition.alert_id}"\n`;
-        if (definition.viz_type) hcl += `      viz_type = "${definition.viz_type}"\n`;
-        hcl += `    }\n`;
-        return hcl;
-    }
-
-    generateAlertValueWidgetHCL(definition) {
-        let hcl = `    alert_value_definition {\n`;
-        if (definition.title) hcl += `      title = ${this.escapeHCLString(definition.title)}\n`;
-        if (definition.alert_id) hcl += `      alert_id = "${definition.alert_id}"\n`;
-        if (definition.precision !== undefined) hcl += `      precision = ${definition.precision}\n`;
-        if (definition.unit) hcl += `      unit = "${definition.unit}"\n`;
-        if (definition.text_align) hcl += `      text_align = "${definition.text_align}"\n`;
-        hcl += `    }\n`;
-        return hcl;
-    }
-
-    generateChangeWidgetHCL(definition) {
-        let hcl = `    change_definition {\n`;
-        if (definition.title) hcl += `      title = ${this.escapeHCLString(definition.title)}\n`;
-        if (definition.requests && Array.isArray(definition.requests) && definition.requests.length > 0) {
-            definition.requests.forEach((request, index) => {
-                // Only create request block if it has meaningful content
-                if (request.q || request.queries || (request.formulas && request.formulas.length > 0)) {
-                    hcl += `\n      request {\n`;
-                    if (request.q) hcl += `        q = ${this.escapeHCLString(request.q)}\n`;
-                    if (request.change_type) hcl += `        change_type = "${request.change_type}"\n`;
-                    if (request.compare_to) hcl += `        compare_to = "${request.compare_to}"\n`;
-                    if (request.increase_good !== undefined) hcl += `        increase_good = ${request.increase_good}\n`;
-                    if (request.order_by) hcl += `        order_by = "${request.order_by}"\n`;
-                    if (request.order_dir) hcl += `        order_dir = "${request.order_dir}"\n`;
-                    if (request.show_present !== undefined) hcl += `        show_present = ${request.show_present}\n`;
-                    hcl += `      }\n`;
-                }
-            });
-        }
-        hcl += `    }\n`;
-        return hcl;
-    }
-
-    generateEventStreamWidgetHCL(definition) {
-        let hcl = `    event_stream_definition {\n`;
-        if (definition.title) hcl += `      title = ${this.escapeHCLString(definition.title)}\n`;
-        if (definition.query) hcl += `      query = ${this.escapeHCLString(definition.query)}\n`;
-        if (definition.event_size) hcl += `      event_size = "${definition.event_size}"\n`;
-        if (definition.tags_execution) hcl += `      tags_execution = "${definition.tags_execution}"\n`;
-        hcl += `    }\n`;
-        return hcl;
-    }
-
-    generateEventTimelineWidgetHCL(definition) {
-        let hcl = `    event_timeline_definition {\n`;
-        if (definition.title) hcl += `      title = ${this.escapeHCLString(definition.title)}\n`;
-        if (definition.query) hcl += `      query = ${this.escapeHCLString(definition.query)}\n`;
-        if (definition.tags_execution) hcl += `      tags_execution = "${definition.tags_execution}"\n`;
-        hcl += `    }\n`;
-        return hcl;
-    }
-
-    generateSLOWidgetHCL(definition) {
-        let hcl = `    service_level_objective_definition {\n`;
-        if (definition.title) hcl += `      title = ${this.escapeHCLString(definition.title)}\n`;
-        if (definition.view_type) hcl += `      view_type = "${definition.view_type}"\n`;
-        if (definition.slo_id) hcl += `      slo_id = "${definition.slo_id}"\n`;
-        if (definition.show_error_budget !== undefined) hcl += `      show_error_budget = ${definition.show_error_budget}\n`;
-        if (definition.view_mode) hcl += `      view_mode = "${definition.view_mode}"\n`;
-        if (definition.time_windows && Array.isArray(definition.time_windows)) {
-            hcl += `      time_windows = ${JSON.stringify(definition.time_windows)}\n`;
-        }
-        if (definition.global_time_target) hcl += `      global_time_target = "${definition.global_time_target}"\n`;
-        hcl += `    }\n`;
-        return hcl;
-    }
-
-    generateMonitorSummaryWidgetHCL(definition) {
-        let hcl = `    monitor_summary_definition {\n`;
-        if (definition.title) hcl += `      title = ${this.escapeHCLString(definition.title)}\n`;
-        if (definition.query) hcl += `      query = ${this.escapeHCLString(definition.query)}\n`;
-        if (definition.summary_type) hcl += `      summary_type = "${definition.summary_type}"\n`;
-        if (definition.sort) hcl += `      sort = "${definition.sort}"\n`;
-        if (definition.display_format) hcl += `      display_format = "${definition.display_format}"\n`;
-        if (definition.color_preference) hcl += `      color_preference = "${definition.color_preference}"\n`;
-        if (definition.hide_zero_counts !== undefined) hcl += `      hide_zero_counts = ${definition.hide_zero_counts}\n`;
-        if (definition.show_last_triggered !== undefined) hcl += `      show_last_triggered = ${definition.show_last_triggered}\n`;
-        hcl += `    }\n`;
-        return hcl;
-    }
-
-    generateManageStatusWidgetHCL(definition) {
-        let hcl = `    manage_status_definition {\n`;
-        if (definition.title) hcl += `      title = ${this.escapeHCLString(definition.title)}\n`;
-        if (definition.summary_type) hcl += `      summary_type = "${definition.summary_type}"\n`;
-        if (definition.display_format) hcl += `      display_format = "${definition.display_format}"\n`;
-        if (definition.color_preference) hcl += `      color_preference = "${definition.color_preference}"\n`;
-        if (definition.hide_zero_counts !== undefined) hcl += `      hide_zero_counts = ${definition.hide_zero_counts}\n`;
-        if (definition.query) hcl += `      query = ${this.escapeHCLString(definition.query)}\n`;
-        if (definition.sort) hcl += `      sort = "${definition.sort}"\n`;
-        hcl += `    }\n`;
-        return hcl;
-    }
-
-    generateGeomapWidgetHCL(definition) {
-        let hcl = `    geomap_definition {\n`;
-
-        if (definition.title) {
-            hcl += `      title       = ${this.escapeHCLString(definition.title)}\n`;
-        }
+        } catch (error) {
+            console.error('Processing error:', error);
 
-        if (definition.title_size) {
-            hcl += `      title_size  = "${definition.title_size}"\n`;
-        }
+            // Display detailed error message
+            const errorMessage = this.getDetailedErrorMessage(error);
+            this.displayError(errorMessage);
+            this.clearOutput();
+            this.clearDiagnostics();
+            this.disableOutputButtons();
 
-        if (definition.title_align) {
-            hcl += `      title_align = "${definition.title_align}"\n`;
+            // Track failed conversion
+            this.trackConversion('error', error.message);
         }
+    }
 
-        if (definition.live_span) {
-            hcl += `      live_span = "${definition.live_span}"\n`;
-        }
+    processHCLInput(input) {
+        const { dashboard, warnings } = new DatadogReverseConverter(this).convert(input);
 
-        // Add requests only if they exist and have content
-        if (definition.requests && Array.isArray(definition.requests) && definition.requests.length > 0) {
-            definition.requests.forEach((request, index) => {
-                // Only create request block if it has meaningful content
-                if (request.queries || request.q || request.formulas) {
-                    hcl += `\n      request {\n`;
-
-                    // Handle log-based queries
-                    if (request.queries && Array.isArray(request.queries)) {
-                        request.queries.forEach((query, queryIndex) => {
-                            hcl += `        log_query {\n`;
-                            if (query.name) hcl += `          name = "${query.name}"\n`;
-                            if (query.data_source) hcl += `          data_source = "${query.data_source}"\n`;
-
-                            if (query.search && query.search.query) {
-                                hcl += `          search {\n`;
-                                hcl += `            query = ${this.escapeHCLString(query.search.query)}\n`;
-                                hcl += `          }\n`;
-                            }
-
-                            if (query.indexes && Array.isArray(query.indexes)) {
-                                hcl += `          indexes = ${JSON.stringify(query.indexes)}\n`;
-                            }
-
-                            if (query.group_by && Array.isArray(query.group_by)) {
-                                query.group_by.forEach((group, groupIndex) => {
-                                    hcl += `          group_by {\n`;
-                                    if (group.facet) hcl += `            facet = ${this.escapeHCLString(group.facet)}\n`;
-                                    if (group.limit) hcl += `            limit = ${group.limit}\n`;
-                                    if (group.sort) {
-                                        hcl += `            sort {\n`;
-                                        if (group.sort.aggregation) hcl += `              aggregation = "${group.sort.aggregation}"\n`;
-                                        if (group.sort.order) hcl += `              order = "${group.sort.order}"\n`;
-                                        hcl += `            }\n`;
-                                    }
-                                    hcl += `          }\n`;
-                                });
-                            }
-
-                            if (query.compute && query.compute.aggregation) {
-                                hcl += `          compute {\n`;
-                                hcl += `            aggregation = "${query.compute.aggregation}"\n`;
-                                hcl += `          }\n`;
-                            }
-
-                            hcl += `        }\n`;
-                        });
-                    }
+        this.displayOutput(JSON.stringify(dashboard, null, 2));
+        this.displayDiagnostics(warnings.map(message => ({ severity: 'warning', path: '', widgetIndex: null, widgetId: null, message })));
+        this.enableOutputButtons();
+        this.displaySuccess('✅ HCL converted to dashboard JSON!');
 
-                    // Handle formulas
-                    if (request.formulas && Array.isArray(request.formulas)) {
-                        request.formulas.forEach((formula, formulaIndex) => {
-                            hcl += `        formula {\n`;
-                            if (formula.formula) hcl += `          formula_expression = ${this.escapeHCLString(formula.formula)}\n`;
-                            hcl += `        }\n`;
-                        });
-                    }
+        this.trackConversion('success');
+    }
 
-                    // Handle response format
-                    if (request.response_format) {
-                        hcl += `        response_format = "${request.response_format}"\n`;
-                    }
+    // Conversion direction
+    isReverse() {
+        return this.direction === 'hcl-to-json';
+    }
 
-                    hcl += `      }\n`;
-                }
-            });
-        }
+    toggleDirection() {
+        this.setDirection(this.isReverse() ? 'json-to-hcl' : 'hcl-to-json');
+        this.trackAction('toggle_direction', this.direction);
+    }
 
-        // Add style configuration
-        if (definition.style) {
-            hcl += `\n      style {\n`;
-            if (definition.style.palette) hcl += `        palette = "${definition.style.palette}"\n`;
-            if (definition.style.palette_flip !== undefined) hcl += `        palette_flip = ${definition.style.palette_flip}\n`;
-            hcl += `      }\n`;
-        }
+    setDirection(direction) {
+        this.direction = direction;
+        const reverse = this.isReverse();
 
-        // Add view configuration
-        if (definition.view) {
-            hcl += `\n      view {\n`;
-            if (definition.view.focus) hcl += `        focus = "${definition.view.focus}"\n`;
-            hcl += `      }\n`;
-        }
+        this.directionBtn.textContent = reverse ? '🔁 JSON → HCL' : '🔁 HCL → JSON';
+        this.jsonInput.placeholder = reverse
+            ? 'Paste a Terraform datadog_dashboard resource here or drop a .tf file...'
+            : 'Paste your Datadog dashboard, monitor or SLO JSON here or drop .json files (or a .zip of exports)...';
+        this.jsonInput.setAttribute('aria-label', reverse ? 'Terraform HCL input' : 'Datadog JSON input');
+        this.fileInput.accept = reverse ? '.tf' : '.json,.zip';
+        this.fileInput.multiple = !reverse;
+        this.outputFormatSelect.disabled = reverse;
+        this.resourceModeSelect.disabled = reverse;
 
-        hcl += `    }\n`;
-        return hcl;
+        this.clearInput();
     }
 
-    generateResourceName(title, preserveOriginalNamingConvention = false) {
-        if (preserveOriginalNamingConvention) {
-            // Preserve original naming convention (uppercase with underscores)
-            return title
-                .replace(/[^a-zA-Z0-9_]/g, '_')
-                .replace(/_+/g, '_')
-                .replace(/^_|_$/g, '')
-                .substring(0, 50) || 'Imported_Dashboard';
-        } else {
-            // Standard convention (lowercase with underscores)
-            return title
-                .toLowerCase()
-                .replace(/[^a-z0-9_]/g, '_')
-                .replace(/_+/g, '_')
-                .replace(/^_|_$/g, '')
-                .substring(0, 50) || 'imported_dashboard';
-        }
+    getOutputFormat() {
+        return this.isReverse() ? 'JSON' : DatadogOutputFormats.get(this.getOutputFormatName()).label;
     }
 
-    escapeHCLString(str) {
-        if (typeof str !== 'string') return `"${str}"`;
-
-        // Escape special characters for HCL
-        const escaped = str
-            .replace(/\\/g, '\\\\')
-            .replace(/"/g, '\\"')
-            .replace(/\n/g, '\\n')
-            .replace(/\r/g, '\\r')
-            .replace(/\t/g, '\\t');
-
-        return `"${escaped}"`;
+    getDetailedErrorMessage(error) {
+        if (error instanceof SyntaxError) {
+            const match = error.message.match(/position (\d+)/);
+            if (match) {
+                const position = parseInt(match[1]);
+                const lines = this.jsonInput.value.substring(0, position).split('\n');
+                const line = lines.length;
+                const column = lines[lines.length - 1].length + 1;
+                return `Invalid JSON at line ${line}, column ${column}: ${error.message}`;
+            }
+            return `Invalid JSON: ${error.message}`;
+        }
+        return `Error: ${error.message}`;
     }
 
     displayOutput(hcl) {
@@ -1503,7 +488,8 @@ class DatadogHCLGenerator {
     }
 
     clearOutput() {
-        this.hclOutput.innerHTML = '<code>// Generated Terraform HCL will appear here...</code>';
+        const placeholder = this.isReverse() ? '// Dashboard JSON will appear here...' : `// Generated ${this.getOutputFormat()} will appear here...`;
+        this.hclOutput.innerHTML = `<code>${placeholder}</code>`;
     }
 
     clearMessages() {
@@ -1513,7 +499,9 @@ class DatadogHCLGenerator {
 
     clearInput() {
         this.jsonInput.value = '';
+        this.resetBatch();
         this.clearOutput();
+        this.clearDiagnostics();
         this.clearMessages();
         this.clearValidationResults();
         this.disableOutputButtons();
@@ -1524,28 +512,186 @@ class DatadogHCLGenerator {
         this.copyBtn.disabled = false;
         this.downloadBtn.disabled = false;
         if (this.validateBtn) {
-            this.validateBtn.disabled = false;
+            // HCL validation does not apply to JSON output; batches are
+            // validated from the displayed output, which must be HCL
+            this.validateBtn.disabled = this.isReverse() || (this.batchResult !== null && this.getOutputFormatName() !== 'hcl');
         }
+        // The fidelity report, parameterization and module export work on a
+        // single input dashboard converted to datadog_dashboard
+        const dashboardResource = Boolean(this.lastDashboardData) && this.lastResourceType === DatadogHCLConverter.DASHBOARD_RESOURCE;
+        this.fidelityBtn.disabled = !dashboardResource;
+        this.parameterizeBtn.disabled = !dashboardResource;
+        this.moduleBtn.disabled = !dashboardResource;
     }
 
     disableOutputButtons() {
         this.copyBtn.disabled = true;
         this.downloadBtn.disabled = true;
+        this.fidelityBtn.disabled = true;
+        this.parameterizeBtn.disabled = true;
+        this.moduleBtn.disabled = true;
         if (this.validateBtn) {
             this.validateBtn.disabled = true;
         }
     }
 
+    // Diagnostics panel
+    displayDiagnostics(diagnostics) {
+        this.currentDiagnostics = diagnostics;
+
+        ['all', 'error', 'warning', 'info'].forEach(severity => {
+            const count = severity === 'all'
+                ? diagnostics.length
+                : diagnostics.filter(diagnostic => diagnostic.severity === severity).length;
+            const countElement = this.diagnosticsPanel.querySelector(`[data-count="${severity}"]`);
+            if (countElement) {
+                countElement.textContent = count;
+            }
+        });
+
+        this.diagnosticsPanel.hidden = diagnostics.length === 0;
+        this.renderDiagnostics();
+    }
+
+    clearDiagnostics() {
+        this.displayDiagnostics([]);
+    }
+
+    setDiagnosticsFilter(severity) {
+        this.diagnosticsFilter = severity;
+        this.diagnosticsPanel.querySelectorAll('.diagnostics-filter').forEach(button => {
+            button.classList.toggle('active', button.dataset.severity === severity);
+        });
+        this.renderDiagnostics();
+        this.trackAction('diagnostics_filter', severity);
+    }
+
+    renderDiagnostics() {
+        const icons = { error: '❌', warning: '⚠️', info: 'ℹ️' };
+        const visible = this.currentDiagnostics.filter(diagnostic =>
+            this.diagnosticsFilter === 'all' || diagnostic.severity === this.diagnosticsFilter
+        );
+
+        if (visible.length === 0) {
+            this.diagnosticsList.innerHTML = '<li class="diagnostic">Nothing to show for this filter</li>';
+            return;
+        }
+
+        this.diagnosticsList.innerHTML = visible.map(diagnostic => {
+            const widget = diagnostic.widgetIndex !== null
+                ? `Widget #${diagnostic.widgetIndex + 1}${diagnostic.widgetId !== null ? ` (id ${diagnostic.widgetId})` : ''} · `
+                : '';
+            const location = diagnostic.path ? `<span class="diagnostic-location">${widget}${this.escapeHtml(diagnostic.path)}</span>` : '';
+            return `
+                <li class="diagnostic diagnostic-${diagnostic.severity}">
+                    <span class="diagnostic-icon">${icons[diagnostic.severity] || '•'}</span>
+                    <span class="diagnostic-body">
+                        <span class="diagnostic-message">${this.escapeHtml(diagnostic.message)}</span>
+                        ${location}
+                    </span>
+                </li>
+            `;
+        }).join('');
+    }
+
     // File handling
     handleFileSelect(event) {
-        const file = event.target.files[0];
-        if (file) {
-            this.processFile(file);
+        const files = Array.from(event.target.files);
+        if (files.length > 0) {
+            this.processFiles(files);
+        }
+    }
+
+    isZipFile(file) {
+        return file.type.includes('zip') || file.name.toLowerCase().endsWith('.zip');
+    }
+
+    processFiles(files) {
+        if (this.isReverse() && (files.length > 1 || this.isZipFile(files[0]))) {
+            this.displayError('HCL → JSON converts one .tf file at a time');
+            return;
+        }
+
+        // A single JSON file keeps the interactive editor flow; anything else is a batch
+        if (files.length === 1 && !this.isZipFile(files[0])) {
+            this.processFile(files[0]);
+        } else {
+            this.processBatch(files);
+        }
+    }
+
+    async processBatch(files) {
+        if (files.some(file => file.size > 50 * 1024 * 1024)) { // 50MB limit
+            this.displayError('File too large. Please select files smaller than 50MB');
+            return;
         }
+
+        try {
+            await this.configurationLoaded;
+            this.clearMessages();
+            this.clearValidationResults();
+
+            const loaded = await Promise.all(files.map(async file => ({
+                name: file.name,
+                content: this.isZipFile(file) ? new Uint8Array(await file.arrayBuffer()) : await file.text()
+            })));
+
+            const dashboards = await DatadogBatchConverter.collectFiles(loaded);
+            if (dashboards.length === 0) {
+                throw new Error('No dashboard JSON files found');
+            }
+
+            const batchConverter = new DatadogBatchConverter(this);
+            const { dashboardJson, templateVariableLocals } = this.getConvertOptions();
+            const batch = batchConverter.convertAll(dashboards, { format: this.getOutputFormatName(), dashboardJson, templateVariableLocals });
+
+            this.jsonInput.value = '';
+            this.lastDashboardData = null;
+            this.batchResult = batch;
+            this.downloadBtn.textContent = '💾 Download .zip';
+            this.displayOutput(batchConverter.combineHCL(batch));
+            this.displayDiagnostics(batch.results.flatMap(result => [
+                ...(result.error ? [{ severity: 'error', path: result.file, widgetIndex: null, widgetId: null, message: result.error }] : []),
+                ...result.warnings.map(message => ({ severity: 'warning', path: result.file, widgetIndex: null, widgetId: null, message }))
+            ]));
+
+            if (batch.summary.succeeded > 0) {
+                this.enableOutputButtons();
+            } else {
+                this.disableOutputButtons();
+            }
+
+            const { summary } = batch;
+            const message = `Converted ${summary.succeeded} of ${summary.total} dashboards`;
+            if (summary.failed + summary.invalid > 0) {
+                this.displayError(`⚠️ ${message} - ${summary.failed + summary.invalid} failed, see the report at the top of the output`);
+            } else {
+                this.displaySuccess(`✅ ${message} (${summary.warnings} warnings)`);
+            }
+
+            this.trackConversion(summary.failed > 0 ? 'error' : 'success');
+        } catch (error) {
+            console.error('Batch processing error:', error);
+            this.resetBatch();
+            this.displayError(`Batch conversion failed: ${error.message}`);
+            this.trackConversion('error', error.message);
+        }
+    }
+
+    resetBatch() {
+        this.batchResult = null;
+        this.lastDashboardData = null;
+        this.currentHCL = null;
+        this.downloadBtn.textContent = this.isReverse() ? '💾 Download .json' : `💾 Download ${DatadogOutputFormats.get(this.getOutputFormatName()).extension}`;
     }
 
     processFile(file) {
-        if (!file.type.includes('json') && !file.name.endsWith('.json')) {
+        if (this.isReverse()) {
+            if (!file.name.endsWith('.tf')) {
+                this.displayError('Please select a Terraform .tf file');
+                return;
+            }
+        } else if (!file.type.includes('json') && !file.name.endsWith('.json')) {
             this.displayError('Please select a JSON file');
             return;
         }
@@ -1589,15 +735,15 @@ class DatadogHCLGenerator {
         event.preventDefault();
         this.dropZone.classList.remove('drag-over');
 
-        const files = Array.from(event.dataTransfer.files);
-        const jsonFile = files.find(file =>
-            file.type.includes('json') || file.name.endsWith('.json')
+        const files = Array.from(event.dataTransfer.files).filter(file => this.isReverse()
+            ? file.name.endsWith('.tf')
+            : file.type.includes('json') || file.name.endsWith('.json') || this.isZipFile(file)
         );
 
-        if (jsonFile) {
-            this.processFile(jsonFile);
+        if (files.length > 0) {
+            this.processFiles(files);
         } else {
-            this.displayError('Please drop a JSON file');
+            this.displayError(this.isReverse() ? 'Please drop a .tf file' : 'Please drop JSON or zip files');
         }
     }
 
@@ -1607,7 +753,7 @@ class DatadogHCLGenerator {
 
         try {
             await navigator.clipboard.writeText(hclText);
-            this.displaySuccess('HCL copied to clipboard!');
+            this.displaySuccess(`${this.getOutputFormat()} copied to clipboard!`);
             this.trackAction('copy');
         } catch (error) {
             // Fallback for older browsers
@@ -1628,7 +774,7 @@ class DatadogHCLGenerator {
 
         try {
             document.execCommand('copy');
-            this.displaySuccess('HCL copied to clipboard!');
+            this.displaySuccess(`${this.getOutputFormat()} copied to clipboard!`);
             this.trackAction('copy_fallback');
         } catch (error) {
             this.displayError('Failed to copy to clipboard');
@@ -1638,13 +784,39 @@ class DatadogHCLGenerator {
     }
 
     downloadFile() {
+        if (this.batchResult) {
+            this.downloadBatchArchive();
+            return;
+        }
+
         const hclText = this.hclOutput.textContent;
-        const blob = new Blob([hclText], { type: 'text/plain' });
+        if (this.isReverse()) {
+            this.saveBlob(new Blob([hclText], { type: 'application/json' }), 'datadog-dashboard.json');
+        } else {
+            const format = DatadogOutputFormats.get(this.getOutputFormatName());
+            this.saveBlob(new Blob([hclText], { type: format.mimeType }), `datadog-dashboard${format.extension}`);
+        }
+        this.displaySuccess(`${this.getOutputFormat()} file downloaded!`);
+        this.trackAction('download');
+    }
+
+    downloadBatchArchive() {
+        const archive = new DatadogBatchConverter(this).createArchive(this.batchResult, {
+            importBlocks: this.generateImports,
+            importScript: this.generateImports
+        });
+        const blob = new Blob([archive], { type: 'application/zip' });
+        this.saveBlob(blob, 'datadog-dashboards.zip');
+        this.displaySuccess('Zip of converted dashboards downloaded!');
+        this.trackAction('download_batch');
+    }
+
+    saveBlob(blob, fileName) {
         const url = URL.createObjectURL(blob);
 
         const a = document.createElement('a');
         a.href = url;
-        a.download = 'datadog-dashboard.tf';
+        a.download = fileName;
         a.style.display = 'none';
 
         document.body.appendChild(a);
@@ -1652,8 +824,6 @@ class DatadogHCLGenerator {
         document.body.removeChild(a);
 
         URL.revokeObjectURL(url);
-        this.displaySuccess('HCL file downloaded!');
-        this.trackAction('download');
     }
 
     // Theme handling
@@ -1673,7 +843,7 @@ class DatadogHCLGenerator {
 
     // Event handlers
     handleBeforeUnload(event) {
-        const hasContent = this.jsonInput.value.trim().length > 0;
+        const hasContent = this.jsonInput.value.trim().length > 0 || Boolean(this.batchResult);
         if (hasContent) {
             event.preventDefault();
             event.returnValue = '';
@@ -1699,7 +869,7 @@ class DatadogHCLGenerator {
                     break;
                 case 'v':
                     // Ctrl+V for validate (when not in input field to avoid conflict with paste)
-                    if (event.target !== this.jsonInput && !this.copyBtn.disabled) {
+                    if (event.target !== this.jsonInput && !this.copyBtn.disabled && !this.isReverse()) {
                         event.preventDefault();
                         this.validateHCL();
                         this.trackAction('keyboard_validate');
@@ -1768,6 +938,20 @@ class DatadogHCLGenerator {
         return this.version;
     }
 
+    // window.datadogHCLGenerator.registerWidgetRenderer('timeseries', (definition, context) => ..., { compose: true })
+    registerWidgetRenderer(widgetType, renderer, options) {
+        super.registerWidgetRenderer(widgetType, renderer, options);
+        this.refreshConversion();
+    }
+
+    unregisterWidgetRenderer(widgetType) {
+        const removed = super.unregisterWidgetRenderer(widgetType);
+        if (removed) {
+            this.refreshConversion();
+        }
+        return removed;
+    }
+
     getStats() {
         return {
             version: this.version,
@@ -1781,46 +965,10 @@ class DatadogHCLGenerator {
         // Create validation UI elements
         this.createValidationUI();
 
-        // Initialize validation patterns
-        this.validationPatterns = {
-            // Basic HCL syntax patterns
-            validResourceName: /^[a-zA-Z][a-zA-Z0-9_-]*$/,
-            validIdentifier: /^[a-zA-Z_][a-zA-Z0-9_]*$/,
-            validStringLiteral: /^"([^"\\]|\\.)*"$/,
-            validNumber: /^-?\d+(\.\d+)?$/,
-            validBoolean: /^(true|false)$/,
-
-            // Terraform-specific patterns
-            validResourceType: /^[a-z]+_[a-z_]+$/,
-            validDataSource: /^data\.[a-z]+_[a-z_]+\.[a-zA-Z_][a-zA-Z0-9_]*$/,
-            validVariable: /^var\.[a-zA-Z_][a-zA-Z0-9_]*$/,
-            validLocal: /^local\.[a-zA-Z_][a-zA-Z0-9_]*$/,
-
-            // Datadog-specific patterns
-            validDashboardId: /^[a-z0-9-]{36}$|^[a-z0-9-]+$/,
-            validMetricQuery: /^[a-zA-Z0-9_\.\-\{\}\[\]\(\)\*\+\?\|\^$\\:,\s]+$/,
-            validColor: /^#[0-9a-fA-F]{6}$|^[a-zA-Z_]+$/,
-        };
-
-        // Common validation rules
-        this.validationRules = {
-            required_dashboard_fields: ['title', 'layout_type'],
-            valid_layout_types: ['ordered', 'free'],
-            valid_widget_types: [
-                'group', 'timeseries', 'query_value', 'note', 'toplist',
-                'scatterplot', 'heatmap', 'distribution', 'check_status',
-                'hostmap', 'service_map', 'log_stream', 'trace_service',
-                'iframe', 'image', 'free_text', 'alert_graph', 'alert_value',
-                'change', 'event_stream', 'event_timeline', 'slo',
-                'monitor_summary', 'manage_status', 'geomap'
-            ],
-            valid_display_types: ['line', 'area', 'bars'],
-            valid_aggregators: ['avg', 'max', 'min', 'sum', 'last'],
-            valid_comparators: ['>', '<', '>=', '<=', '==', '!='],
-            valid_palettes: ['dog_classic', 'cool', 'warm', 'purple', 'orange', 'gray'],
-            valid_text_aligns: ['left', 'center', 'right'],
-            valid_font_sizes: ['14', '16', '18', '24', '36', '48', '60'],
-        };
+        // Keep the rules from widget-config.json; only fill in when nothing was loaded
+        if (!this.validationRules) {
+            this.validationRules = this.getDefaultValidationRules();
+        }
     }
 
     async initializeWidgetMappings() {
@@ -1834,154 +982,19 @@ class DatadogHCLGenerator {
             const config = await response.json();
             console.log(`Loaded widget configuration v${config.version}`);
 
-            // Set configuration properties
-            this.widgetMappings = {
-                layout: config.layout,
-                widgets: config.widgets,
-                requestStructures: config.requestStructures,
-                styles: config.styleBlocks
-            };
-
-            // Set validation rules
-            this.validationRules = config.validationRules;
+            // Hand the configuration to the shared conversion core
+            const widgetCount = this.loadConfiguration(config);
+            this.updateProviderVersionOptions();
 
             // Log successful configuration load
-            const widgetCount = Object.keys(config.widgets).length;
             console.log(`✅ Loaded ${widgetCount} widget configurations with modern Terraform syntax support`);
 
-        } catch (error) {
-            console.error('Failed to load widget configuration, falling back to embedded config:', error);
-
-            // Fallback to minimal embedded configuration
-            this.initializeFallbackConfiguration();
-        }
-    }
-
-    initializeFallbackConfiguration() {
-        console.warn('Using fallback configuration - some features may be limited');
-
-        // Minimal fallback configuration
-        this.widgetMappings = {
-            layout: {
-                blockName: 'widget_layout',
-                properties: {
-                    x: 'x',
-                    y: 'y',
-                    width: 'width',
-                    height: 'height',
-                    is_column_break: 'is_column_break'
-                },
-                defaults: {
-                    is_column_break: false
-                }
-            },
-            widgets: {
-                timeseries: {
-                    blockName: 'timeseries_definition',
-                    commonProperties: ['title', 'title_size', 'title_align', 'live_span'],
-                    specificProperties: {
-                        show_legend: 'show_legend',
-                        legend_layout: 'legend_layout',
-                        legend_columns: 'legend_columns',
-                        legend_size: 'legend_size'
-                    },
-                    requestStructure: 'modern',
-                    features: {
-                        supportsYAxis: true,
-                        supportsEvents: true
-                    }
-                },
-                query_value: {
-                    blockName: 'query_value_definition',
-                    commonProperties: ['title', 'title_size', 'title_align', 'live_span'],
-                    specificProperties: {
-                        autoscale: 'autoscale',
-                        precision: 'precision',
-                        custom_unit: 'custom_unit',
-                        text_align: 'text_align'
-                    },
-                    requestStructure: 'modern',
-                    features: {
-                        supportsConditionalFormats: true
-                    }
-                },
-                note: {
-                    blockName: 'note_definition',
-                    commonProperties: [],
-                    specificProperties: {
-                        content: 'content',
-                        background_color: 'background_color',
-                        font_size: 'font_size',
-                        text_align: 'text_align',
-                        vertical_align: 'vertical_align',
-                        show_tick: 'show_tick',
-                        tick_pos: 'tick_pos',
-                        tick_edge: 'tick_edge',
-                        has_padding: 'has_padding'
-                    },
-                    requestStructure: 'none',
-                    features: {}
-                },
-                group: {
-                    blockName: 'group_definition',
-                    commonProperties: ['title', 'layout_type'],
-                    specificProperties: {
-                        background_color: 'background_color',
-                        banner_img: 'banner_img',
-                        show_title: 'show_title'
-                    },
-                    requestStructure: 'none',
-                    features: {
-                        hasNestedWidgets: true
-                    }
-                }
-            },
-            requestStructures: {
-                legacy: {
-                    queryProperty: 'q',
-                    supportsFormulas: false,
-                    supportsConditionalFormats: true
-                },
-                modern: {
-                    hasQueryBlock: true,
-                    supportsFormulas: true,
-                    supportsConditionalFormats: true,
-                    queryTypes: {
-                        metric_query: {
-                            properties: ['data_source', 'name', 'query', 'aggregator'],
-                            required: ['query']
-                        },
-                        log_query: {
-                            properties: ['data_source', 'name', 'search', 'indexes', 'group_by', 'compute'],
-                            required: ['search']
-                        }
-                    }
-                }
-            },
-            styles: {
-                conditional_formats: {
-                    properties: ['comparator', 'value', 'palette', 'hide_value']
-                },
-                style: {
-                    properties: ['palette', 'line_type', 'line_width']
-                },
-                formula: {
-                    properties: ['formula_expression', 'limit']
-                }
-            }
-        };
-
-        this.validationRules = {
-            required_dashboard_fields: ['title', 'layout_type'],
-            valid_layout_types: ['ordered', 'free'],
-            valid_widget_types: ['timeseries', 'query_value', 'note', 'group'],
-            valid_display_types: ['line', 'area', 'bars'],
-            valid_aggregators: ['avg', 'max', 'min', 'sum', 'last'],
-            valid_comparators: ['>', '<', '>=', '<=', '==', '!='],
-            valid_palettes: ['dog_classic', 'cool', 'warm', 'purple', 'orange', 'gray'],
-            valid_text_aligns: ['left', 'center', 'right'],
-            valid_font_sizes: ['14', '16', '18', '24', '36', '48', '60']
-        };
+        } catch (error) {
+            console.error('Failed to load widget configuration, falling back to embedded config:', error);
+
+            // Fallback to minimal embedded configuration
+            this.initializeFallbackConfiguration();
+        }
     }
 
     createValidationUI() {
@@ -2179,6 +1192,49 @@ class DatadogHCLGenerator {
             .validation-stat-icon.info { background: var(--info-color); }
             .validation-stat-icon.success { background: var(--success-color); }
 
+            .parameter-candidate {
+                display: flex;
+                align-items: flex-start;
+                gap: 0.75rem;
+            }
+
+            .parameter-candidate input[type="checkbox"] {
+                margin-top: 0.25rem;
+            }
+
+            .parameter-name {
+                font-family: var(--font-mono);
+                font-size: 0.9rem;
+                padding: 0.1rem 0.3rem;
+                border: 1px solid var(--border-color);
+                border-radius: 4px;
+                background: var(--surface-color);
+                color: inherit;
+            }
+
+            .parameter-actions {
+                display: flex;
+                gap: 0.5rem;
+                margin-top: 1rem;
+            }
+
+            .module-alias {
+                display: flex;
+                align-items: center;
+                gap: 0.5rem;
+                font-size: 0.9rem;
+            }
+
+            .parameter-variables {
+                margin: 0;
+                padding: 0.75rem;
+                border-radius: 4px;
+                background: var(--background-color);
+                font-family: var(--font-mono);
+                font-size: 0.85rem;
+                overflow-x: auto;
+            }
+
             /* Dark theme adjustments */
             [data-theme="dark"] .validation-panel {
                 border-color: var(--border-color-dark);
@@ -2192,7 +1248,7 @@ class DatadogHCLGenerator {
     }
 
     validateHCL() {
-        const hclContent = this.hclOutput.textContent;
+        const hclContent = this.currentHCL || this.hclOutput.textContent;
 
         if (!hclContent || hclContent.includes('Generated Terraform HCL will appear here')) {
             this.displayValidationError('No HCL content to validate. Please generate HCL first.');
@@ -2215,435 +1271,12 @@ class DatadogHCLGenerator {
         }
     }
 
-    performHCLValidation(hclContent) {
-        const issues = [];
-        const lines = hclContent.split('\n');
-
-        // 1. Basic syntax validation
-        this.validateBasicSyntax(lines, issues);
-
-        // 2. Terraform structure validation
-        this.validateTerraformStructure(hclContent, issues);
-
-        // 3. Datadog provider-specific validation
-        this.validateDatadogProvider(hclContent, issues);
-
-        // 4. Best practices validation
-        this.validateBestPractices(hclContent, issues);
-
-        // Calculate validation summary
-        const errors = issues.filter(issue => issue.severity === 'error');
-        const warnings = issues.filter(issue => issue.severity === 'warning');
-        const infos = issues.filter(issue => issue.severity === 'info');
-
-        return {
-            isValid: errors.length === 0,
-            issues: issues,
-            summary: {
-                errors: errors.length,
-                warnings: warnings.length,
-                infos: infos.length,
-                total: issues.length
-            }
-        };
-    }
-
-    validateBasicSyntax(lines, issues) {
-        let braceCount = 0;
-        let bracketCount = 0;
-        let parenCount = 0;
-        let inString = false;
-        let inComment = false;
-
-        lines.forEach((line, lineIndex) => {
-            const trimmedLine = line.trim();
-
-            // Skip empty lines and comments
-            if (!trimmedLine || trimmedLine.startsWith('#') || trimmedLine.startsWith('//')) {
-                return;
-            }
-
-            // Check for unclosed strings (basic check)
-            let quoteCount = 0;
-            for (let i = 0; i < line.length; i++) {
-                if (line[i] === '"' && (i === 0 || line[i-1] !== '\\')) {
-                    quoteCount++;
-                }
-            }
-            if (quoteCount % 2 !== 0) {
-                issues.push({
-                    severity: 'error',
-                    title: 'Unclosed string literal',
-                    description: 'String literal is not properly closed with matching quotes.',
-                    line: lineIndex + 1,
-                    location: `Line ${lineIndex + 1}`
-                });
-            }
-
-            // Count braces, brackets, and parentheses
-            for (const char of line) {
-                switch (char) {
-                    case '{': braceCount++; break;
-                    case '}': braceCount--; break;
-                    case '[': bracketCount++; break;
-                    case ']': bracketCount--; break;
-                    case '(': parenCount++; break;
-                    case ')': parenCount--; break;
-                }
-            }
-
-            // Check for invalid characters in identifiers
-            const identifierMatch = line.match(/^\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*=/);
-            if (identifierMatch) {
-                const identifier = identifierMatch[1];
-                if (!this.validationPatterns.validIdentifier.test(identifier)) {
-                    issues.push({
-                        severity: 'error',
-                        title: 'Invalid identifier',
-                        description: `Identifier "${identifier}" contains invalid characters. Identifiers must start with a letter or underscore and contain only letters, numbers, and underscores.`,
-                        line: lineIndex + 1,
-                        location: `Line ${lineIndex + 1}`
-                    });
-                }
-            }
-
-            // Improved check for potentially unquoted strings
-            // Skip this check for lines that contain valid HCL constructs
-            if (line.includes('=') && !line.includes('==') && !line.includes('!=') &&
-                !line.includes('<=') && !line.includes('>=')) {
-
-                // More sophisticated pattern to avoid false positives
-                // Skip if line contains JSON arrays, objects, or other valid constructs
-                const skipPatterns = [
-                    /=\s*\[/,           // JSON/HCL arrays: = [
-                    /=\s*\{/,           // JSON/HCL objects: = {
-                    /=\s*\$\{/,         // Terraform interpolation: = ${
-                    /=\s*var\./,        // Terraform variables: = var.
-                    /=\s*local\./,      // Terraform locals: = local.
-                    /=\s*data\./,       // Terraform data sources: = data.
-                    /=\s*resource\./,   // Terraform resources: = resource.
-                    /=\s*module\./,     // Terraform modules: = module.
-                    /=\s*true\s*$/,     // Boolean true
-                    /=\s*false\s*$/,    // Boolean false
-                    /=\s*null\s*$/,     // Null value
-                    /=\s*-?\d+(\.\d+)?\s*$/, // Numbers
-                    /=\s*"[^"]*"\s*$/,  // Already quoted strings
-                    /^\s*#/,            // Comments
-                    /^\s*\/\//          // Comments
-                ];
-
-                const shouldSkip = skipPatterns.some(pattern => pattern.test(line));
-
-                if (!shouldSkip) {
-                    // Look for assignment to unquoted values that might need quotes
-                    const assignmentMatch = line.match(/=\s*([^"'\s\[\{\$][^,\]\}]*[^,\]\}\s])/);
-                    if (assignmentMatch) {
-                        const value = assignmentMatch[1].trim();
-
-                        // Additional checks to avoid false positives
-                        const validUnquotedPatterns = [
-                            /^-?\d+(\.\d+)?$/,        // Numbers
-                            /^(true|false)$/,         // Booleans
-                            /^null$/,                 // Null
-                            /^[a-zA-Z_][a-zA-Z0-9_]*$/, // Valid identifiers
-                            /^\[.*\]$/,               // Arrays (basic check)
-                            /^\{.*\}$/,               // Objects (basic check)
-                            /^\$\{.*\}$/,             // Interpolations
-                            /^[a-zA-Z_][a-zA-Z0-9_]*\.[a-zA-Z_][a-zA-Z0-9_]*$/, // Resource references like datadog_dashboard.name
-                            /^var\.[a-zA-Z_][a-zA-Z0-9_]*$/, // Variable references
-                            /^local\.[a-zA-Z_][a-zA-Z0-9_]*$/, // Local references
-                            /^data\.[a-zA-Z_][a-zA-Z0-9_]*\.[a-zA-Z_][a-zA-Z0-9_]*$/, // Data source references
-                            /^module\.[a-zA-Z_][a-zA-Z0-9_]*\.[a-zA-Z_][a-zA-Z0-9_]*$/, // Module references
-                        ];
-
-                        const isValidUnquoted = validUnquotedPatterns.some(pattern => pattern.test(value));
-
-                        if (!isValidUnquoted && value.length > 0) {
-                            issues.push({
-                                severity: 'warning',
-                                title: 'Potentially unquoted string',
-                                description: `Value "${value}" might need to be quoted if it's a string literal. If this is intentional (e.g., a reference or expression), you can ignore this warning.`,
-                                line: lineIndex + 1,
-                                location: `Line ${lineIndex + 1}`
-                            });
-                        }
-                    }
-                }
-            }
-        });
-
-        // Check for unmatched braces, brackets, or parentheses
-        if (braceCount !== 0) {
-            issues.push({
-                severity: 'error',
-                title: 'Unmatched braces',
-                description: `Found ${Math.abs(braceCount)} unmatched ${braceCount > 0 ? 'opening' : 'closing'} braces.`,
-                location: 'Overall structure'
-            });
-        }
-
-        if (bracketCount !== 0) {
-            issues.push({
-                severity: 'error',
-                title: 'Unmatched brackets',
-                description: `Found ${Math.abs(bracketCount)} unmatched ${bracketCount > 0 ? 'opening' : 'closing'} brackets.`,
-                location: 'Overall structure'
-            });
-        }
-
-        if (parenCount !== 0) {
-            issues.push({
-                severity: 'error',
-                title: 'Unmatched parentheses',
-                description: `Found ${Math.abs(parenCount)} unmatched ${parenCount > 0 ? 'opening' : 'closing'} parentheses.`,
-                location: 'Overall structure'
-            });
-        }
-    }
-
-    validateTerraformStructure(hclContent, issues) {
-        // Check for required resource block
-        if (!hclContent.includes('resource "datadog_dashboard"')) {
-            issues.push({
-                severity: 'error',
-                title: 'Missing dashboard resource',
-                description: 'HCL must contain a datadog_dashboard resource block.',
-                location: 'Overall structure'
-            });
-            return;
-        }
-
-        // Import blocks are not needed for this tool - skipping validation
-
-        // Validate resource names
-        const resourceMatches = hclContent.match(/resource\s+"([^"]+)"\s+"([^"]+)"/g);
-        if (resourceMatches) {
-            resourceMatches.forEach(match => {
-                const parts = match.match(/resource\s+"([^"]+)"\s+"([^"]+)"/);
-                if (parts) {
-                    const resourceType = parts[1];
-                    const resourceName = parts[2];
-
-                    if (!this.validationPatterns.validResourceType.test(resourceType)) {
-                        issues.push({
-                            severity: 'error',
-                            title: 'Invalid resource type',
-                            description: `Resource type "${resourceType}" is not valid. Must be in format "provider_resource".`,
-                            location: `Resource: ${resourceType}.${resourceName}`
-                        });
-                    }
-
-                    if (!this.validationPatterns.validResourceName.test(resourceName)) {
-                        issues.push({
-                            severity: 'error',
-                            title: 'Invalid resource name',
-                            description: `Resource name "${resourceName}" is not valid. Must start with a letter and contain only letters, numbers, hyphens, and underscores.`,
-                            location: `Resource: ${resourceType}.${resourceName}`
-                        });
-                    }
-                }
-            });
-        }
-
-        // Check for duplicate resource names
-        const resourceNames = [];
-        const duplicateCheck = hclContent.match(/resource\s+"[^"]+"\s+"([^"]+)"/g);
-        if (duplicateCheck) {
-            duplicateCheck.forEach(match => {
-                const name = match.match(/resource\s+"[^"]+"\s+"([^"]+)"/)[1];
-                if (resourceNames.includes(name)) {
-                    issues.push({
-                        severity: 'error',
-                        title: 'Duplicate resource name',
-                        description: `Resource name "${name}" is used multiple times. Each resource must have a unique name.`,
-                        location: `Resource name: ${name}`
-                    });
-                } else {
-                    resourceNames.push(name);
-                }
-            });
-        }
-    }
-
-    validateDatadogProvider(hclContent, issues) {
-        // Check for required dashboard fields
-        if (this.validationRules && this.validationRules.required_dashboard_fields) {
-            this.validationRules.required_dashboard_fields.forEach(field => {
-                const fieldPattern = new RegExp(`${field}\\s*=`, 'i');
-                if (!fieldPattern.test(hclContent)) {
-                    issues.push({
-                        severity: 'error',
-                        title: `Missing required field: ${field}`,
-                        description: `Dashboard resource must include the "${field}" field.`,
-                        location: 'Dashboard resource'
-                    });
-                }
-            });
-        }
-
-        // Validate layout_type values
-        const layoutTypeMatch = hclContent.match(/layout_type\s*=\s*"([^"]+)"/);
-        if (layoutTypeMatch) {
-            const layoutType = layoutTypeMatch[1];
-            if (this.validationRules && this.validationRules.valid_layout_types &&
-                !this.validationRules.valid_layout_types.includes(layoutType)) {
-                issues.push({
-                    severity: 'error',
-                    title: 'Invalid layout_type',
-                    description: `Layout type "${layoutType}" is not valid. Must be one of: ${this.validationRules.valid_layout_types.join(', ')}.`,
-                    location: 'Dashboard resource'
-                });
-            }
-        }
-
-        // Validate widget types
-        const widgetDefinitions = hclContent.match(/(\w+)_definition\s*{/g);
-        if (widgetDefinitions) {
-            widgetDefinitions.forEach(definition => {
-                const widgetType = definition.match(/(\w+)_definition/)[1];
-                if (this.validationRules && this.validationRules.valid_widget_types &&
-                    !this.validationRules.valid_widget_types.includes(widgetType)) {
-                    issues.push({
-                        severity: 'warning',
-                        title: 'Unknown widget type',
-                        description: `Widget type "${widgetType}" might not be supported by the Datadog provider.`,
-                        location: `Widget: ${widgetType}_definition`
-                    });
-                }
-            });
-        }
-
-        // Validate metric queries (basic check)
-        const queryMatches = hclContent.match(/q\s*=\s*"([^"]+)"/g);
-        if (queryMatches) {
-            queryMatches.forEach(match => {
-                const query = match.match(/q\s*=\s*"([^"]+)"/)[1];
-                if (query.length < 3) {
-                    issues.push({
-                        severity: 'warning',
-                        title: 'Suspiciously short metric query',
-                        description: `Metric query "${query}" seems too short. Verify it's a valid Datadog metric query.`,
-                        location: 'Widget request'
-                    });
-                }
-            });
-        }
-
-        // Validate color values
-        const colorMatches = hclContent.match(/(background_color|color)\s*=\s*"([^"]+)"/g);
-        if (colorMatches) {
-            colorMatches.forEach(match => {
-                const parts = match.match(/(background_color|color)\s*=\s*"([^"]+)"/);
-                const colorValue = parts[2];
-                if (this.validationPatterns && this.validationPatterns.validColor &&
-                    !this.validationPatterns.validColor.test(colorValue)) {
-                    issues.push({
-                        severity: 'warning',
-                        title: 'Invalid color format',
-                        description: `Color value "${colorValue}" should be a hex color (#RRGGBB) or a valid color name.`,
-                        location: `Color field: ${parts[1]}`
-                    });
-                }
-            });
-        }
-
-        // Check for placeholder values that need to be replaced
-        const placeholderPatterns = [
-            { pattern: /DASHBOARD_ID_PLACEHOLDER/, field: 'Dashboard ID' },
-            { pattern: /imported_dashboard/, field: 'Resource name' },
-            { pattern: /Imported Dashboard/, field: 'Dashboard title' },
-        ];
-
-        placeholderPatterns.forEach(({ pattern, field }) => {
-            if (pattern.test(hclContent)) {
-                issues.push({
-                    severity: 'info',
-                    title: `Consider using variables`,
-                    description: `${field} appears to be hardcoded. Consider using Terraform variables for better reusability.`,
-                    location: field
-                });
-            }
-        });
-    }
-
-    validateBestPractices(hclContent, issues) {
-        // Check for consistent indentation
-        const lines = hclContent.split('\n');
-        let expectedIndent = 0;
-        let inconsistentIndentation = false;
-
-        lines.forEach((line, index) => {
-            if (line.trim() === '') return;
-
-            const actualIndent = line.match(/^(\s*)/)[1].length;
-            const trimmedLine = line.trim();
-
-            if (trimmedLine.endsWith('{')) {
-                expectedIndent += 2;
-            } else if (trimmedLine === '}') {
-                expectedIndent -= 2;
-            }
-
-            // Allow some flexibility in indentation
-            if (Math.abs(actualIndent - expectedIndent) > 2 && !inconsistentIndentation) {
-                issues.push({
-                    severity: 'info',
-                    title: 'Inconsistent indentation',
-                    description: 'Consider using consistent 2-space indentation for better readability.',
-                    line: index + 1,
-                    location: `Line ${index + 1}`
-                });
-                inconsistentIndentation = true;
-            }
-        });
-
-        // Check for long lines
-        lines.forEach((line, index) => {
-            if (line.length > 120) {
-                issues.push({
-                    severity: 'info',
-                    title: 'Long line',
-                    description: 'Consider breaking long lines for better readability (recommended: < 120 characters).',
-                    line: index + 1,
-                    location: `Line ${index + 1} (${line.length} characters)`
-                });
-            }
-        });
-
-        // Check for missing comments
-        if (!hclContent.includes('#') && !hclContent.includes('//')) {
-            issues.push({
-                severity: 'info',
-                title: 'No comments found',
-                description: 'Consider adding comments to explain complex configurations.',
-                location: 'Overall structure'
-            });
-        }
-
-        // Check for hardcoded values that could be variables
-        const hardcodedPatterns = [
-            { pattern: /"[a-f0-9-]{36}"/, suggestion: 'Dashboard ID' },
-            { pattern: /"prod|staging|dev"/i, suggestion: 'Environment' },
-            { pattern: /"us-east-1|us-west-2|eu-west-1"/i, suggestion: 'Region' },
-        ];
-
-        hardcodedPatterns.forEach(({ pattern, suggestion }) => {
-            if (pattern.test(hclContent)) {
-                issues.push({
-                    severity: 'info',
-                    title: `Consider using variables`,
-                    description: `${suggestion} appears to be hardcoded. Consider using Terraform variables for better reusability.`,
-                    location: suggestion
-                });
-            }
-        });
-    }
-
     displayValidationResults(result) {
         const { isValid, issues, summary } = result;
 
         // Show validation panel
         this.validationPanel.style.display = 'block';
+        this.setPanelTitle('🔍 HCL Validation Results');
 
         // Update summary
         const summaryElement = this.validationPanel.querySelector('.validation-summary');
@@ -2724,6 +1357,7 @@ class DatadogHCLGenerator {
     displayValidationError(message) {
         // Show validation panel with error
         this.validationPanel.style.display = 'block';
+        this.setPanelTitle('🔍 HCL Validation Results');
 
         const summaryElement = this.validationPanel.querySelector('.validation-summary');
         summaryElement.className = 'validation-summary invalid';
@@ -2738,85 +1372,294 @@ class DatadogHCLGenerator {
         `;
     }
 
-    generateLegacyRequests(requests) {
-        let hcl = '';
+    setPanelTitle(title) {
+        const titleElement = this.validationPanel.querySelector('.validation-header h3');
+        if (titleElement) {
+            titleElement.textContent = title;
+        }
+    }
 
-        requests.forEach((request, index) => {
-            if (this.hasValidRequestContent(request)) {
-                hcl += `\n      request {\n`;
+    showFidelityReport() {
+        if (!this.lastDashboardData || !this.validationPanel) {
+            return;
+        }
 
-                // Add aggregator first if it exists (preserving original order)
-                if (request.aggregator) {
-                    hcl += `        aggregator = "${request.aggregator}"\n`;
-                }
+        try {
+            const analyzer = new DatadogFidelityAnalyzer(this);
+            const report = analyzer.analyze(this.lastDashboardData, this.currentHCL);
+            this.displayFidelityReport(report);
+            this.trackAction('fidelity_report', report.score);
+        } catch (error) {
+            this.displayValidationError(`Fidelity report failed: ${error.message}`);
+            this.setPanelTitle('📊 Conversion Fidelity');
+        }
+    }
 
-                // Legacy format uses q property directly
-                if (request.q) {
-                    hcl += `        q          = ${this.escapeHCLString(request.q)}\n`;
-                } else if (request.queries && Array.isArray(request.queries)) {
-                    // Convert modern queries to legacy q format
-                    const query = request.queries[0];
-                    if (query && query.query) {
-                        hcl += `        q          = ${this.escapeHCLString(query.query)}\n`;
-                    } else if (query && query.search && query.search.query) {
-                        // For log queries, use the search query
-                        hcl += `        q          = ${this.escapeHCLString(query.search.query)}\n`;
-                    } else if (query && query.data_source === 'logs') {
-                        // Handle log queries with compute aggregation
-                        let logQuery = '';
-                        if (query.compute && query.compute.aggregation) {
-                            logQuery = `${query.compute.aggregation}:`;
-                            if (query.compute.metric) {
-                                logQuery += query.compute.metric;
-                            }
-                        }
-                        if (query.search && query.search.query && !logQuery) {
-                            logQuery = query.search.query;
-                        } else if (query.search && query.search.query) {
-                            logQuery += ` ${query.search.query}`;
-                        }
-                        if (logQuery) {
-                            hcl += `        q          = ${this.escapeHCLString(logQuery)}\n`;
-                        }
-                    }
-                }
+    displayFidelityReport(report) {
+        this.validationPanel.style.display = 'block';
+        this.setPanelTitle('📊 Conversion Fidelity');
 
-                // Add other legacy request properties
-                if (request.display_type) {
-                    hcl += `        display_type   = "${request.display_type}"\n`;
-                }
+        const summaryElement = this.validationPanel.querySelector('.validation-summary');
+        const lost = report.dropped.length + report.altered.length;
+        summaryElement.className = `validation-summary ${lost === 0 ? 'valid' : 'warning'}`;
+        summaryElement.textContent = lost === 0
+            ? `✅ ${report.score}% fidelity - all ${report.total} fields are represented in the HCL`
+            : `⚠️ ${report.score}% fidelity - ${lost} of ${report.total} fields were dropped or altered`;
+
+        const format = value => this.escapeHtml(JSON.stringify(value));
+        let detailsHTML = '';
+
+        if (report.widgets.length > 0) {
+            detailsHTML += `<h4>Widgets (${report.widgets.length})</h4>`;
+            report.widgets.forEach(widget => {
+                const title = widget.title ? ` "${this.escapeHtml(widget.title)}"` : '';
+                detailsHTML += `
+                    <div class="validation-issue ${widget.score === 100 ? 'info' : 'warning'}">
+                        <div class="validation-issue-title">${widget.score}% - ${widget.type}${title}</div>
+                        <div class="validation-issue-location">📍 ${widget.path} (${widget.preserved} of ${widget.total} fields)</div>
+                    </div>
+                `;
+            });
+        }
 
-                if (request.on_right_yaxis !== undefined) {
-                    hcl += `        on_right_yaxis = ${request.on_right_yaxis}\n`;
-                }
+        [
+            { title: 'Dropped', items: report.dropped, class: 'error', describe: item => `Was ${format(item.value)}` },
+            { title: 'Altered', items: report.altered, class: 'warning', describe: item => `${format(item.expected)} → ${format(item.actual)}` },
+            { title: 'Defaulted', items: report.defaulted, class: 'info', describe: item => `Set to ${format(item.value)}` }
+        ].forEach(group => {
+            if (group.items.length > 0) {
+                detailsHTML += `<h4>${group.title} (${group.items.length})</h4>`;
+                group.items.forEach(item => {
+                    detailsHTML += `
+                        <div class="validation-issue ${group.class}">
+                            <div class="validation-issue-title">${this.escapeHtml(item.path)}</div>
+                            <div class="validation-issue-description">${group.describe(item)}</div>
+                        </div>
+                    `;
+                });
+            }
+        });
 
-                // Add conditional formats with hide_value preserved
-                if (request.conditional_formats && Array.isArray(request.conditional_formats)) {
-                    hcl += `\n`;
-                    request.conditional_formats.forEach(format => {
-                        hcl += `        conditional_formats {\n`;
-                        if (format.comparator) hcl += `          comparator = "${format.comparator}"\n`;
-                        if (format.hide_value !== undefined) hcl += `          hide_value = ${format.hide_value}\n`;
-                        if (format.palette) hcl += `          palette    = "${format.palette}"\n`;
-                        if (format.value !== undefined) hcl += `          value      = ${format.value}\n`;
-                        hcl += `        }\n`;
-                    });
-                }
+        detailsHTML += `
+            <div class="validation-stats">
+                <div class="validation-stat">
+                    <div class="validation-stat-icon error">${report.dropped.length}</div>
+                    <span>Dropped</span>
+                </div>
+                <div class="validation-stat">
+                    <div class="validation-stat-icon warning">${report.altered.length}</div>
+                    <span>Altered</span>
+                </div>
+                <div class="validation-stat">
+                    <div class="validation-stat-icon info">${report.defaulted.length}</div>
+                    <span>Defaulted</span>
+                </div>
+                <div class="validation-stat">
+                    <div class="validation-stat-icon success">${Math.round(report.score)}</div>
+                    <span>Fidelity %</span>
+                </div>
+            </div>
+        `;
 
-                if (request.style) {
-                    hcl += `\n        style {\n`;
-                    if (request.style.palette) hcl += `          palette    = "${request.style.palette}"\n`;
-                    if (request.style.line_type) hcl += `          line_type  = "${request.style.line_type}"\n`;
-                    if (request.style.line_width) hcl += `          line_width = "${request.style.line_width}"\n`;
-                    hcl += `        }\n`;
-                }
+        this.validationPanel.querySelector('.validation-details').innerHTML = detailsHTML;
+        this.validationPanel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
 
-                hcl += `      }\n`;
-            }
+    // Parameterization starts from a fresh conversion, so applying a new
+    // selection never builds on the previous one
+    showParameterizeWizard() {
+        if (!this.lastDashboardData || !this.validationPanel) {
+            return;
+        }
+
+        try {
+            const { hcl } = this.convert(this.lastDashboardData, { importBlock: this.generateImports });
+            this.parameterCandidates = new DatadogParameterizer(hcl).findCandidates();
+            this.displayParameterizeWizard();
+            this.trackAction('parameterize_wizard', this.parameterCandidates.length);
+        } catch (error) {
+            this.displayValidationError(`Parameterization failed: ${error.message}`);
+            this.setPanelTitle('🔧 Parameterize');
+        }
+    }
+
+    displayParameterizeWizard() {
+        const candidates = this.parameterCandidates;
+        this.validationPanel.style.display = 'block';
+        this.setPanelTitle('🔧 Parameterize');
+
+        const summaryElement = this.validationPanel.querySelector('.validation-summary');
+        summaryElement.className = 'validation-summary valid';
+        summaryElement.textContent = candidates.length > 0
+            ? `Found ${candidates.length} hardcoded value(s) - choose which become Terraform variables`
+            : 'ℹ️ No hardcoded values to lift into variables';
+
+        const kinds = {
+            title: 'Dashboard title',
+            notify_list: 'Notify list',
+            template_variable: 'Template variable defaults',
+            tag: 'Tag filter'
+        };
+
+        let detailsHTML = '';
+        candidates.forEach((candidate, index) => {
+            const occurrences = candidate.occurrences > 1 ? ` in ${candidate.occurrences} queries` : '';
+            detailsHTML += `
+                <div class="validation-issue info parameter-candidate" data-index="${index}">
+                    <input type="checkbox" ${candidate.selected ? 'checked' : ''} aria-label="Lift ${this.escapeHtml(candidate.id)} into a variable">
+                    <div>
+                        <div class="validation-issue-title">var.<input type="text" class="parameter-name" value="${candidate.name}" aria-label="Variable name" spellcheck="false"></div>
+                        <div class="validation-issue-description">${kinds[candidate.kind]}: ${this.escapeHtml(JSON.stringify(candidate.default))}${occurrences}</div>
+                        <div class="validation-issue-location">📍 ${candidate.type}</div>
+                    </div>
+                </div>
+            `;
+        });
+
+        if (candidates.length > 0) {
+            detailsHTML += `
+                <div class="parameter-actions">
+                    <button class="btn btn-primary" data-action="apply">🔧 Apply</button>
+                </div>
+            `;
+        }
+
+        const detailsElement = this.validationPanel.querySelector('.validation-details');
+        detailsElement.innerHTML = detailsHTML;
+        detailsElement.querySelector('[data-action="apply"]')?.addEventListener('click', () => this.applyParameters());
+        this.validationPanel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    applyParameters() {
+        const detailsElement = this.validationPanel.querySelector('.validation-details');
+        const selection = this.parameterCandidates.map((candidate, index) => {
+            const row = detailsElement.querySelector(`.parameter-candidate[data-index="${index}"]`);
+            return {
+                ...candidate,
+                selected: row.querySelector('input[type="checkbox"]').checked,
+                name: row.querySelector('.parameter-name').value.trim()
+            };
+        });
+
+        try {
+            const parameterizer = new DatadogParameterizer(this.convert(this.lastDashboardData, { importBlock: this.generateImports }).hcl);
+            parameterizer.findCandidates();
+            const variables = parameterizer.apply(selection);
+
+            const hcl = parameterizer.toHCL();
+            this.displayOutput(this.renderOutput(hcl, variables));
+            this.currentHCL = hcl;
+            this.parameterizedVariables = variables;
+            this.variablesOutput = this.renderVariables(DatadogParameterizer.formatVariables(variables));
+            this.displayVariables(variables.length);
+            this.displaySuccess(`✅ ${variables.length} value(s) replaced with variables`);
+            this.trackAction('parameterize_apply', variables.length);
+        } catch (error) {
+            const summaryElement = this.validationPanel.querySelector('.validation-summary');
+            summaryElement.className = 'validation-summary invalid';
+            summaryElement.textContent = `❌ ${error.message}`;
+        }
+    }
+
+    // Terraform formats get the variable definitions in their own syntax
+    renderVariables(variables) {
+        const format = DatadogOutputFormats.get(this.getOutputFormatName());
+        return format.terraform ? format.render(variables, this) : variables;
+    }
+
+    getVariablesFileName() {
+        const format = DatadogOutputFormats.get(this.getOutputFormatName());
+        return `variables${format.terraform ? format.extension : '.tf'}`;
+    }
+
+    displayVariables(count) {
+        const fileName = this.getVariablesFileName();
+        this.setPanelTitle(`🔧 ${fileName}`);
+
+        const summaryElement = this.validationPanel.querySelector('.validation-summary');
+        summaryElement.className = 'validation-summary valid';
+        summaryElement.textContent = DatadogOutputFormats.get(this.getOutputFormatName()).configVariables
+            ? `✅ The output now reads ${count} value(s) from Pulumi config, defaulting to the current values`
+            : `✅ The output now uses ${count} variable(s) - save these definitions as ${fileName} next to it`;
+
+        const detailsElement = this.validationPanel.querySelector('.validation-details');
+        detailsElement.innerHTML = `
+            <pre class="parameter-variables"><code>${this.escapeHtml(this.variablesOutput)}</code></pre>
+            <div class="parameter-actions">
+                <button class="btn btn-primary" data-action="download">💾 Download ${fileName}</button>
+                <button class="btn btn-secondary" data-action="edit">🔧 Change selection</button>
+            </div>
+        `;
+        detailsElement.querySelector('[data-action="download"]').addEventListener('click', () => {
+            this.saveBlob(new Blob([this.variablesOutput], { type: 'text/plain' }), fileName);
+            this.trackAction('download_variables');
         });
+        detailsElement.querySelector('[data-action="edit"]').addEventListener('click', () => this.showParameterizeWizard());
+    }
+
+    showModuleExport() {
+        if (!this.lastDashboardData || !this.validationPanel) {
+            return;
+        }
+
+        this.validationPanel.style.display = 'block';
+        this.setPanelTitle('📦 Terraform Module');
+
+        // A selection applied in the parameterize panel is kept; otherwise
+        // the module gets the default one
+        const summaryElement = this.validationPanel.querySelector('.validation-summary');
+        summaryElement.className = 'validation-summary valid';
+        summaryElement.textContent = this.parameterizedVariables
+            ? `main.tf, variables.tf (${this.parameterizedVariables.length} variables from your selection), outputs.tf, versions.tf and README.md`
+            : 'main.tf, variables.tf (default parameterization), outputs.tf, versions.tf and README.md';
+
+        const version = this.providerVersion || this.getProviderVersions().pop();
+        const detailsElement = this.validationPanel.querySelector('.validation-details');
+        detailsElement.innerHTML = `
+            <div class="validation-issue info">
+                <div class="validation-issue-title">Datadog provider ${version ? `~> ${this.escapeHtml(version)}` : '(any version)'}</div>
+                <div class="validation-issue-description">Pinned in versions.tf - change the Provider selector to target another version</div>
+            </div>
+            <label class="module-alias">
+                Provider alias (optional): datadog.<input type="text" class="parameter-name" data-field="alias" placeholder="none" spellcheck="false">
+            </label>
+            <div class="parameter-actions">
+                <button class="btn btn-primary" data-action="download">📦 Download module .zip</button>
+            </div>
+        `;
+        detailsElement.querySelector('[data-action="download"]').addEventListener('click', () => this.downloadModule());
+        this.validationPanel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    downloadModule() {
+        const detailsElement = this.validationPanel.querySelector('.validation-details');
+        const alias = detailsElement.querySelector('[data-field="alias"]').value.trim();
+
+        try {
+            let hcl = this.currentHCL;
+            let variables = this.parameterizedVariables;
+            if (!variables) {
+                const parameterizer = new DatadogParameterizer(this.convert(this.lastDashboardData).hcl);
+                variables = parameterizer.apply();
+                hcl = parameterizer.toHCL();
+            }
+
+            const builder = new DatadogModuleBuilder({
+                providerVersion: this.providerVersion || this.getProviderVersions().pop(),
+                providerAlias: alias || null
+            });
+            const module = builder.build(hcl, variables);
 
-        return hcl;
+            this.saveBlob(new Blob([builder.createArchive(module)], { type: 'application/zip' }), `${module.name}-module.zip`);
+            this.displaySuccess(`📦 Module ${module.name} downloaded!`);
+            this.trackAction('download_module', variables.length);
+        } catch (error) {
+            const summaryElement = this.validationPanel.querySelector('.validation-summary');
+            summaryElement.className = 'validation-summary invalid';
+            summaryElement.textContent = `❌ ${error.message}`;
+        }
     }
+
 }
 
 // Initialize the application when DOM is loaded
@@ -2860,5 +1703,6 @@ Privacy-first dashboard converter
 Made with ❤️ for DevOps teams
 
 API: window.datadogHCLGenerator.getStats()
+     window.datadogHCLGenerator.registerWidgetRenderer(type, renderer, { compose })
     `);
 });